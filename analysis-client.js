@@ -0,0 +1,175 @@
+/**
+ * Analysis Client Module
+ * Hands recordings to the analysis worker and returns its results as promises,
+ * with progress and cancellation; analyzes on the main thread where module
+ * workers aren't available
+ */
+
+import { HeartRateAnalyzer } from './heart-rate-analyzer.js';
+
+export class AnalysisClient {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;             // HeartRateAnalyzer: settings, and the fallback
+        // Next to this module, so pages embedding FreeKG from another directory find it too
+        this.workerUrl = options.workerUrl ?? new URL('analysis-worker.js', import.meta.url);
+        this.createWorker = options.createWorker || (url => new Worker(url, { type: 'module' }));
+        this.useWorker = options.useWorker ?? (Boolean(options.createWorker) || typeof Worker !== 'undefined');
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map();             // id → { resolve, reject, onProgress, samples, sampleRate, settings, options }
+    }
+
+    /**
+     * The analysis worker, started on first use
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = this.createWorker(this.workerUrl);
+            this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+        }
+        return this.worker;
+    }
+
+    /**
+     * Analyze a recording like HeartRateAnalyzer.analyze()
+     * The samples are copied, so the caller keeps its buffer; options.onProgress(fraction, stage)
+     * follows the analysis, and aborting options.signal stops it with an AbortError;
+     * options.settings overrides analyzer options for this request only (e.g. { noiseProfile: null })
+     */
+    analyze(samples, sampleRate, options = {}) {
+        const { signal, onProgress = () => {}, settings = null } = options;
+        if (signal && signal.aborted) {
+            return Promise.reject(AnalysisClient.abortError());
+        }
+        if (!this.useWorker) {
+            return this.analyzeHere(samples, sampleRate, onProgress, settings).then((result) => {
+                if (signal && signal.aborted) throw AnalysisClient.abortError();
+                return result;
+            });
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => this.cancel(id);
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            this.pending.set(id, {
+                resolve: settle(resolve),
+                reject: settle(reject),
+                onProgress,
+                samples,
+                sampleRate,
+                settings,
+                options: { ...this.analyzer.getOptions(), ...settings }
+            });
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            this.send(id);
+        });
+    }
+
+    /**
+     * Post a pending request to the worker, with a copy of its samples
+     */
+    send(id) {
+        const { samples, sampleRate, options } = this.pending.get(id);
+        const copy = Float32Array.from(samples);
+        this.getWorker().postMessage({ id, samples: copy, sampleRate, options }, [copy.buffer]);
+    }
+
+    /**
+     * Stop one request with an AbortError
+     * A synchronous analysis can't be interrupted, so the worker is replaced, and the
+     * other requests it still had are sent again to the new one
+     */
+    cancel(id) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        Array.from(this.pending.keys()).forEach(pendingId => this.send(pendingId));
+        request.reject(AnalysisClient.abortError());
+    }
+
+    /**
+     * Progress, result or error for one request
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'progress') {
+            request.onProgress(message.progress, message.stage);
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            request.resolve(message.result);
+        } else {
+            const error = new Error(message.message);
+            error.name = message.name;
+            request.reject(error);
+        }
+    }
+
+    /**
+     * The worker couldn't start (no module worker support, script missing):
+     * analyze on the main thread from now on, including requests already sent
+     */
+    handleWorkerError(event) {
+        console.warn('Analysis worker unavailable, analyzing on the main thread:', event.message);
+        if (event.preventDefault) event.preventDefault();
+
+        const requests = Array.from(this.pending.values());
+        this.pending.clear();
+        this.terminate();
+        this.useWorker = false;
+
+        requests.forEach(request => {
+            this.analyzeHere(request.samples, request.sampleRate, request.onProgress, request.settings)
+                .then(request.resolve, request.reject);
+        });
+    }
+
+    /**
+     * Main-thread fallback; yields once first so the "Analyzing..." state can be drawn
+     */
+    async analyzeHere(samples, sampleRate, onProgress, settings = null) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const analyzer = settings
+            ? new HeartRateAnalyzer({ ...this.analyzer.getOptions(), ...settings })
+            : this.analyzer;
+        return analyzer.analyze(samples, sampleRate, undefined, onProgress);
+    }
+
+    /**
+     * Stop the worker, rejecting all its requests with an AbortError (when the
+     * processor is released); the next analysis starts a new one
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const requests = Array.from(this.pending.values());
+        this.pending.clear();
+        requests.forEach(request => request.reject(AnalysisClient.abortError()));
+    }
+
+    /**
+     * The error an aborted analysis rejects with
+     */
+    static abortError() {
+        return new DOMException('Analysis cancelled', 'AbortError');
+    }
+}
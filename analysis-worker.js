@@ -0,0 +1,31 @@
+/**
+ * Analysis Worker
+ * Runs HeartRateAnalyzer off the main thread, so the page stays responsive
+ * while a recording is filtered and analyzed (see AnalysisClient)
+ *
+ * In:  { id, samples (transferred Float32Array), sampleRate, options }
+ * Out: { id, type: 'progress', progress, stage }
+ *      { id, type: 'result', result }  (waveform, envelope and decimated signal transferred)
+ *      { id, type: 'error', name, message }
+ */
+
+import { HeartRateAnalyzer } from './heart-rate-analyzer.js';
+
+self.addEventListener('message', (event) => {
+    const { id, samples, sampleRate, options } = event.data;
+
+    try {
+        const analyzer = new HeartRateAnalyzer(options);
+        const result = analyzer.analyze(samples, sampleRate, undefined, (progress, stage) => {
+            self.postMessage({ id, type: 'progress', progress, stage });
+        });
+
+        self.postMessage({ id, type: 'result', result }, [
+            result.waveform.buffer,
+            result.envelope.buffer,
+            result.decimated.buffer
+        ]);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', name: error.name, message: error.message });
+    }
+});
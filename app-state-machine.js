@@ -0,0 +1,88 @@
+/**
+ * App State Machine Module
+ * The measurement flow as explicit states and transitions:
+ * idle → permission → placement → recording → analyzing → results, plus error,
+ * and cancel from any state
+ */
+
+export class AppStateMachine extends EventTarget {
+    // Allowed next states; any state may also go back to idle
+    // (→ placement from recording, analyzing and results is cancelling)
+    static TRANSITIONS = {
+        idle: ['permission', 'analyzing'],
+        permission: ['placement', 'error'],
+        placement: ['placement', 'recording', 'analyzing', 'error'],   // placement → placement: check started/finished
+        recording: ['analyzing', 'placement', 'error'],
+        analyzing: ['recording', 'results', 'placement', 'error'],      // analyzing → recording: next of a series or recovery test
+        results: ['placement', 'analyzing', 'error'],
+        error: ['permission', 'placement', 'analyzing']
+    };
+
+    constructor() {
+        super();
+        this.state = 'idle';
+        this.data = {};                 // Details of the current state, e.g. { checking: true } or { message }
+        this.microphoneReady = false;   // Placement was reached, so cancelling can return there
+    }
+
+    /**
+     * Whether the current state is one of the given states
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * Whether moving to a state is allowed from the current one
+     */
+    can(to) {
+        return to === 'idle' || (AppStateMachine.TRANSITIONS[this.state] || []).includes(to);
+    }
+
+    /**
+     * Move to a new state, emitting 'change' with { from, to, data }
+     * Throws on a transition the flow doesn't allow
+     */
+    transition(to, data = {}) {
+        if (!this.can(to)) {
+            throw new Error(`Invalid transition from ${this.state} to ${to}`);
+        }
+
+        const from = this.state;
+        this.state = to;
+        this.data = data;
+        if (to === 'placement') {
+            this.microphoneReady = true;
+        } else if (to === 'idle') {
+            this.microphoneReady = false;
+        }
+
+        this.dispatchEvent(new CustomEvent('change', { detail: { from, to, data } }));
+        return this;
+    }
+
+    /**
+     * Where cancelling leads: back to placement while the microphone is still open
+     * (from a check, recording or result), otherwise to the start
+     */
+    cancelTarget() {
+        if (this.is('placement')) {
+            return this.data.checking ? 'placement' : 'idle';
+        }
+        if (this.is('recording', 'analyzing', 'results')) {
+            return this.microphoneReady ? 'placement' : 'idle';
+        }
+        return 'idle';
+    }
+
+    /**
+     * Cancel the current state; data (e.g. { reason }) is passed on with cancelled: true
+     * Returns false when there is nothing to cancel
+     */
+    cancel(data = {}) {
+        if (this.is('idle')) return false;
+
+        this.transition(this.cancelTarget(), { ...data, cancelled: true });
+        return true;
+    }
+}
@@ -3,99 +3,1266 @@
  * Coordinates between audio processor and UI controller
  */
 
+import { AudioProcessor } from './audio-processor.js';
+import { CameraProcessor } from './camera-processor.js';
+import { UIController } from './ui-controller.js';
+import { HistoryStore } from './history-store.js';
+import { HistoryView } from './history-view.js';
+import { SessionIO } from './session-io.js';
+import { WavCodec } from './wav-codec.js';
+import { MeasurementSettings } from './measurement-settings.js';
+import { MeasurementCombiner } from './measurement-combiner.js';
+import { SettingsView } from './settings-view.js';
+import { PwaManager } from './pwa-manager.js';
+import { AppStateMachine } from './app-state-machine.js';
+import { BackNavigation } from './back-navigation.js';
+import { AudioError } from './audio-error.js';
+import { ErrorView } from './error-view.js';
+import { DevicePicker } from './device-picker.js';
+import { LevelMeter } from './level-meter.js';
+import { CalibrationStore } from './calibration-store.js';
+import { CalibrationStats } from './calibration-stats.js';
+import { CalibrationView } from './calibration-view.js';
+import { RecoveryProtocol } from './recovery-protocol.js';
+
 // Initialize modules
-const audioProcessor = new AudioProcessor();
+const settings = new MeasurementSettings();
+const audioProcessor = new AudioProcessor({ inputDeviceId: settings.inputDeviceId });
+const cameraProcessor = new CameraProcessor({ video: document.getElementById('cameraPreview') });
 const uiController = new UIController();
+const flow = new AppStateMachine();
+const backNavigation = new BackNavigation({ onBack: goBack });
+const historyStore = new HistoryStore();
+const calibrationStore = new CalibrationStore();
+const devicePicker = new DevicePicker({ onChange: chooseInput });
+const levelMeter = new LevelMeter();
+const settingsView = new SettingsView({
+    onChange: (changes) => settings.update(changes)
+});
+const errorView = new ErrorView({
+    onRetry: retry,
+    onDismiss: () => flow.transition('idle')
+});
+const historyView = new HistoryView({
+    onDelete: async (id) => {
+        try {
+            await historyStore.delete(id);
+        } catch (error) {
+            console.warn('Could not delete measurement:', error);
+            historyView.showStatus('Could not delete the measurement', true);
+            return;
+        }
+        showHistory();
+    }
+});
+const calibrationView = new CalibrationView({
+    onSave: saveReference,
+    onDeviceChange: (device) => {
+        calibrationDevice = device;
+        showCalibration();
+    },
+    onTune: tuneDevice,
+    onResetTuning: () => setDeviceTuning(calibrationDevice, null),
+    onClear: clearCalibration
+});
 
 // Button references
 const requestMicBtn = document.getElementById('requestMicBtn');
+const analyzeFileBtn = document.getElementById('analyzeFileBtn');
+const audioFileInput = document.getElementById('audioFileInput');
 const startRecordingBtn = document.getElementById('startRecordingBtn');
+const recordAnywayBtn = document.getElementById('recordAnywayBtn');
+const recoveryTestBtn = document.getElementById('recoveryTestBtn');
+const noiseProfileBtn = document.getElementById('noiseProfileBtn');
+const cancelCheckBtn = document.getElementById('cancelCheckBtn');
+const cancelRecordingBtn = document.getElementById('cancelRecordingBtn');
+const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
 const tryAgainBtn = document.getElementById('tryAgainBtn');
+const historyBtn = document.getElementById('historyBtn');
+const closeHistoryBtn = document.getElementById('closeHistoryBtn');
+const exportSessionBtn = document.getElementById('exportSessionBtn');
+const exportBundleBtn = document.getElementById('exportBundleBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const importBtn = document.getElementById('importBtn');
+const importInput = document.getElementById('importInput');
+const updateBtn = document.getElementById('updateBtn');
+const settingsBtn = document.getElementById('settingsBtn');
+const changeSettingsBtn = document.getElementById('changeSettingsBtn');
+const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+const resetZoomBtn = document.getElementById('resetZoomBtn');
+const editBeatsBtn = document.getElementById('editBeatsBtn');
+const revertBeatsBtn = document.getElementById('revertBeatsBtn');
+
+// Latest saved measurement, so tags picked on the results screen can update it
+let currentEntry = null;
+
+// Result on the results screen, with what is needed to export it
+let currentSession = null; // { result, sampleRate, wavBlob, originalResult (once beats are edited) }
+
+// Aborts the microphone request, file analysis, placement check or measurement in progress
+let currentTask = null;
+
+// History or settings screen shown over the flow, or null
+let overlay = null;
+
+// Calibration pair saved for the result on the results screen, so a corrected
+// reference updates it rather than adding another
+let currentPair = null;
+
+// Device profile shown in the calibration section of the settings screen
+let calibrationDevice = null;
+
+/**
+ * Processor for a sensor: the microphone on the neck or the camera under a fingertip
+ */
+function processorFor(sensor) {
+    return sensor === 'camera' ? cameraProcessor : audioProcessor;
+}
+
+/**
+ * Calibration device profile of a sensor: the camera, or the chosen microphone
+ */
+function deviceKeyFor(sensor) {
+    return CalibrationStore.deviceKey(sensor, settings.inputDeviceLabel);
+}
+
+/**
+ * Use the current device's calibrated filter band and beat threshold, if it has any
+ */
+function applyTuning(sensor) {
+    processorFor(sensor).analyzer.setTuning(settings.tuning[deviceKeyFor(sensor)] || null);
+}
+
+/**
+ * Start an async task, cancelling any previous one; returns its AbortSignal
+ */
+function startTask() {
+    if (currentTask) {
+        currentTask.abort();
+    }
+    currentTask = new AbortController();
+    return currentTask.signal;
+}
+
+/**
+ * Whether the microphone is capturing (placement check or measurement)
+ */
+function isCapturing() {
+    return flow.is('recording') || (flow.is('placement') && flow.data.checking);
+}
+
+/**
+ * Every state change: show its step and the error panel, and release the
+ * microphone and camera when back at the start
+ */
+flow.addEventListener('change', (event) => {
+    const { to, data } = event.detail;
+    overlay = null;
+
+    if (to === 'error') {
+        errorView.show(data.error, data.message);
+    } else {
+        errorView.hide();
+    }
+
+    if (to === 'idle') {
+        audioProcessor.cleanup();
+        cameraProcessor.cleanup();
+        currentEntry = null;
+        currentSession = null;
+        uiController.reset();
+    }
+
+    // Microphone picker and level meter live on the placement step
+    if (to === 'placement' && event.detail.from !== 'placement' && settings.sensor === 'microphone') {
+        refreshInputs();
+    } else if (to !== 'placement') {
+        levelMeter.stop();
+    }
+    devicePicker.setEnabled(!data.checking);
+
+    uiController.showState(to, data);
+    updateBackNavigation();
+});
+
+/**
+ * Cancel whatever is in progress: the task is aborted and the flow steps back
+ * (to placement while the microphone is open, otherwise to the start)
+ */
+function cancel(reason = 'user') {
+    if (currentTask) {
+        currentTask.abort();
+        currentTask = null;
+    }
+    recordAnywayBtn.style.display = 'none';
+    return flow.cancel({ reason });
+}
+
+cancelCheckBtn.addEventListener('click', () => cancel());
+cancelRecordingBtn.addEventListener('click', () => cancel());
+cancelAnalysisBtn.addEventListener('click', () => cancel());
+
+/**
+ * Back button: close the history/settings screen, or cancel the current state
+ * Returns false at the start, so the browser can leave the page
+ */
+function goBack() {
+    if (overlay) {
+        closeOverlay();
+        return true;
+    }
+    return cancel();
+}
+
+/**
+ * Keep a back entry in the browser history whenever back has somewhere to go
+ */
+function updateBackNavigation() {
+    if (overlay || !flow.is('idle')) {
+        backNavigation.arm();
+    }
+}
 
 /**
- * Step 1: Request microphone access
+ * Move to the error state: error is classified into an AudioError; retry names
+ * the action the panel's Try again button repeats ('permission', 'placement', 'recovery', 'noise' or 'file')
  */
-requestMicBtn.addEventListener('click', async () => {
-    requestMicBtn.disabled = true;
+function fail(error, retryAction, screen, message = '') {
+    flow.transition('error', { error: AudioError.from(error), retry: retryAction, screen, message });
+}
+
+/**
+ * Try again from the error panel, without reloading the page
+ */
+function retry() {
+    const actions = {
+        permission: requestSensor,
+        placement: checkPlacement,
+        recovery: runRecoveryProtocol,
+        noise: measureRoomNoise,
+        file: () => audioFileInput.click()
+    };
+    const action = actions[flow.data.retry];
+    if (action) {
+        action();
+    } else {
+        flow.transition('idle');
+    }
+}
+
+/**
+ * Step 1: Choose the sensor
+ */
+uiController.setSensor(settings.sensor);
+
+document.querySelectorAll('.sensor-btn').forEach(button => {
+    button.addEventListener('click', () => {
+        if (!flow.is('idle', 'error')) return;
+
+        settings.update({ sensor: button.dataset.sensor });
+        uiController.setSensor(settings.sensor);
+        uiController.updateStatus('micStatus', '');
+        if (flow.is('error')) {
+            flow.transition('idle');
+        }
+    });
+});
+
+/**
+ * Step 1: Request microphone or camera access
+ */
+requestMicBtn.addEventListener('click', requestSensor);
+
+async function requestSensor() {
+    const signal = startTask();
+    const sensor = settings.sensor;
+    const processor = processorFor(sensor);
+    flow.transition('permission');
     uiController.updateStatus('micStatus', 'Requesting access...');
 
-    const result = await audioProcessor.requestMicrophone();
+    const result = sensor === 'camera'
+        ? await cameraProcessor.requestCamera()
+        : await audioProcessor.requestMicrophone();
+
+    // Cancelled while the permission prompt was open
+    if (signal.aborted) {
+        if (result.success) {
+            processor.cleanup();
+        }
+        return;
+    }
 
     if (result.success) {
-        uiController.updateStatus('micStatus', '✓ Microphone access granted');
+        if (sensor === 'camera') {
+            uiController.updateStatus('micStatus', result.torch
+                ? '✓ Camera ready, flash on'
+                : '✓ Camera ready - no flash control here, so use bright light');
+        } else {
+            uiController.updateStatus('micStatus', '✓ Microphone access granted');
+        }
         
         // Wait a moment then move to step 2
         setTimeout(() => {
-            uiController.goToStep(2);
+            if (!signal.aborted) {
+                flow.transition('placement');
+            }
         }, 1000);
     } else {
-        uiController.updateStatus('micStatus', `✗ Access denied: ${result.error}`, true);
-        requestMicBtn.disabled = false;
-        
-        uiController.showError(
-            'Microphone access is required for this app to work. ' +
-            'Please grant permission and try again.'
-        );
+        console.warn(`${sensor} request failed:`, result.error);
+        uiController.updateStatus('micStatus', '');
+        fail(result.error, 'permission', 1, sensor === 'camera'
+            ? 'FreeKG needs the camera to see your pulse.'
+            : 'FreeKG needs the microphone to hear your pulse.');
     }
+}
+
+/**
+ * Microphone permission from the Permissions API: known before prompting, and
+ * retried automatically once it is allowed in the browser's site settings
+ */
+audioProcessor.queryMicrophonePermission().then((permission) => {
+    if (!permission) return;
+
+    if (permission.state === 'denied') {
+        uiController.updateStatus('micStatus', 'Microphone access is blocked for this site', true);
+    }
+
+    permission.addEventListener('change', () => {
+        const blocked = flow.is('error') && flow.data.error.category === 'permission-denied';
+        if (permission.state === 'granted' && blocked) {
+            retry();
+        } else if (permission.state !== 'denied' && flow.is('idle')) {
+            uiController.updateStatus('micStatus', '');
+        }
+    });
 });
 
 /**
- * Step 2: Start recording
+ * Alternative to step 1: analyze an uploaded recording, skipping the microphone
  */
-startRecordingBtn.addEventListener('click', async () => {
-    startRecordingBtn.disabled = true;
-    uiController.goToStep(3);
-    
-    const recordingDuration = 15; // seconds
-    
-    // Animate progress bar
-    uiController.animateProgress(recordingDuration);
+analyzeFileBtn.addEventListener('click', () => audioFileInput.click());
+
+audioFileInput.addEventListener('change', async () => {
+    const file = audioFileInput.files[0];
+    audioFileInput.value = '';
+    if (!file || !flow.can('analyzing')) return;
+
+    const signal = startTask();
+    flow.transition('analyzing', { file: file.name });
+    uiController.updateStatus('micStatus', `Analyzing ${file.name}...`);
 
     try {
-        // Start recording
-        const recordedData = await audioProcessor.startRecording(recordingDuration);
-        
-        // Process the recorded audio
-        const result = audioProcessor.detectHeartRate(recordedData);
+        const { result, samples, sampleRate } = await audioProcessor.analyzeFile(file, {
+            signal,
+            onProgress: (progress) => uiController.showAnalysisProgress(progress, 'micStatus', `Analyzing ${file.name}`)
+        });
+        if (signal.aborted) return;
+        const wavBlob = audioProcessor.encodeWAV(samples, sampleRate);
+
+        uiController.updateStatus('micStatus', '');
+        showAnalyzedRecording(result, { samples, sampleRate }, wavBlob, `Analyzed ${file.name}`);
+    } catch (error) {
+        if (signal.aborted) return;
+        console.error('File analysis error:', error);
+        uiController.updateStatus('micStatus', '');
+        fail(AudioError.from(error, 'decode-failed'), 'file', 1, `Could not analyze ${file.name}: ${error.message}`);
+    }
+});
+
+/**
+ * Step 2: Check placement, then start recording
+ */
+startRecordingBtn.addEventListener('click', checkPlacement);
+
+async function checkPlacement() {
+    const signal = startTask();
+    flow.transition('placement', { checking: true });
+    recordAnywayBtn.style.display = 'none';
+    uiController.showPlacementReport(null);
+    uiController.updateStatus('placementStatus', 'Checking placement - hold the phone in position...');
+
+    try {
+        applyTuning(settings.sensor);
+        const report = await processorFor(settings.sensor).checkPlacement(undefined, { signal });
+
+        if (report.ok) {
+            uiController.updateStatus('placementStatus', '✓ Placement looks good');
+            await runMeasurement();
+        } else {
+            flow.transition('placement', { checking: false });
+            uiController.showPlacementReport(report);
+            uiController.updateStatus('placementStatus', 'Adjust the phone and check again', true);
+            startRecordingBtn.textContent = 'Check Again';
+            recordAnywayBtn.style.display = 'block';
+        }
+    } catch (error) {
+        // Cancelled: the flow has already moved on
+        if (error.name === 'AbortError') return;
+
+        console.error('Placement check error:', error);
+        fail(error, 'placement', 2, 'The placement check could not use the microphone.');
+    }
+}
+
+/**
+ * Optional before the check: record the room with the phone held away from the body,
+ * so its noise can be subtracted from the measurements
+ */
+noiseProfileBtn.addEventListener('click', measureRoomNoise);
+
+async function measureRoomNoise() {
+    const signal = startTask();
+    flow.transition('placement', { checking: true });
+    uiController.showPlacementReport(null);
+    uiController.updateStatus('placementStatus', 'Measuring room noise - hold the phone away from your body and keep quiet...');
+
+    try {
+        const profile = await audioProcessor.measureNoiseProfile(undefined, { signal });
+
+        flow.transition('placement', { checking: false });
+        uiController.showNoiseProfile(profile);
+        uiController.updateStatus('placementStatus', 'Now place the phone against your neck');
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        console.error('Noise profile error:', error);
+        fail(error, 'noise', 2, 'The room noise could not be recorded.');
+    }
+}
+
+/**
+ * List the microphones, switch to the saved one if it is back, and show the input level
+ * (switching: false after a switch, so an input that won't open isn't retried in a loop)
+ */
+async function refreshInputs(switching = true) {
+    const devices = await audioProcessor.listInputDevices();
+    if (!flow.is('placement') || flow.data.checking) return;
+
+    const saved = DevicePicker.findDevice(devices, settings.inputDeviceId, settings.inputDeviceLabel);
+    const current = DevicePicker.findDevice(devices, audioProcessor.inputDeviceId);
+    if (switching && saved && saved.deviceId !== audioProcessor.inputDeviceId) {
+        await switchInput(saved.deviceId);
+        return;
+    }
+    if (switching && !current && devices.length > 0 && audioProcessor.inputDeviceId) {
+        // The microphone in use was unplugged
+        await switchInput('');
+        return;
+    }
+
+    devicePicker.render(devices, audioProcessor.inputDeviceId);
+    startLevelMeter();
+}
+
+/**
+ * Show the live input level while the phone is being positioned
+ */
+async function startLevelMeter() {
+    try {
+        await audioProcessor.startInputMonitor();
+    } catch (error) {
+        // The placement check reports the microphone problem
+        console.warn('Input level unavailable:', error);
+    }
+    if (flow.is('placement')) {
+        levelMeter.start(() => audioProcessor.getInputLevel());
+    }
+}
+
+/**
+ * Reopen the microphone on another input and list the inputs again
+ */
+async function switchInput(deviceId) {
+    levelMeter.stop();
+    const result = await audioProcessor.selectInput(deviceId);
+    // A noise profile is only good for the microphone it was taken with
+    uiController.showNoiseProfile(null);
+    if (!flow.is('placement')) return;
+
+    if (!result.success) {
+        fail(result.error, 'permission', 1, 'The selected microphone could not be opened.');
+        return;
+    }
+    if (result.fallback) {
+        uiController.updateStatus('placementStatus', 'That microphone is unavailable - using the default', true);
+    }
+    await refreshInputs(false);
+}
+
+/**
+ * A microphone was picked: use it and remember it on this device
+ */
+async function chooseInput({ deviceId, label }) {
+    if (!flow.is('placement') || flow.data.checking) return;
+
+    settings.update({ inputDeviceId: deviceId, inputDeviceLabel: label });
+    uiController.updateStatus('placementStatus', '');
+    await switchInput(deviceId);
+}
+
+/**
+ * Microphones plugged in or removed while positioning
+ */
+if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+        if (flow.is('placement') && !flow.data.checking && settings.sensor === 'microphone') {
+            refreshInputs();
+        }
+    });
+}
+
+/**
+ * Skip a failed placement check
+ */
+recordAnywayBtn.addEventListener('click', () => {
+    recordAnywayBtn.style.display = 'none';
+    runMeasurement();
+});
+
+/**
+ * Step 3: Record and analyze, repeating with rests as configured in settings
+ */
+async function runMeasurement() {
+    const signal = startTask();
+    flow.transition('recording');
+
+    const { sensor, duration, repeats, restSeconds, combine } = settings.getAll();
+    const processor = processorFor(sensor);
+    applyTuning(sensor);
+    const results = [];
+    const qualityIssues = new Set();
+    let best = null; // Most confident measurement and its recording, for the chart and export
+
+    try {
+        for (let index = 1; index <= repeats; index++) {
+            if (index > 1) {
+                flow.transition('recording');
+                uiController.playBeep();
+                await rest(restSeconds, index, repeats, signal);
+            }
+
+            uiController.setRecordingPlan(duration, index, repeats);
+
+            // Animate progress bar
+            uiController.animateProgress(duration);
+            uiController.startLiveView();
+
+            // Start recording with live BPM feedback
+            const recordedData = await processor.startRecording(duration, { streaming: true, signal });
+            uiController.stopLiveView();
+
+            // Process the recorded audio off the main thread
+            flow.transition('analyzing', { index, total: repeats });
+            const result = await processor.analyzeRecording(recordedData, processor.sampleRate, {
+                signal,
+                onProgress: (progress) => uiController.showAnalysisProgress(progress)
+            });
+            results.push(result);
+            processor.qualityIssues.forEach(issue => qualityIssues.add(issue));
+
+            if (!best || result.confidence > best.result.confidence) {
+                best = {
+                    result,
+                    samples: recordedData,
+                    cache: processor.cachedAudioBuffer
+                };
+            }
+        }
+
+        // Keep problems the automatic restarts couldn't fix, to show with the result
+        const result = {
+            ...MeasurementCombiner.combine(results, combine),
+            qualityIssues: Array.from(qualityIssues)
+        };
+
+        // The player shows the last recording; switch it to the one on the chart
+        // (a camera recording has no player)
+        if (sensor === 'camera') {
+            audioProcessor.removeAudioPlayer();
+        } else if (best.cache && results.length > 1) {
+            audioProcessor.createAudioPlayer(best.cache.url);
+        }
+
+        currentSession = {
+            result,
+            sampleRate: processor.sampleRate,
+            wavBlob: best.cache ? best.cache.blob : null
+        };
+        flow.transition('results');
+        uiController.displayResults(result, { samples: best.samples, sampleRate: processor.sampleRate });
+        exportBundleBtn.disabled = !currentSession.wavBlob;
         
-        // Display results
-        uiController.displayResults(result.bpm, result.waveform);
+        // Keep it in the on-device history
+        await saveMeasurement(result);
+
+        // Calibration mode: ask for the reference heart rate to compare against
+        currentPair = null;
+        calibrationView.showPrompt(settings.calibration && result.bpm > 0);
         
     } catch (error) {
+        // Cancelled: the flow has already moved on
+        if (error.name === 'AbortError' || signal.aborted) return;
+
         console.error('Recording error:', error);
-        uiController.showError('An error occurred during recording. Please try again.');
-        uiController.reset();
-        startRecordingBtn.disabled = false;
+        fail(error, 'placement', 2, 'The recording stopped with an error.');
+    }
+}
+
+/**
+ * Wait between measurements, counting down on the recording screen
+ * Rejects with an AbortError if the measurement is cancelled
+ */
+async function rest(seconds, nextIndex, total, signal) {
+    await countdown(seconds, signal, (left) => uiController.showRest(left, nextIndex, total));
+}
+
+/**
+ * Wait whole seconds, calling onTick with the seconds left at the start of each
+ * Rejects with an AbortError if the task is cancelled
+ */
+async function countdown(seconds, signal, onTick) {
+    for (let left = seconds; left > 0; left--) {
+        onTick(left);
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Measurement cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, 1000);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+/**
+ * Recovery test: a resting reading, a timed exercise bout, then readings at
+ * 0, 1, 2 and 3 minutes of recovery, saved together as one session
+ */
+recoveryTestBtn.addEventListener('click', runRecoveryProtocol);
+
+async function runRecoveryProtocol() {
+    const signal = startTask();
+    // Try again from the error panel: back to placement first, as a new check would
+    if (flow.is('error')) {
+        flow.transition('placement');
+    }
+    flow.transition('recording', { protocol: 'recovery' });
+    recordAnywayBtn.style.display = 'none';
+
+    const { sensor, exerciseSeconds } = settings.getAll();
+    const processor = processorFor(sensor);
+    const protocol = new RecoveryProtocol({ exerciseSeconds });
+    const steps = protocol.steps();
+    const total = steps.filter(step => step.type === 'reading').length;
+    applyTuning(sensor);
+
+    // A page hidden by the screen going off would cancel the recording
+    const wakeLock = await requestWakeLock();
+    const qualityIssues = new Set();
+    const readings = [];
+    let resting = null; // Resting result and its recording, for the chart and export
+    let exerciseEnd = null;
+    let index = 0;
+
+    // Short ticks over the last seconds of a countdown
+    const tick = (left) => {
+        if (left <= 3) {
+            uiController.playBeep(1000, 0.15);
+        }
+    };
+
+    try {
+        for (const step of steps) {
+            if (flow.is('analyzing')) {
+                flow.transition('recording', { protocol: 'recovery' });
+            }
+
+            if (step.type === 'exercise') {
+                uiController.showProtocolStep('Exercise: stairs, squats or running on the spot');
+                uiController.playBeep();
+                await countdown(step.seconds, signal, (left) => {
+                    uiController.showCountdown('Exercise ends', left, step.seconds);
+                    tick(left);
+                });
+                exerciseEnd = Date.now();
+                continue;
+            }
+
+            index++;
+            if (step.phase === 'resting') {
+                uiController.showProtocolStep('Resting heart rate: sit still and breathe normally');
+            } else {
+                const wait = protocol.waitFor(step.checkpoint, exerciseEnd, Date.now());
+                uiController.showProtocolStep(`Recovery: ${step.checkpoint / 60} min after exercise - hold the phone in place`);
+                await countdown(wait, signal, (left) => {
+                    uiController.showCountdown('Next reading starts', left, wait);
+                    tick(left);
+                });
+                uiController.playBeep();
+            }
+
+            uiController.setRecordingPlan(protocol.readingSeconds, index, total);
+            uiController.animateProgress(protocol.readingSeconds);
+            uiController.startLiveView();
+            const recordedData = await processor.startRecording(protocol.readingSeconds, { streaming: true, signal });
+            uiController.stopLiveView();
+
+            flow.transition('analyzing', { index, total });
+            const result = await processor.analyzeRecording(recordedData, processor.sampleRate, {
+                signal,
+                onProgress: (progress) => uiController.showAnalysisProgress(progress)
+            });
+            processor.qualityIssues.forEach(issue => qualityIssues.add(issue));
+
+            if (step.phase === 'resting') {
+                // Without a resting pulse there is nothing to recover towards; don't start the exercise
+                if (!result.bpm) {
+                    flow.transition('placement', { checking: false });
+                    uiController.updateStatus('placementStatus', 'No pulse found at rest - adjust the phone and start the recovery test again', true);
+                    return;
+                }
+                resting = { result, samples: recordedData, cache: processor.cachedAudioBuffer };
+            } else {
+                readings.push(RecoveryProtocol.reading(result, step.checkpoint, exerciseEnd, Date.now()));
+            }
+        }
+
+        const result = {
+            ...resting.result,
+            qualityIssues: Array.from(qualityIssues),
+            recovery: RecoveryProtocol.summarize(resting.result.bpm, readings)
+        };
+
+        // The player shows the last recording; switch it to the resting one on the chart
+        if (sensor === 'camera') {
+            audioProcessor.removeAudioPlayer();
+        } else if (resting.cache) {
+            audioProcessor.createAudioPlayer(resting.cache.url);
+        }
+
+        currentSession = {
+            result,
+            sampleRate: processor.sampleRate,
+            wavBlob: resting.cache ? resting.cache.blob : null
+        };
+        flow.transition('results');
+        uiController.displayResults(result, { samples: resting.samples, sampleRate: processor.sampleRate });
+        exportBundleBtn.disabled = !currentSession.wavBlob;
+
+        await saveMeasurement(result);
+
+        // A reference taken after exercise wouldn't match the resting reading on the chart
+        currentPair = null;
+        calibrationView.showPrompt(false);
+    } catch (error) {
+        // Cancelled: the flow has already moved on
+        if (error.name === 'AbortError' || signal.aborted) return;
+
+        console.error('Recovery test error:', error);
+        fail(error, 'recovery', 2, 'The recovery test stopped with an error.');
+    } finally {
+        uiController.showProtocolStep(null);
+        if (wakeLock) {
+            wakeLock.release().catch(() => {});
+        }
+    }
+}
+
+/**
+ * Keep the screen on, where the browser allows it; resolves with the lock or null
+ */
+async function requestWakeLock() {
+    try {
+        return navigator.wakeLock ? await navigator.wakeLock.request('screen') : null;
+    } catch (error) {
+        console.warn('Screen wake lock unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Save a result to the on-device history
+ */
+async function saveMeasurement(result) {
+    currentEntry = null;
+    if (!result.bpm) return;
+
+    try {
+        currentEntry = await historyStore.add(HistoryStore.fromResult(result));
+        uiController.updateStatus('saveStatus', '✓ Saved to history');
+    } catch (error) {
+        console.warn('Could not save measurement:', error);
+        uiController.updateStatus('saveStatus', 'History is unavailable in this browser', true);
+    }
+}
+
+/**
+ * Tag the current measurement (resting, post-exercise, morning)
+ */
+document.querySelectorAll('.tag-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+        if (!currentEntry) return;
+
+        const tag = button.dataset.tag;
+        const tags = currentEntry.tags.includes(tag)
+            ? currentEntry.tags.filter(t => t !== tag)
+            : [...currentEntry.tags, tag];
+
+        try {
+            currentEntry = await historyStore.update(currentEntry.id, { tags });
+            uiController.setSelectedTags(tags);
+        } catch (error) {
+            console.warn('Could not update tags:', error);
+        }
+    });
+});
+
+/**
+ * Calibration mode: store the result with the reference BPM the user entered
+ * The pair keeps the detector's own reading, before any beat corrections
+ */
+async function saveReference(referenceBpm) {
+    if (!currentSession) return;
+
+    const result = currentSession.originalResult || currentSession.result;
+    try {
+        if (currentPair) {
+            currentPair = await calibrationStore.update(currentPair.id, { referenceBpm });
+        } else {
+            currentPair = await calibrationStore.add(CalibrationStore.createPair(result, referenceBpm, {
+                device: deviceKeyFor(result.sensor),
+                historyId: currentEntry ? currentEntry.id : null
+            }));
+        }
+        calibrationView.showSaved(currentPair);
+    } catch (error) {
+        console.warn('Could not save calibration reading:', error);
+        calibrationView.showPromptStatus('Calibration readings can\'t be stored in this browser', true);
+    }
+}
+
+/**
+ * History and settings screens, shown over the flow (not while capturing)
+ */
+function openOverlay(name) {
+    if (isCapturing()) return false;
+
+    overlay = name;
+    uiController.goToStep(name);
+    updateBackNavigation();
+    return true;
+}
+
+/**
+ * Return from the history or settings screen to the current state's step
+ */
+function closeOverlay() {
+    overlay = null;
+    uiController.goToStep(uiController.screenFor(flow.state, flow.data));
+}
+
+/**
+ * History screen
+ */
+async function showHistory() {
+    if (overlay !== 'history' && !openOverlay('history')) return;
+
+    try {
+        historyView.render(await historyStore.getAll());
+    } catch (error) {
+        console.warn('Could not load history:', error);
+        historyView.render([]);
+        historyView.showStatus('History is unavailable in this browser', true);
+    }
+}
+
+historyBtn.addEventListener('click', showHistory);
+closeHistoryBtn.addEventListener('click', closeOverlay);
+
+/**
+ * Settings screen: duration, repeats, rest, how repeats are combined, and calibration
+ */
+settings.addEventListener('change', (event) => settingsView.render(event.detail));
+settingsView.render(settings.getAll());
+
+function showSettings() {
+    if (openOverlay('settings')) {
+        showCalibration();
+    }
+}
+
+settingsBtn.addEventListener('click', showSettings);
+changeSettingsBtn.addEventListener('click', showSettings);
+closeSettingsBtn.addEventListener('click', closeOverlay);
+
+/**
+ * Calibration section: accuracy against the reference readings of one device,
+ * starting with the one in use
+ */
+async function showCalibration() {
+    try {
+        const pairs = await calibrationStore.getAll();
+        const current = deviceKeyFor(settings.sensor);
+        const devices = CalibrationStore.devices(pairs);
+        if (!devices.includes(current)) devices.unshift(current);
+        if (!devices.includes(calibrationDevice)) calibrationDevice = current;
+
+        calibrationView.render({
+            devices,
+            device: calibrationDevice,
+            pairs: CalibrationStore.forDevice(pairs, calibrationDevice),
+            tuning: settings.tuning[calibrationDevice] || null
+        });
+    } catch (error) {
+        console.warn('Could not load calibration readings:', error);
+        calibrationView.showStatus('Calibration readings are unavailable in this browser', true);
+    }
+}
+
+/**
+ * Search for the filter band and beat threshold that best match the device's
+ * reference readings, and use them for its measurements if they do better
+ */
+async function tuneDevice() {
+    const device = calibrationDevice;
+    calibrationView.showStatus('Tuning - re-analyzing the stored recordings...');
+
+    try {
+        const pairs = CalibrationStore.forDevice(await calibrationStore.getAll(), device);
+        // Let the status paint before the search blocks the page
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const tuned = CalibrationStats.tune(pairs);
+
+        if (tuned.improved) {
+            setDeviceTuning(device, tuned.tuning);
+            calibrationView.showStatus(`✓ Tuned: mean error ${tuned.baselineMae} → ${tuned.mae} BPM over ${tuned.count} readings`);
+        } else if (tuned.count < 5) {
+            calibrationView.showStatus(`Tuning needs at least 5 readings with recordings (${tuned.count} so far)`);
+        } else {
+            calibrationView.showStatus(`The default settings already fit best (mean error ${tuned.baselineMae} BPM)`);
+        }
+    } catch (error) {
+        console.error('Tuning error:', error);
+        calibrationView.showStatus(`Could not tune: ${error.message}`, true);
+    }
+}
+
+/**
+ * Store a device's tuning (null: back to the defaults)
+ */
+function setDeviceTuning(device, tuning) {
+    const all = { ...settings.tuning };
+    if (tuning) {
+        all[device] = tuning;
+    } else {
+        delete all[device];
+    }
+    settings.update({ tuning: all });
+    showCalibration();
+}
+
+/**
+ * Delete the shown device's reference readings
+ */
+async function clearCalibration() {
+    try {
+        const pairs = CalibrationStore.forDevice(await calibrationStore.getAll(), calibrationDevice);
+        for (const pair of pairs) {
+            await calibrationStore.delete(pair.id);
+        }
+        showCalibration();
+    } catch (error) {
+        console.warn('Could not delete calibration readings:', error);
+        calibrationView.showStatus('Could not delete the readings', true);
+    }
+}
+
+/**
+ * Results chart: trace toggle and zoom reset
+ */
+document.querySelectorAll('.trace-btn[data-trace]').forEach(button => {
+    button.addEventListener('click', () => uiController.showTrace(button.dataset.trace));
+});
+
+resetZoomBtn.addEventListener('click', () => uiController.resetChartZoom());
+
+/**
+ * Manual beat correction: tap a marker to remove it, or elsewhere to add a beat
+ * at the nearest envelope peak; BPM, confidence and HRV follow the edited beats
+ */
+editBeatsBtn.addEventListener('click', () => {
+    uiController.setBeatEditing(!uiController.isEditingBeats());
+});
+
+uiController.onBeatTap = (time, index) => {
+    // Beats are edited on single measurements only: a combined series keeps its mean or median
+    if (!currentSession || currentSession.result.measurements) return;
+
+    const { result } = currentSession;
+    const beats = Array.from(result.peaks || []);
+    if (index >= 0) {
+        beats.splice(index, 1);
+    } else {
+        beats.push(processorFor(result.sensor).analyzer.snapBeat(result, time));
+    }
+
+    currentSession.originalResult = currentSession.originalResult || result;
+    showCorrectedResult(processorFor(result.sensor).analyzer.reanalyze(result, beats));
+};
+
+revertBeatsBtn.addEventListener('click', () => {
+    if (!currentSession || !currentSession.originalResult) return;
+
+    showCorrectedResult(currentSession.originalResult);
+    currentSession.originalResult = null;
+});
+
+/**
+ * Show an edited (or reverted) result and update its history entry
+ */
+async function showCorrectedResult(result) {
+    // The recovery test's resting heart rate is the edited reading
+    if (result.recovery) {
+        result = { ...result, recovery: RecoveryProtocol.summarize(result.bpm, result.recovery.readings) };
+    }
+    currentSession.result = result;
+    uiController.updateResult(result);
+
+    if (!currentEntry) return;
+    const { timestamp, tags, ...changes } = HistoryStore.fromResult(result);
+
+    try {
+        currentEntry = await historyStore.update(currentEntry.id, changes);
+    } catch (error) {
+        console.warn('Could not save corrected beats:', error);
+    }
+}
+
+/**
+ * Export the current result as session JSON or as a bundle with the raw WAV
+ */
+function buildSession() {
+    return SessionIO.createSession(currentSession.result, {
+        sampleRate: currentSession.sampleRate,
+        timestamp: currentEntry ? currentEntry.timestamp : undefined,
+        tags: currentEntry ? currentEntry.tags : []
+    });
+}
+
+exportSessionBtn.addEventListener('click', () => {
+    if (!currentSession) return;
+
+    const json = JSON.stringify(buildSession(), null, 2);
+    SessionIO.download(new Blob([json], { type: 'application/json' }), `freekg-session-${Date.now()}.json`);
+});
+
+exportBundleBtn.addEventListener('click', async () => {
+    if (!currentSession || !currentSession.wavBlob) return;
+
+    const bundle = await SessionIO.createBundle(buildSession(), currentSession.wavBlob);
+    SessionIO.download(bundle, `freekg-bundle-${Date.now()}.zip`);
+});
+
+/**
+ * Export the whole history as CSV
+ */
+exportCsvBtn.addEventListener('click', async () => {
+    try {
+        const entries = await historyStore.getAll();
+        const csv = SessionIO.historyToCSV(entries);
+        SessionIO.download(new Blob([csv], { type: 'text/csv' }), `freekg-history-${Date.now()}.csv`);
+    } catch (error) {
+        historyView.showStatus(`Export failed: ${error.message}`, true);
+    }
+});
+
+/**
+ * Import CSV history, a session JSON or a bundle (which is also replayed)
+ */
+importBtn.addEventListener('click', () => importInput.click());
+
+importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+
+    try {
+        const name = file.name.toLowerCase();
+
+        if (name.endsWith('.csv')) {
+            const count = await importEntries(SessionIO.parseHistoryCSV(await file.text()));
+            await showHistory();
+            historyView.showStatus(`Imported ${count} measurement(s)`);
+        } else if (name.endsWith('.json')) {
+            const session = SessionIO.parseSession(await file.text());
+            const count = await importEntries([SessionIO.sessionToEntry(session)]);
+            await showHistory();
+            historyView.showStatus(`Imported ${count} measurement(s)`);
+        } else if (name.endsWith('.zip')) {
+            const bundle = SessionIO.readBundle(await file.arrayBuffer());
+            await importEntries([SessionIO.sessionToEntry(bundle.session)]);
+            if (bundle.wav) {
+                replayBundle(bundle);
+            } else {
+                await showHistory();
+                historyView.showStatus('Bundle has no recording; imported its session only');
+            }
+        } else {
+            throw new Error('Choose a .csv, .json or .zip file');
+        }
+    } catch (error) {
+        console.error('Import error:', error);
+        historyView.showStatus(`Import failed: ${error.message}`, true);
     }
 });
 
 /**
- * Try again - reset the application
+ * Add imported entries to the history, skipping ones already there
+ * Resolves with the number added
+ */
+async function importEntries(entries) {
+    const existing = await historyStore.getAll();
+    const seen = new Set(existing.map(entry => `${entry.timestamp}:${entry.bpm}`));
+    let added = 0;
+
+    for (const entry of entries) {
+        const key = `${entry.timestamp}:${entry.bpm}`;
+        if (seen.has(key)) continue;
+
+        await historyStore.add(entry);
+        seen.add(key);
+        added++;
+    }
+
+    return added;
+}
+
+/**
+ * Re-analyze a bundle's recording and show it on the results screen
+ */
+async function replayBundle(bundle) {
+    if (!flow.can('analyzing')) return;
+
+    const signal = startTask();
+    flow.transition('analyzing', { file: 'bundle' });
+
+    try {
+        const { samples, sampleRate } = WavCodec.decode(bundle.wav);
+        // A camera recording goes back through the camera's (PPG) analysis; the
+        // room noise measured now and the current device's tuning don't belong to it
+        const result = await processorFor(bundle.session.sensor).analyzeRecording(samples, sampleRate, {
+            signal,
+            settings: { noiseProfile: null, tuning: null },
+            onProgress: (progress) => uiController.showAnalysisProgress(progress, 'micStatus', 'Analyzing the bundle\'s recording')
+        });
+        if (signal.aborted) return;
+
+        uiController.updateStatus('micStatus', '');
+        showAnalyzedRecording(
+            result,
+            { samples, sampleRate },
+            new Blob([bundle.wav], { type: 'audio/wav' }),
+            `Replayed recording from ${new Date(bundle.session.createdAt).toLocaleString()} ` +
+            `(originally ${bundle.session.bpm} BPM)`
+        );
+    } catch (error) {
+        if (signal.aborted) return;
+        console.error('Bundle replay error:', error);
+        uiController.updateStatus('micStatus', '');
+        fail(AudioError.from(error, 'decode-failed'), 'file', 1, `Could not analyze the bundle's recording: ${error.message}`);
+    }
+}
+
+/**
+ * Show a result from a file or bundle (not saved to history) with a player for it
+ * (audio only: a camera recording isn't audible)
+ */
+function showAnalyzedRecording(result, recording, wavBlob, message) {
+    currentEntry = null;
+    currentPair = null;
+    calibrationView.showPrompt(false);
+    currentSession = { result, sampleRate: recording.sampleRate, wavBlob };
+    exportBundleBtn.disabled = false;
+
+    if (result.sensor === 'camera') {
+        audioProcessor.removeAudioPlayer();
+    } else {
+        audioProcessor.createAudioPlayer(URL.createObjectURL(wavBlob));
+    }
+    flow.transition('results');
+    uiController.displayResults(result, recording);
+    uiController.updateStatus('saveStatus', message);
+}
+
+[audioProcessor, cameraProcessor].forEach(processor => {
+    /**
+     * Live analysis feedback during recording
+     */
+    processor.addEventListener('analysis', (event) => {
+        uiController.updateLiveView(event.detail);
+    });
+
+    processor.addEventListener('beat', () => {
+        uiController.pulseBeat();
+    });
+
+    /**
+     * Signal problems during recording
+     */
+    processor.addEventListener('quality', (event) => {
+        uiController.showRecordingIssue(event.detail.warning);
+    });
+
+    processor.addEventListener('restart', (event) => {
+        uiController.showRecordingRestart(event.detail.reason);
+    });
+});
+
+/**
+ * Try again - back to the start (releases the microphone and resets the UI)
  */
 tryAgainBtn.addEventListener('click', () => {
-    // Clean up audio resources
-    audioProcessor.cleanup();
-    
-    // Reset UI
-    uiController.reset();
-    
-    // Re-enable buttons
-    requestMicBtn.disabled = false;
-    startRecordingBtn.disabled = false;
+    startTask();
+    flow.transition('idle');
+});
+
+/**
+ * Offline support: service worker, and a prompt when a new version is deployed
+ */
+const pwaManager = new PwaManager();
+
+pwaManager.addEventListener('updateavailable', () => uiController.showUpdateAvailable(true));
+
+updateBtn.addEventListener('click', () => {
+    // Reloading would throw away a recording in progress
+    if (isCapturing()) return;
+    pwaManager.applyUpdate();
 });
 
+pwaManager.register();
+
 /**
  * Cleanup on page unload
  */
 window.addEventListener('beforeunload', () => {
     audioProcessor.cleanup();
+    cameraProcessor.cleanup();
 });
 
 /**
  * Handle visibility change (e.g., user switches tabs)
+ * Mobile browsers throttle or suspend audio in the background, so a capture that
+ * was hidden can't be trusted: it is cancelled and has to be started again
  */
 document.addEventListener('visibilitychange', () => {
-    if (document.hidden && audioProcessor.isRecording) {
-        console.log('Page hidden during recording - continuing...');
+    if (document.hidden && isCapturing()) {
+        console.warn('Page hidden during recording - cancelling');
+        cancel('hidden');
+    } else if (!document.hidden) {
+        // Installed apps stay open for days; look for a new version when they come back
+        pwaManager.checkForUpdate();
     }
 });
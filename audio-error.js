@@ -0,0 +1,75 @@
+/**
+ * Audio Error Module
+ * Typed failures of the audio layer (and the camera sensor), so the UI can explain
+ * how to recover from each
+ */
+
+export class AudioError extends Error {
+    static CATEGORIES = [
+        'permission-denied',    // The user or browser refused microphone access
+        'no-microphone',        // No input device
+        'microphone-busy',      // Another app or tab holds the microphone, or it failed to start
+        'insecure-context',     // Page not served over HTTPS
+        'unsupported',          // No getUserMedia or Web Audio
+        'audio-suspended',      // The AudioContext stayed suspended (autoplay policy, phone call)
+        'decode-failed',        // An uploaded file isn't readable audio
+        'camera-denied',        // The user or browser refused camera access
+        'no-camera',            // No (rear) camera
+        'camera-busy',          // Another app holds the camera, or it failed to start
+        'unknown'
+    ];
+
+    // DOMException names from getUserMedia, decodeAudioData and the Web Audio API
+    static CATEGORY_BY_NAME = {
+        NotAllowedError: 'permission-denied',
+        PermissionDeniedError: 'permission-denied',     // Older Chrome
+        SecurityError: 'permission-denied',
+        NotFoundError: 'no-microphone',
+        DevicesNotFoundError: 'no-microphone',          // Older Chrome
+        OverconstrainedError: 'no-microphone',
+        NotReadableError: 'microphone-busy',
+        TrackStartError: 'microphone-busy',             // Older Chrome
+        EncodingError: 'decode-failed'
+    };
+
+    // The same getUserMedia failures when the camera was requested
+    static CAMERA_CATEGORY_BY_NAME = {
+        NotAllowedError: 'camera-denied',
+        PermissionDeniedError: 'camera-denied',
+        SecurityError: 'camera-denied',
+        NotFoundError: 'no-camera',
+        DevicesNotFoundError: 'no-camera',
+        OverconstrainedError: 'no-camera',
+        NotReadableError: 'camera-busy',
+        TrackStartError: 'camera-busy'
+    };
+
+    /**
+     * category is one of AudioError.CATEGORIES; options.cause keeps the original error
+     */
+    constructor(category, message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'AudioError';
+        this.category = AudioError.CATEGORIES.includes(category) ? category : 'unknown';
+    }
+
+    /**
+     * Whether trying again without changing browser or page can help
+     */
+    get retryable() {
+        return this.category !== 'insecure-context' && this.category !== 'unsupported';
+    }
+
+    /**
+     * Wrap any thrown value (DOMException, Error, string) as an AudioError
+     * device 'camera' classifies getUserMedia failures as camera problems
+     */
+    static from(error, fallbackCategory = 'unknown', device = 'microphone') {
+        if (error instanceof AudioError) return error;
+
+        const name = error && error.name;
+        const message = (error && error.message) || String(error);
+        const categories = device === 'camera' ? AudioError.CAMERA_CATEGORY_BY_NAME : AudioError.CATEGORY_BY_NAME;
+        return new AudioError(categories[name] || fallbackCategory, message, { cause: error });
+    }
+}
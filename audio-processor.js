@@ -1,47 +1,205 @@
 /**
  * Audio Processor Module
- * Handles microphone access, recording, and signal processing
+ * Handles microphone access and recording; analysis runs in HeartRateAnalyzer,
+ * in the analysis worker where possible
  */
 
-class AudioProcessor {
-    constructor() {
+import { HeartRateAnalyzer } from './heart-rate-analyzer.js';
+import { AnalysisClient } from './analysis-client.js';
+import { StreamingAnalyzer } from './streaming-analyzer.js';
+import { SignalQualityMonitor } from './signal-quality.js';
+import { WavCodec } from './wav-codec.js';
+import { AudioError } from './audio-error.js';
+
+export class AudioProcessor extends EventTarget {
+    static MIN_SAMPLE_RATE = 1000; // Below any real audio rate; catches a duration passed as the rate
+
+    constructor(options = {}) {
+        super();
         this.audioContext = null;
         this.mediaStream = null;
         this.analyser = null;
         this.dataArray = null;
-        this.recordingData = [];
+        this.recordingData = new Float32Array(0);
+        this.recordedSamples = 0;
         this.isRecording = false;
         this.sampleRate = 44100;
-        this.scriptProcessor = null;
+        this.recorderNode = null;
+        this.scriptProcessor = null; // Fallback where AudioWorklet is unavailable
+        this.onRecordingComplete = null;
+        this.streamingAnalyzer = null; // Set while a live-analysis recording runs
+        this.qualityMonitor = new SignalQualityMonitor(options.quality);
+        this.monitorQuality = false;
+        this.maxRestarts = options.maxRestarts ?? 2;
+        this.restarts = 0;
+        this.qualityIssues = [];      // Sustained problems left in the last recording
+        this.recordingId = 0;
         this.cachedAudioBuffer = null; // For debugging
+        this.analyzer = new HeartRateAnalyzer(options);
+        this.analysisClient = new AnalysisClient(this.analyzer, options.analysis);
+        this.fileSampleRate = options.fileSampleRate ?? 44100; // Uploaded files are resampled to this
+        this.inputDeviceId = options.inputDeviceId || '';    // Microphone to open ('' = browser default)
+        this.levelBuffer = null;                             // Analyser samples for the input level meter
+        this.contextStarting = null;                         // Audio graph set-up in progress
+    }
+
+    /**
+     * Change the bandpass filter settings (cutoffs, order, analysis rate)
+     */
+    setFilterOptions(options) {
+        this.analyzer.setFilterOptions(options);
     }
 
     /**
-     * Request microphone access
+     * Microphone permission as a PermissionStatus ('granted', 'denied' or 'prompt',
+     * with 'change' events), or null where the Permissions API can't tell
      */
-    async requestMicrophone() {
+    async queryMicrophonePermission() {
+        if (!navigator.permissions || !navigator.permissions.query) return null;
+
         try {
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false
-                } 
-            });
-            return { success: true };
+            return await navigator.permissions.query({ name: 'microphone' });
         } catch (error) {
+            // Firefox before 131 doesn't know the 'microphone' permission
+            return null;
+        }
+    }
+
+    /**
+     * Request microphone access, from inputDeviceId unless another deviceId is given
+     * Resolves with { success: true, fallback } or { success: false, error: AudioError };
+     * fallback is true when the chosen microphone is gone and the default was opened
+     * A permission already denied for the site fails without prompting
+     */
+    async requestMicrophone(deviceId = this.inputDeviceId) {
+        if (!window.isSecureContext) {
+            return { success: false, error: new AudioError('insecure-context', 'Microphone access needs HTTPS') };
+        }
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return { success: false, error: new AudioError('unsupported', 'getUserMedia is not available') };
+        }
+
+        const permission = await this.queryMicrophonePermission();
+        if (permission && permission.state === 'denied') {
+            return { success: false, error: new AudioError('permission-denied', 'Microphone permission is blocked for this site') };
+        }
+
+        try {
+            this.mediaStream = await this.openInput(deviceId);
+            return { success: true, fallback: false };
+        } catch (error) {
+            const missing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            if (deviceId && missing) {
+                console.warn(`Microphone ${deviceId} is unavailable, using the default`);
+                const result = await this.requestMicrophone('');
+                return result.success ? { ...result, fallback: true } : result;
+            }
+
             return { 
                 success: false, 
-                error: error.message 
+                error: AudioError.from(error)
             };
         }
     }
 
     /**
-     * Initialize audio context and analyser
+     * getUserMedia for one microphone (or the default), with processing that
+     * would flatten the pulse turned off; remembers which device it opened
      */
-    initializeAudioContext() {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    async openInput(deviceId) {
+        const stream = await navigator.mediaDevices.getUserMedia({ 
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+                ...(deviceId ? { deviceId: { exact: deviceId } } : {})
+            } 
+        });
+
+        const track = stream.getAudioTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        this.inputDeviceId = deviceId || settings.deviceId || '';
+        return stream;
+    }
+
+    /**
+     * Audio inputs as [{ deviceId, label, groupId }]
+     * Labels are empty until microphone access has been granted
+     */
+    async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map(({ deviceId, label, groupId }) => ({ deviceId, label, groupId }));
+    }
+
+    /**
+     * Switch to another microphone: the current stream and audio graph are released
+     * and the new input opened; resolves like requestMicrophone()
+     */
+    async selectInput(deviceId) {
+        this.cleanup();
+        return this.requestMicrophone(deviceId);
+    }
+
+    /**
+     * Start the audio graph ahead of recording, so the input level can be shown
+     * Resolves with false while the browser keeps audio suspended (no user gesture yet)
+     */
+    async startInputMonitor() {
+        await this.ensureAudioContext();
+        if (this.audioContext.state === 'suspended') {
+            try {
+                await this.resumeAudioContext();
+            } catch (error) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Current input level from the AnalyserNode: { rms, levelDb, peakDb, clippedFraction },
+     * or null before the audio graph exists
+     */
+    getInputLevel() {
+        if (!this.analyser || !this.audioContext || this.audioContext.state !== 'running') return null;
+
+        if (!this.levelBuffer || this.levelBuffer.length !== this.analyser.fftSize) {
+            this.levelBuffer = new Float32Array(this.analyser.fftSize);
+        }
+        this.analyser.getFloatTimeDomainData(this.levelBuffer);
+        return this.qualityMonitor.measure(this.levelBuffer);
+    }
+
+    /**
+     * Set up the audio graph once, even if the level meter and a recording ask at the same time
+     */
+    async ensureAudioContext() {
+        if (!this.contextStarting) {
+            this.contextStarting = this.initializeAudioContext().catch((error) => {
+                this.contextStarting = null;
+                throw error;
+            });
+        }
+        await this.contextStarting;
+    }
+
+    /**
+     * Initialize audio context, analyser and recorder node
+     */
+    async initializeAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            throw new AudioError('unsupported', 'Web Audio is not available');
+        }
+        if (!this.mediaStream || !this.mediaStream.active) {
+            throw new AudioError('microphone-busy', 'The microphone stream has ended');
+        }
+
+        this.audioContext = new AudioContextClass();
         this.sampleRate = this.audioContext.sampleRate;
         
         const source = this.audioContext.createMediaStreamSource(this.mediaStream);
@@ -51,50 +209,259 @@ class AudioProcessor {
         
         source.connect(this.analyser);
         
-        // Use ScriptProcessor for actual sample-rate recording
-        this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
-        this.analyser.connect(this.scriptProcessor);
-        this.scriptProcessor.connect(this.audioContext.destination);
+        if (this.audioContext.audioWorklet) {
+            // Capture raw PCM off the main thread
+            await this.audioContext.audioWorklet.addModule(new URL('recorder-worklet.js', import.meta.url));
+            this.recorderNode = new AudioWorkletNode(this.audioContext, 'freekg-recorder', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: 1
+            });
+            this.analyser.connect(this.recorderNode);
+            this.recorderNode.connect(this.audioContext.destination);
+        } else {
+            this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
+            this.analyser.connect(this.scriptProcessor);
+            this.scriptProcessor.connect(this.audioContext.destination);
+        }
         
         this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
     }
 
     /**
      * Start recording audio data at proper sample rate
+     * Resolves once exactly durationSeconds * sampleRate samples are captured
+     * Emits 'progress' events ({ fraction } of the samples captured) as blocks arrive,
+     * and with { streaming: true } 'analysis' and 'beat' events too
+     * Sustained clipping, silence or motion restarts the recording (up to maxRestarts)
+     * unless { monitor: false }; { cache: false } skips the debug WAV player
+     * Aborting { signal } stops the recording and rejects with an AbortError
      */
-    startRecording(durationSeconds = 15) {
-        if (!this.audioContext) {
-            this.initializeAudioContext();
+    async startRecording(durationSeconds = 15, options = {}) {
+        const { signal } = options;
+
+        await this.ensureAudioContext();
+        if (this.audioContext.state === 'suspended') {
+            await this.resumeAudioContext();
+        }
+        if (signal && signal.aborted) {
+            throw AudioProcessor.abortError();
         }
 
-        this.recordingData = [];
+        const totalSamples = Math.round(durationSeconds * this.sampleRate);
+        this.recordingData = new Float32Array(totalSamples);
+        this.recordedSamples = 0;
         this.isRecording = true;
+        this.recordingId++;
+        this.restarts = 0;
+        this.qualityIssues = [];
+        this.monitorQuality = options.monitor ?? true;
+        this.qualityMonitor.reset();
+        this.streamingAnalyzer = options.streaming
+            ? new StreamingAnalyzer({
+                filter: this.analyzer.filter,
+                beatDetector: this.analyzer.beatDetector,
+                estimator: this.analyzer.estimator,
+                sampleRate: this.sampleRate
+            })
+            : null;
+
+        const onAbort = () => this.stopRecording();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
 
-        return new Promise((resolve) => {
-            // Use the scriptProcessor to capture raw PCM data
-            this.scriptProcessor.onaudioprocess = (event) => {
-                if (!this.isRecording) return;
-
-                const inputData = event.inputBuffer.getChannelData(0);
-                
-                // Store the actual audio samples (float32)
-                this.recordingData.push(...Array.from(inputData));
-                
-                console.log(`Recording: ${(this.recordingData.length / this.sampleRate).toFixed(1)}s`);
-            };
+        await new Promise((resolve) => {
+            this.onRecordingComplete = resolve;
+
+            if (this.recorderNode) {
+                this.recorderNode.port.onmessage = (event) => {
+                    const { type, id, samples, length } = event.data;
+                    if (type === 'chunk') {
+                        if (id === this.recordingId) {
+                            this.appendSamples(samples.subarray(0, length));
+                        }
+                        // Copied: hand the buffer back for the worklet to reuse
+                        if (this.recorderNode) {
+                            this.recorderNode.port.postMessage({ command: 'recycle', samples }, [samples.buffer]);
+                        }
+                    } else if (type === 'done' && id === this.recordingId) {
+                        this.stopRecording();
+                    }
+                };
+                this.recorderNode.port.postMessage({ command: 'start', id: this.recordingId, totalSamples });
+            } else {
+                this.scriptProcessor.onaudioprocess = (event) => {
+                    if (!this.isRecording) return;
+
+                    this.appendSamples(event.inputBuffer.getChannelData(0));
+                    if (this.recordedSamples >= totalSamples) {
+                        this.stopRecording();
+                    }
+                };
+            }
+        });
+
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+
+        // A stop before the target count leaves a shorter recording
+        this.recordingData = this.recordingData.subarray(0, this.recordedSamples);
+        this.streamingAnalyzer = null;
+
+        if (signal && signal.aborted) {
+            throw AudioProcessor.abortError();
+        }
+
+        console.log(`Total samples recorded: ${this.recordingData.length}`);
+        console.log(`Duration: ${(this.recordingData.length / this.sampleRate).toFixed(2)}s`);
+        
+        // Cache for debugging - convert to WAV and allow download
+        if (options.cache !== false) {
+            this.createAudioCache();
+        }
+        
+        return this.recordingData;
+    }
+
+    /**
+     * Discard what has been captured so far and record the full duration again
+     */
+    restartRecording(reason) {
+        this.restarts++;
+        this.recordedSamples = 0;
+        this.recordingId++;
+        this.qualityMonitor.reset();
+        if (this.streamingAnalyzer) {
+            this.streamingAnalyzer.reset();
+        }
+        if (this.recorderNode) {
+            this.recorderNode.port.postMessage({
+                command: 'start',
+                id: this.recordingId,
+                totalSamples: this.recordingData.length
+            });
+        }
+
+        console.warn(`Restarting recording (${reason}), attempt ${this.restarts}`);
+        this.dispatchEvent(new CustomEvent('restart', { detail: { reason, restarts: this.restarts } }));
+    }
+
+    /**
+     * Resume a suspended AudioContext, giving up after a second: outside a user
+     * gesture, or during a phone call, browsers keep it suspended and resume() may never settle
+     */
+    async resumeAudioContext() {
+        await Promise.race([
+            this.audioContext.resume(),
+            new Promise(resolve => setTimeout(resolve, 1000))
+        ]);
+
+        if (this.audioContext.state !== 'running') {
+            throw new AudioError('audio-suspended', `AudioContext is ${this.audioContext.state}`);
+        }
+    }
+
+    /**
+     * Error for a recording stopped through its AbortSignal
+     */
+    static abortError() {
+        return new DOMException('Recording cancelled', 'AbortError');
+    }
+
+    /**
+     * Short recording to check positioning before the real measurement
+     * Reports level, clipping and whether a periodic pulse is present
+     * { signal } cancels it like startRecording()
+     */
+    async checkPlacement(durationSeconds = 4, options = {}) {
+        const samples = await this.startRecording(durationSeconds, { cache: false, monitor: false, signal: options.signal });
+
+        const { spectral, estimate } = this.analyzer.assess(samples, this.sampleRate);
+        const report = this.qualityMonitor.assessPlacement(samples, this.sampleRate, spectral, estimate);
+        console.log('Placement check:', report);
+        return report;
+    }
 
-            // Stop recording after specified duration
-            setTimeout(() => {
-                this.stopRecording();
-                console.log(`Total samples recorded: ${this.recordingData.length}`);
-                console.log(`Duration: ${(this.recordingData.length / this.sampleRate).toFixed(2)}s`);
-                
-                // Cache for debugging - convert to WAV and allow download
-                this.createAudioCache();
-                
-                resolve(this.recordingData);
-            }, durationSeconds * 1000);
+    /**
+     * Record the room with the phone held away from the body, and subtract its noise
+     * from the following checks and measurements (until the microphone is released)
+     * Resolves with the noise profile; { signal } cancels it like startRecording()
+     */
+    async measureNoiseProfile(durationSeconds = 5, options = {}) {
+        const samples = await this.startRecording(durationSeconds, { cache: false, monitor: false, signal: options.signal });
+
+        this.analyzer.noiseProfile = this.analyzer.createNoiseProfile(samples, this.sampleRate);
+        console.log(`Noise profile: floor ${this.analyzer.noiseProfile.floorDb} dB, ` +
+            `mains ${this.analyzer.noiseProfile.mainsFrequency || 'none'}`);
+        return this.analyzer.noiseProfile;
+    }
+
+    /**
+     * Room noise profile in use, or null
+     */
+    get noiseProfile() {
+        return this.analyzer.noiseProfile;
+    }
+
+    /**
+     * Copy a block of captured samples into the preallocated recording buffer
+     */
+    appendSamples(samples) {
+        const count = Math.min(samples.length, this.recordingData.length - this.recordedSamples);
+        this.recordingData.set(samples.subarray(0, count), this.recordedSamples);
+        this.recordedSamples += count;
+        
+        console.log(`Recording: ${(this.recordedSamples / this.sampleRate).toFixed(1)}s`);
+        if (count > 0) {
+            this.dispatchEvent(new CustomEvent('progress', { detail: { fraction: this.recordedSamples / this.recordingData.length } }));
+        }
+
+        if (this.monitorQuality && count > 0 && this.checkBlockQuality(samples.subarray(0, count))) {
+            return;
+        }
+
+        if (this.streamingAnalyzer && count > 0) {
+            this.analyzeBlock(samples.subarray(0, count));
+        }
+    }
+
+    /**
+     * Monitor a captured block for clipping, silence and motion
+     * Returns true if the recording was restarted because of it
+     */
+    checkBlockQuality(samples) {
+        const quality = this.qualityMonitor.update(samples, this.sampleRate);
+        this.dispatchEvent(new CustomEvent('quality', { detail: quality }));
+
+        if (!quality.sustained) {
+            return false;
+        }
+
+        if (this.restarts < this.maxRestarts) {
+            this.restartRecording(quality.issue);
+            return true;
+        }
+
+        // Out of restarts: keep going, but remember what went wrong
+        if (!this.qualityIssues.includes(quality.issue)) {
+            this.qualityIssues.push(quality.issue);
+        }
+        this.qualityMonitor.reset();
+        return false;
+    }
+
+    /**
+     * Run live analysis on a captured block and emit its results
+     */
+    analyzeBlock(samples) {
+        const update = this.streamingAnalyzer.process(samples);
+
+        update.beats.forEach(time => {
+            this.dispatchEvent(new CustomEvent('beat', { detail: { time, bpm: update.bpm } }));
         });
+        this.dispatchEvent(new CustomEvent('analysis', { detail: update }));
     }
 
     /**
@@ -123,6 +490,16 @@ class AudioProcessor {
         this.createAudioPlayer(url);
     }
 
+    /**
+     * Remove the inline player (a camera recording has nothing to play)
+     */
+    removeAudioPlayer() {
+        const playerContainer = document.getElementById('audioPlayerContainer');
+        if (playerContainer) {
+            playerContainer.remove();
+        }
+    }
+
     /**
      * Create an inline audio player that works on mobile and desktop
      */
@@ -207,36 +584,7 @@ class AudioProcessor {
      * Encode raw PCM data to WAV format
      */
     encodeWAV(samples, sampleRate) {
-        const buffer = new ArrayBuffer(44 + samples.length * 2);
-        const view = new DataView(buffer);
-        
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
-
-        writeString(0, 'RIFF');
-        view.setUint32(4, 36 + samples.length * 2, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
-        view.setUint16(22, 1, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * 2, true);
-        view.setUint16(32, 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, samples.length * 2, true);
-
-        let offset = 44;
-        for (let i = 0; i < samples.length; i++) {
-            view.setInt16(offset, Math.max(-1, Math.min(1, samples[i])) * 0x7FFF, true);
-            offset += 2;
-        }
-
-        return new Blob([buffer], { type: 'audio/wav' });
+        return new Blob([WavCodec.encode(samples, sampleRate)], { type: 'audio/wav' });
     }
 
     /**
@@ -244,109 +592,143 @@ class AudioProcessor {
      */
     stopRecording() {
         this.isRecording = false;
+        if (this.recorderNode) {
+            this.recorderNode.port.postMessage({ command: 'stop' });
+        }
         if (this.scriptProcessor) {
             this.scriptProcessor.onaudioprocess = null;
         }
+        if (this.onRecordingComplete) {
+            const resolve = this.onRecordingComplete;
+            this.onRecordingComplete = null;
+            resolve();
+        }
     }
 
     /**
-     * Apply bandpass filter to isolate heart rate frequencies
+     * Decode an uploaded audio file to mono samples at fileSampleRate
+     * Falls back to the built-in WAV parser where the browser can't decode it
      */
-    bandpassFilter(data) {
-        // Data is already float32 (-1 to 1 range)
-        const normalized = data.map(val => 
-            typeof val === 'number' ? val : (val - 128) / 128
-        );
-
-        // Simple moving average to remove high frequency noise
-        const windowSize = 20;
-        const smoothed = [];
-        
-        for (let i = 0; i < normalized.length; i++) {
-            let sum = 0;
-            let count = 0;
-            
-            for (let j = Math.max(0, i - windowSize); j <= Math.min(normalized.length - 1, i + windowSize); j++) {
-                sum += normalized[j];
-                count++;
+    async decodeAudioFile(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+
+        try {
+            // decodeAudioData resamples to the context's rate
+            const context = new OfflineContext(1, 1, this.fileSampleRate);
+            const audioBuffer = await new Promise((resolve, reject) => {
+                context.decodeAudioData(arrayBuffer.slice(0), resolve, reject);
+            });
+
+            const samples = new Float32Array(audioBuffer.length);
+            for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+                const channel = audioBuffer.getChannelData(c);
+                for (let i = 0; i < samples.length; i++) {
+                    samples[i] += channel[i] / audioBuffer.numberOfChannels;
+                }
             }
-            
-            smoothed.push(sum / count);
-        }
 
-        return smoothed;
+            return { samples, sampleRate: audioBuffer.sampleRate };
+        } catch (error) {
+            console.warn('decodeAudioData failed, trying WAV parser:', error);
+            try {
+                return WavCodec.decode(arrayBuffer);
+            } catch (wavError) {
+                throw new AudioError('decode-failed', wavError.message, { cause: error });
+            }
+        }
     }
 
     /**
-     * Detect heart rate from filtered audio data
+     * Run an uploaded recording through the same analysis as a live one
+     * options as for analyzeRecording(); neither the room's noise profile nor the
+     * microphone's calibrated tuning is applied
      */
-    detectHeartRate(data, recordingDuration = 15) {
-        const filtered = this.bandpassFilter(data);
-        
-        // Find peaks in the signal
-        const peaks = this.findPeaks(filtered);
-        
-        console.log(`Peaks found: ${peaks.length}`, peaks.slice(0, 10));
-
-        if (peaks.length < 1) {
-            return { bpm: 0, confidence: 'low', peaks: [], recordedBeats: 0 };
-        }
-
-        // Simple calculation: number of beats * (60 / recording duration)
-        // For 15-second recording: beats * 4
-        const bpm = Math.round(peaks.length * (60 / recordingDuration));
+    async analyzeFile(file, options = {}) {
+        const { samples, sampleRate } = await this.decodeAudioFile(file);
+        const duration = samples.length / sampleRate;
 
-        console.log(`Recorded beats: ${peaks.length}`);
-        console.log(`Recording duration: ${recordingDuration}s`);
-        console.log(`Calculated BPM: ${bpm}`);
-
-        // Validate BPM is in reasonable range (40-200)
-        const confidence = (bpm >= 40 && bpm <= 200) ? 'high' : 'low';
+        console.log(`Analyzing ${file.name}: ${duration.toFixed(2)}s at ${sampleRate} Hz`);
 
         return {
-            bpm: Math.max(40, Math.min(200, bpm)),
-            confidence: confidence,
-            peaks: peaks,
-            recordedBeats: peaks.length,
-            waveform: filtered
+            result: await this.analyzeRecording(samples, sampleRate, { ...options, settings: { noiseProfile: null, tuning: null } }),
+            samples,
+            sampleRate
         };
     }
 
     /**
-     * Find peaks in signal data
+     * Detect heart rate in the analysis worker, keeping the page responsive
+     * { onProgress(fraction, stage) } reports progress; aborting { signal } rejects with an AbortError;
+     * { settings } overrides analyzer options for this recording
      */
-    findPeaks(data) {
-        const peaks = [];
-        const threshold = 0.01;
-        const minDistance = Math.floor(this.sampleRate / 10); // At least 0.1s between peaks
-
-        for (let i = 1; i < data.length - 1; i++) {
-            if (data[i] > data[i - 1] && 
-                data[i] > data[i + 1] && 
-                data[i] > threshold) {
-                
-                if (peaks.length === 0 || i - peaks[peaks.length - 1] > minDistance) {
-                    peaks.push(i);
-                }
-            }
+    async analyzeRecording(data, sampleRate = this.sampleRate, options = {}) {
+        const result = await this.analysisClient.analyze(data, sampleRate, options);
+        return this.logResult(result);
+    }
+
+    /**
+     * Detect heart rate from recorded audio data on the main thread
+     * sampleRate defaults to the capture rate; pass it when analyzing other recordings
+     * The duration is taken from the data itself: the old (data, recordingDuration,
+     * sampleRate) form is gone, and a duration passed as the second argument is
+     * rejected rather than read as a sample rate
+     */
+    detectHeartRate(data, sampleRate = this.sampleRate) {
+        if (!(sampleRate >= AudioProcessor.MIN_SAMPLE_RATE)) {
+            throw new RangeError(`Sample rate must be at least ${AudioProcessor.MIN_SAMPLE_RATE} Hz, got ${sampleRate} ` +
+                '(detectHeartRate() takes (data, sampleRate); the duration comes from the data)');
         }
+        return this.logResult(this.analyzer.analyze(data, sampleRate));
+    }
 
-        return peaks;
+    /**
+     * Log the details of an analysis for debugging
+     */
+    logResult(result) {
+        console.log(`Beats found: ${result.peaks.length}`, result.peaks.slice(0, 10));
+        console.log(`Recording duration: ${result.duration.toFixed(2)}s`);
+        console.log(`Calculated BPM: ${result.bpm} (confidence ${result.confidence})`);
+        console.log(`Rejected intervals: ${result.rejectedBeats}`, result.confidenceBreakdown);
+        console.log(`Spectral BPM: ${result.spectral.bpm} (periodicity ${result.spectral.periodicity.toFixed(2)})`);
+        if (!result.estimatesAgree) {
+            console.warn(`Estimates disagree by ${result.bpmDifference} BPM`);
+        }
+        if (result.noiseReduction) {
+            console.log('Noise reduction:', result.noiseReduction);
+        }
+
+        return result;
     }
 
     /**
      * Clean up resources
      */
     cleanup() {
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        this.analysisClient.terminate();
+        if (this.recorderNode) {
+            this.recorderNode.disconnect();
+            this.recorderNode.port.onmessage = null;
+            this.recorderNode = null;
+        }
         if (this.scriptProcessor) {
             this.scriptProcessor.disconnect();
             this.scriptProcessor.onaudioprocess = null;
+            this.scriptProcessor = null;
         }
         if (this.mediaStream) {
             this.mediaStream.getTracks().forEach(track => track.stop());
         }
         if (this.audioContext) {
             this.audioContext.close();
+            this.audioContext = null;
         }
+        this.contextStarting = null;
+        this.analyser = null;
+        // A noise profile belongs to the room and microphone it was taken with
+        this.analyzer.noiseProfile = null;
     }
 }
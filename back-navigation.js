@@ -0,0 +1,42 @@
+/**
+ * Back Navigation Module
+ * Routes the browser/phone back button to the app: one history entry is kept
+ * ahead of the page while there is somewhere to go back to, and popping it
+ * calls onBack instead of leaving FreeKG
+ */
+
+export class BackNavigation {
+    constructor(options = {}) {
+        this.window = options.window || globalThis.window;
+        this.onBack = options.onBack || (() => false);
+        this.armed = false;
+
+        this.window.addEventListener('popstate', (event) => this.handlePop(event));
+    }
+
+    /**
+     * Make the next back press go to onBack (does nothing if already armed)
+     */
+    arm() {
+        if (this.armed) return;
+        this.window.history.pushState({ freekgBack: true }, '');
+        this.armed = true;
+    }
+
+    /**
+     * The back entry was popped: let the app go back a level, or, if it has
+     * nowhere to go (onBack returns false), carry on leaving the page
+     */
+    handlePop(event) {
+        // Forward button onto our own entry
+        if (event.state && event.state.freekgBack) {
+            this.armed = true;
+            return;
+        }
+
+        this.armed = false;
+        if (!this.onBack()) {
+            this.window.history.back();
+        }
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * Bandpass Filter Module
+ * Decimation and cascaded Butterworth biquad filtering for heart rate analysis
+ */
+
+export class BandpassFilter {
+    constructor(options = {}) {
+        this.lowCutoff = options.lowCutoff ?? 0.8;   // Hz (48 BPM)
+        this.highCutoff = options.highCutoff ?? 3;   // Hz (180 BPM)
+        this.order = options.order ?? 4;             // Butterworth order per edge (even)
+        this.analysisRate = options.analysisRate ?? 100; // Hz, target rate after decimation
+        this.zeroPhase = options.zeroPhase ?? true;  // Forward-backward filtering
+
+        if (this.order < 2 || this.order % 2 !== 0) {
+            throw new Error(`Filter order must be an even number >= 2, got ${this.order}`);
+        }
+        if (!(this.lowCutoff > 0 && this.highCutoff > this.lowCutoff)) {
+            throw new Error(`Invalid band: ${this.lowCutoff}-${this.highCutoff} Hz`);
+        }
+    }
+
+    /**
+     * Current settings as a plain object
+     */
+    getSettings() {
+        return {
+            lowCutoff: this.lowCutoff,
+            highCutoff: this.highCutoff,
+            order: this.order,
+            analysisRate: this.analysisRate,
+            zeroPhase: this.zeroPhase
+        };
+    }
+
+    /**
+     * Decimate then bandpass a raw recording
+     * Returns the filtered signal and the sample rate it is expressed in
+     */
+    process(data, sampleRate) {
+        const decimated = this.decimate(data, sampleRate);
+        return {
+            data: this.apply(decimated.data, decimated.sampleRate),
+            sampleRate: decimated.sampleRate
+        };
+    }
+
+    /**
+     * Bandpass a signal that is already at a low sample rate
+     */
+    apply(data, sampleRate) {
+        const sections = this.designBandpass(sampleRate);
+
+        // Remove DC first so the highpass sections don't ring on the step
+        const output = Float64Array.from(data);
+        let mean = 0;
+        for (let i = 0; i < output.length; i++) mean += output[i];
+        mean /= output.length || 1;
+        for (let i = 0; i < output.length; i++) output[i] -= mean;
+
+        if (this.zeroPhase) {
+            BandpassFilter.filtfilt(sections, output);
+        } else {
+            BandpassFilter.filterInPlace(sections, output);
+        }
+
+        return Float32Array.from(output);
+    }
+
+    /**
+     * Biquad sections of the bandpass (highpass cascade, then lowpass cascade)
+     */
+    designBandpass(sampleRate) {
+        if (this.highCutoff >= sampleRate / 2) {
+            throw new Error(`High cutoff ${this.highCutoff} Hz is above Nyquist for ${sampleRate} Hz`);
+        }
+
+        return [
+            ...BandpassFilter.butterworthQ(this.order).map(q =>
+                BandpassFilter.designHighpass(this.lowCutoff, sampleRate, q)),
+            ...BandpassFilter.butterworthQ(this.order).map(q =>
+                BandpassFilter.designLowpass(this.highCutoff, sampleRate, q))
+        ];
+    }
+
+    /**
+     * Decimator that keeps filter state and sample phase between blocks
+     * Produces the same output rate as decimate()
+     */
+    createDecimator(sampleRate) {
+        const factor = Math.max(1, Math.floor(sampleRate / this.analysisRate));
+        let rate = sampleRate;
+
+        const stages = BandpassFilter.decimationStages(factor).map(stage => {
+            const outputRate = rate / stage;
+            const sections = BandpassFilter.butterworthQ(4).map(q =>
+                BandpassFilter.designLowpass(0.4 * outputRate, rate, q));
+            rate = outputRate;
+            return { factor: stage, sections, state: sections.map(() => ({ z1: 0, z2: 0 })), phase: 0 };
+        });
+
+        return {
+            sampleRate: rate,
+            process: (block) => {
+                let current = Float64Array.from(block);
+
+                for (const stage of stages) {
+                    BandpassFilter.filterInPlace(stage.sections, current, stage.state);
+
+                    // Keep every factor-th sample, continuing the count across blocks
+                    const first = (stage.factor - stage.phase) % stage.factor;
+                    const count = first < current.length
+                        ? Math.floor((current.length - 1 - first) / stage.factor) + 1
+                        : 0;
+                    const next = new Float64Array(count);
+                    for (let i = 0; i < count; i++) {
+                        next[i] = current[first + i * stage.factor];
+                    }
+
+                    stage.phase = (stage.phase + current.length) % stage.factor;
+                    current = next;
+                }
+
+                return Float32Array.from(current);
+            }
+        };
+    }
+
+    /**
+     * Reduce sample rate to roughly analysisRate in anti-aliased stages
+     * onProgress(fraction) follows the stages, weighted by the samples each one filters
+     */
+    decimate(data, sampleRate, onProgress = () => {}) {
+        const factor = Math.max(1, Math.floor(sampleRate / this.analysisRate));
+        const stages = BandpassFilter.decimationStages(factor);
+        let current = Float64Array.from(data);
+        let currentRate = sampleRate;
+
+        // Each stage costs about its input length
+        let work = 0;
+        let remaining = 1;
+        const totalWork = stages.reduce((sum, stage) => {
+            const stageWork = remaining;
+            remaining /= stage;
+            return sum + stageWork;
+        }, 0);
+
+        for (const stage of stages) {
+            const outputRate = currentRate / stage;
+
+            // 4th-order Butterworth anti-alias lowpass at 80% of the new Nyquist
+            const sections = BandpassFilter.butterworthQ(4).map(q =>
+                BandpassFilter.designLowpass(0.4 * outputRate, currentRate, q));
+            BandpassFilter.filterInPlace(sections, current);
+
+            const next = new Float64Array(Math.floor(current.length / stage));
+            for (let i = 0; i < next.length; i++) {
+                next[i] = current[i * stage];
+            }
+
+            work += current.length / data.length;
+            onProgress(Math.min(1, work / totalWork));
+
+            current = next;
+            currentRate = outputRate;
+        }
+
+        return { data: Float32Array.from(current), sampleRate: currentRate };
+    }
+
+    /**
+     * Split a decimation factor into stages of at most 10
+     * Keeps each anti-alias filter's cutoff well away from 0 relative to its rate
+     */
+    static decimationStages(factor) {
+        const primes = [];
+        let remaining = factor;
+        for (let p = 2; p * p <= remaining; p++) {
+            while (remaining % p === 0) {
+                primes.push(p);
+                remaining /= p;
+            }
+        }
+        if (remaining > 1) primes.push(remaining);
+
+        // Greedily merge small prime factors, largest first
+        primes.sort((a, b) => b - a);
+        const stages = [];
+        for (const p of primes) {
+            const last = stages.length - 1;
+            if (last >= 0 && stages[last] * p <= 10) {
+                stages[last] *= p;
+            } else {
+                stages.push(p);
+            }
+        }
+
+        return stages;
+    }
+
+    /**
+     * Q values of the biquad sections of an even-order Butterworth filter
+     */
+    static butterworthQ(order) {
+        const qs = [];
+        for (let k = 1; k <= order / 2; k++) {
+            qs.push(1 / (2 * Math.cos(Math.PI * (2 * k - 1) / (2 * order))));
+        }
+        return qs;
+    }
+
+    /**
+     * RBJ cookbook lowpass biquad, normalized so a0 = 1
+     */
+    static designLowpass(cutoff, sampleRate, q) {
+        const w0 = 2 * Math.PI * cutoff / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+
+        return {
+            b0: (1 - cos) / 2 / a0,
+            b1: (1 - cos) / a0,
+            b2: (1 - cos) / 2 / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0
+        };
+    }
+
+    /**
+     * RBJ cookbook highpass biquad, normalized so a0 = 1
+     */
+    static designHighpass(cutoff, sampleRate, q) {
+        const w0 = 2 * Math.PI * cutoff / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+
+        return {
+            b0: (1 + cos) / 2 / a0,
+            b1: -(1 + cos) / a0,
+            b2: (1 + cos) / 2 / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0
+        };
+    }
+
+    /**
+     * RBJ cookbook notch biquad, normalized so a0 = 1
+     */
+    static designNotch(frequency, sampleRate, q) {
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+
+        return {
+            b0: 1 / a0,
+            b1: -2 * cos / a0,
+            b2: 1 / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0
+        };
+    }
+
+    /**
+     * Run a cascade of biquads over the data (transposed direct form II)
+     * Pass a state array ({ z1, z2 } per section) to continue across blocks
+     */
+    static filterInPlace(sections, data, state = null) {
+        sections.forEach(({ b0, b1, b2, a1, a2 }, s) => {
+            let z1 = state ? state[s].z1 : 0;
+            let z2 = state ? state[s].z2 : 0;
+            for (let i = 0; i < data.length; i++) {
+                const x = data[i];
+                const y = b0 * x + z1;
+                z1 = b1 * x - a1 * y + z2;
+                z2 = b2 * x - a2 * y;
+                data[i] = y;
+            }
+            if (state) {
+                state[s].z1 = z1;
+                state[s].z2 = z2;
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Zero-phase filtering: forward pass, then the same cascade over the reversed signal
+     */
+    static filtfilt(sections, data) {
+        BandpassFilter.filterInPlace(sections, data);
+        data.reverse();
+        BandpassFilter.filterInPlace(sections, data);
+        data.reverse();
+        return data;
+    }
+}
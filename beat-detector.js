@@ -0,0 +1,155 @@
+/**
+ * Beat Detector Module
+ * Envelope extraction, adaptive thresholding and refractory-limited peak picking
+ */
+
+import { BandpassFilter } from './bandpass-filter.js';
+
+export class BeatDetector {
+    constructor(options = {}) {
+        this.bandpass = options.bandpass || new BandpassFilter();
+        this.maxBpm = options.maxBpm ?? 200;               // Fastest plausible heart rate
+        this.thresholdWindow = options.thresholdWindow ?? 2; // Seconds of context for the threshold
+        this.thresholdFactor = options.thresholdFactor ?? 0.5; // Std devs above the local mean
+        this.minAmplitude = options.minAmplitude ?? 0.1;   // Fraction of the global envelope peak
+        this.rectify = options.rectify ?? true;            // false for signals that already are a pulse wave (PPG)
+    }
+
+    /**
+     * Shortest allowed gap between beats, derived from maxBpm
+     */
+    get refractoryPeriod() {
+        return 60 / this.maxBpm;
+    }
+
+    /**
+     * Detect beats in a (decimated) signal
+     * Returns beat timestamps in seconds plus the envelope and threshold used
+     */
+    detect(signal, sampleRate) {
+        const envelope = this.extractEnvelope(signal, sampleRate);
+        const threshold = this.adaptiveThreshold(envelope, sampleRate);
+        const beats = this.pickBeats(envelope, threshold, sampleRate);
+
+        return { beats, envelope, threshold, sampleRate };
+    }
+
+    /**
+     * Full-wave rectify heart sounds (or take a pulse wave as is), then band-limit
+     * to the heart rate band
+     * Normalized so the largest excursion is 1
+     */
+    extractEnvelope(signal, sampleRate) {
+        let mean = 0;
+        for (let i = 0; i < signal.length; i++) mean += signal[i];
+        mean /= signal.length || 1;
+
+        const rectified = new Float32Array(signal.length);
+        for (let i = 0; i < signal.length; i++) {
+            rectified[i] = this.rectify ? Math.abs(signal[i] - mean) : signal[i] - mean;
+        }
+
+        const envelope = this.bandpass.apply(rectified, sampleRate);
+
+        let peak = 0;
+        for (let i = 0; i < envelope.length; i++) {
+            peak = Math.max(peak, Math.abs(envelope[i]));
+        }
+        if (peak > 0) {
+            for (let i = 0; i < envelope.length; i++) envelope[i] /= peak;
+        }
+
+        return envelope;
+    }
+
+    /**
+     * Local mean + k * local std over a sliding window, tracking the signal level
+     */
+    adaptiveThreshold(envelope, sampleRate) {
+        const n = envelope.length;
+        const half = Math.max(1, Math.round(this.thresholdWindow * sampleRate / 2));
+
+        // Prefix sums make each window O(1)
+        const sum = new Float64Array(n + 1);
+        const sumSq = new Float64Array(n + 1);
+        for (let i = 0; i < n; i++) {
+            sum[i + 1] = sum[i] + envelope[i];
+            sumSq[i + 1] = sumSq[i] + envelope[i] * envelope[i];
+        }
+
+        const threshold = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const start = Math.max(0, i - half);
+            const end = Math.min(n, i + half + 1);
+            const count = end - start;
+            const mean = (sum[end] - sum[start]) / count;
+            const variance = Math.max(0, (sumSq[end] - sumSq[start]) / count - mean * mean);
+
+            threshold[i] = Math.max(mean + this.thresholdFactor * Math.sqrt(variance), this.minAmplitude);
+        }
+
+        return threshold;
+    }
+
+    /**
+     * Local maxima above the threshold, keeping the larger of two peaks
+     * that fall inside the refractory period
+     * Peak times are refined between samples by parabolic interpolation,
+     * since the ~10 ms analysis step is coarse for beat-to-beat variability
+     */
+    pickBeats(envelope, threshold, sampleRate) {
+        const refractory = Math.round(this.refractoryPeriod * sampleRate);
+        const peaks = [];
+
+        for (let i = 1; i < envelope.length - 1; i++) {
+            if (envelope[i] <= threshold[i] ||
+                envelope[i] < envelope[i - 1] ||
+                envelope[i] <= envelope[i + 1]) {
+                continue;
+            }
+
+            const last = peaks[peaks.length - 1];
+            if (last !== undefined && i - last < refractory) {
+                if (envelope[i] > envelope[last]) {
+                    peaks[peaks.length - 1] = i;
+                }
+                continue;
+            }
+
+            peaks.push(i);
+        }
+
+        return peaks.map(index => this.refinePeak(envelope, index, sampleRate));
+    }
+
+    /**
+     * Time (s) of a peak sample, refined by fitting a parabola through it and its neighbours
+     */
+    refinePeak(envelope, index, sampleRate) {
+        if (index <= 0 || index >= envelope.length - 1) {
+            return index / sampleRate;
+        }
+
+        const [a, b, c] = [envelope[index - 1], envelope[index], envelope[index + 1]];
+        const curvature = a - 2 * b + c;
+        const offset = curvature < 0 ? 0.5 * (a - c) / curvature : 0;
+        return (index + offset) / sampleRate;
+    }
+
+    /**
+     * Snap a time (s) to the highest envelope point within radius seconds of it,
+     * for beats placed by hand
+     */
+    nearestPeak(envelope, sampleRate, time, radius = 0.1) {
+        const center = Math.round(time * sampleRate);
+        const first = Math.max(0, center - Math.round(radius * sampleRate));
+        const last = Math.min(envelope.length - 1, center + Math.round(radius * sampleRate));
+        if (first > last) return time;
+
+        let best = first;
+        for (let i = first + 1; i <= last; i++) {
+            if (envelope[i] > envelope[best]) best = i;
+        }
+        return this.refinePeak(envelope, best, sampleRate);
+    }
+}
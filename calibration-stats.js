@@ -0,0 +1,113 @@
+/**
+ * Calibration Stats Module
+ * Agreement between FreeKG and a reference heart rate (smartwatch, pulse count):
+ * error statistics, Bland–Altman data, and tuning of the filter band and beat
+ * threshold to a device's calibration pairs
+ */
+
+import { HeartRateAnalyzer } from './heart-rate-analyzer.js';
+
+export class CalibrationStats {
+    // Candidates for tune(): bandpass edges (Hz) and beat threshold (std devs)
+    static TUNING_GRID = {
+        lowCutoff: [0.6, 0.8],
+        highCutoff: [2.5, 3, 3.5],
+        thresholdFactor: [0.3, 0.5, 0.7, 0.9]
+    };
+
+    /**
+     * Error statistics of calibration pairs ({ bpm, referenceBpm })
+     * Differences are FreeKG minus reference: bias > 0 means FreeKG reads high
+     * Limits of agreement are bias ± 1.96 standard deviations (null under 2 pairs)
+     */
+    static summarize(pairs) {
+        const differences = pairs.map(pair => pair.bpm - pair.referenceBpm);
+        const count = differences.length;
+        if (count === 0) {
+            return { count: 0, mae: null, bias: null, sd: null, rmse: null, mape: null, limits: null };
+        }
+
+        const bias = differences.reduce((sum, d) => sum + d, 0) / count;
+        const mae = differences.reduce((sum, d) => sum + Math.abs(d), 0) / count;
+        const rmse = Math.sqrt(differences.reduce((sum, d) => sum + d * d, 0) / count);
+        const mape = 100 * pairs.reduce((sum, pair) => sum + Math.abs(pair.bpm - pair.referenceBpm) / pair.referenceBpm, 0) / count;
+        const sd = count > 1
+            ? Math.sqrt(differences.reduce((sum, d) => sum + (d - bias) ** 2, 0) / (count - 1))
+            : null;
+
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            count,
+            mae: round(mae),
+            bias: round(bias),
+            sd: sd === null ? null : round(sd),
+            rmse: round(rmse),
+            mape: round(mape),
+            limits: sd === null ? null : { lower: round(bias - 1.96 * sd), upper: round(bias + 1.96 * sd) }
+        };
+    }
+
+    /**
+     * Bland–Altman points: mean of the two readings against their difference
+     */
+    static blandAltman(pairs) {
+        return pairs.map(pair => ({
+            mean: (pair.bpm + pair.referenceBpm) / 2,
+            difference: pair.bpm - pair.referenceBpm
+        }));
+    }
+
+    /**
+     * Search TUNING_GRID for the filter band and beat threshold that best match the
+     * references, re-detecting beats in each pair's stored analysis-rate signal
+     * Only tunings that lower the mean absolute error by minImprovement BPM, over at
+     * least minPairs pairs, are offered (improved: true); otherwise the defaults stand
+     * Returns { tuning, mae, baselineMae, count, improved }
+     */
+    static tune(pairs, options = {}) {
+        const { minPairs = 5, minImprovement = 0.5, grid = CalibrationStats.TUNING_GRID } = options;
+        const usable = pairs.filter(pair => pair.signal && pair.signal.length > 0 && pair.analysisRate > 0);
+        const sensor = usable.length > 0 ? usable[0].sensor : 'microphone';
+
+        const baselineMae = CalibrationStats.errorWith(usable, new HeartRateAnalyzer({ sensor }));
+        let best = { tuning: null, mae: baselineMae };
+
+        if (usable.length >= minPairs) {
+            for (const lowCutoff of grid.lowCutoff) {
+                for (const highCutoff of grid.highCutoff) {
+                    for (const thresholdFactor of grid.thresholdFactor) {
+                        const tuning = { filter: { lowCutoff, highCutoff }, beatDetector: { thresholdFactor } };
+                        const mae = CalibrationStats.errorWith(usable, new HeartRateAnalyzer({ sensor, tuning }));
+                        if (mae < best.mae) {
+                            best = { tuning, mae };
+                        }
+                    }
+                }
+            }
+        }
+
+        const improved = best.tuning !== null && baselineMae - best.mae >= minImprovement;
+        return {
+            tuning: improved ? best.tuning : null,
+            mae: Math.round((improved ? best.mae : baselineMae) * 100) / 100,
+            baselineMae: Math.round(baselineMae * 100) / 100,
+            count: usable.length,
+            improved
+        };
+    }
+
+    /**
+     * Mean absolute error of an analyzer's beat-interval BPM against the references
+     */
+    static errorWith(pairs, analyzer) {
+        if (pairs.length === 0) return 0;
+
+        const total = pairs.reduce((sum, pair) => {
+            const detection = analyzer.findPeaks(pair.signal, pair.analysisRate);
+            const { bpm } = analyzer.estimator.estimate(detection.beats, detection.envelope, detection.sampleRate);
+            return sum + Math.abs(bpm - pair.referenceBpm);
+        }, 0);
+
+        return total / pairs.length;
+    }
+}
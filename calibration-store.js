@@ -0,0 +1,64 @@
+/**
+ * Calibration Store Module
+ * Pairs of a FreeKG reading and a reference heart rate, kept in their own
+ * IndexedDB database next to the measurement history
+ */
+
+import { HistoryStore } from './history-store.js';
+
+export class CalibrationStore extends HistoryStore {
+    constructor(options = {}) {
+        super({ dbName: 'freekg-calibration', ...options });
+    }
+
+    /**
+     * Device profile a measurement belongs to: the camera, or a microphone by its label
+     */
+    static deviceKey(sensor, label = '') {
+        return sensor === 'camera' ? 'camera' : `microphone:${label || 'default'}`;
+    }
+
+    /**
+     * Readable name of a device profile key
+     */
+    static deviceName(key) {
+        if (key === 'camera') return 'Camera';
+        const label = key.slice('microphone:'.length);
+        return label === 'default' ? 'Default microphone' : label;
+    }
+
+    /**
+     * Build a calibration pair from a detectHeartRate() result and a reference BPM
+     * The analysis-rate signal is kept so the pairs can later re-tune the detector
+     */
+    static createPair(result, referenceBpm, { device, historyId = null } = {}) {
+        const sensor = result.sensor || 'microphone';
+
+        return {
+            timestamp: Date.now(),
+            device: device || CalibrationStore.deviceKey(sensor),
+            sensor,
+            bpm: result.bpm,
+            referenceBpm,
+            confidence: result.confidence,
+            duration: result.duration,
+            analysisRate: result.analysisRate,
+            signal: result.decimated ? Array.from(result.decimated) : null,
+            historyId
+        };
+    }
+
+    /**
+     * Pairs of one device profile, oldest first
+     */
+    static forDevice(pairs, device) {
+        return pairs.filter(pair => pair.device === device);
+    }
+
+    /**
+     * Device profile keys with at least one pair
+     */
+    static devices(pairs) {
+        return Array.from(new Set(pairs.map(pair => pair.device)));
+    }
+}
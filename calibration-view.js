@@ -0,0 +1,256 @@
+/**
+ * Calibration View Module
+ * Reference BPM entry on the results screen, and the calibration section of the
+ * settings screen: accuracy statistics, Bland–Altman plot and tuning per device
+ */
+
+import { CalibrationStats } from './calibration-stats.js';
+import { CalibrationStore } from './calibration-store.js';
+
+export class CalibrationView {
+    static REFERENCE_RANGE = { min: 30, max: 240 };
+
+    constructor(options = {}) {
+        this.onSave = options.onSave || (() => {});
+        this.onDeviceChange = options.onDeviceChange || (() => {});
+        this.onTune = options.onTune || (() => {});
+        this.onResetTuning = options.onResetTuning || (() => {});
+        this.onClear = options.onClear || (() => {});
+        this.bindControls();
+    }
+
+    /**
+     * Wire up the reference entry and the settings section buttons
+     */
+    bindControls() {
+        const input = document.getElementById('referenceBpmInput');
+        const save = () => {
+            const referenceBpm = CalibrationView.parseReference(input.value);
+            if (referenceBpm === null) {
+                const { min, max } = CalibrationView.REFERENCE_RANGE;
+                this.showPromptStatus(`Enter a heart rate between ${min} and ${max} BPM`, true);
+                return;
+            }
+            this.onSave(referenceBpm);
+        };
+
+        document.getElementById('saveReferenceBtn')?.addEventListener('click', save);
+        input?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') save();
+        });
+
+        document.getElementById('calibrationDevice')?.addEventListener('change', (event) => {
+            this.onDeviceChange(event.target.value);
+        });
+        document.getElementById('tuneBtn')?.addEventListener('click', () => this.onTune());
+        document.getElementById('resetTuningBtn')?.addEventListener('click', () => this.onResetTuning());
+        document.getElementById('clearCalibrationBtn')?.addEventListener('click', () => this.onClear());
+    }
+
+    /**
+     * Show or hide the reference entry on the results screen
+     */
+    showPrompt(visible) {
+        const panel = document.getElementById('calibrationPanel');
+        if (panel) {
+            panel.style.display = visible ? '' : 'none';
+        }
+
+        const input = document.getElementById('referenceBpmInput');
+        if (input) {
+            input.value = '';
+        }
+        this.showPromptStatus(visible ? 'Enter the heart rate your watch or a manual pulse count showed' : '');
+    }
+
+    /**
+     * Status line under the reference entry
+     */
+    showPromptStatus(message, isError = false) {
+        const element = document.getElementById('calibrationStatus');
+        if (element) {
+            element.textContent = message;
+            element.style.color = isError ? '#dc3545' : '#888';
+        }
+    }
+
+    /**
+     * Confirm a saved pair, e.g. "✓ Saved: 72 BPM vs reference 70 BPM (+2)"
+     */
+    showSaved(pair) {
+        const difference = pair.bpm - pair.referenceBpm;
+        const sign = difference > 0 ? '+' : '';
+        this.showPromptStatus(`✓ Saved: ${pair.bpm} BPM vs reference ${pair.referenceBpm} BPM (${sign}${difference})`);
+    }
+
+    /**
+     * Render the settings section for one device profile
+     * devices: profile keys to choose from; pairs: the chosen device's pairs;
+     * tuning: its applied tuning or null
+     */
+    render({ devices, device, pairs, tuning }) {
+        const select = document.getElementById('calibrationDevice');
+        if (select) {
+            select.innerHTML = '';
+            devices.forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = CalibrationStore.deviceName(key);
+                select.appendChild(option);
+            });
+            select.value = device;
+        }
+
+        this.renderStats(CalibrationStats.summarize(pairs));
+        this.drawBlandAltman(pairs);
+
+        const tuningStatus = document.getElementById('tuningStatus');
+        if (tuningStatus) {
+            tuningStatus.textContent = CalibrationView.describeTuning(tuning);
+        }
+
+        const resetTuningBtn = document.getElementById('resetTuningBtn');
+        if (resetTuningBtn) {
+            resetTuningBtn.disabled = !tuning;
+        }
+        const clearCalibrationBtn = document.getElementById('clearCalibrationBtn');
+        if (clearCalibrationBtn) {
+            clearCalibrationBtn.disabled = pairs.length === 0;
+        }
+
+        this.showStatus(pairs.length === 0
+            ? 'No reference readings yet - turn on calibration and enter one after a measurement'
+            : '');
+    }
+
+    /**
+     * Fill the statistics list
+     */
+    renderStats(stats) {
+        const list = document.getElementById('calibrationStats');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (stats.count === 0) return;
+
+        const signed = value => `${value > 0 ? '+' : ''}${value}`;
+        const rows = [
+            ['Readings', stats.count],
+            ['Mean absolute error', `${stats.mae} BPM (${stats.mape}%)`],
+            ['Bias', `${signed(stats.bias)} BPM`],
+            ['Limits of agreement', stats.limits ? `${signed(stats.limits.lower)} to ${signed(stats.limits.upper)} BPM` : '--']
+        ];
+
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            item.append(term, detail);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Bland–Altman plot: difference (FreeKG - reference) against the mean of the
+     * two, with the bias as a solid line and the limits of agreement dashed
+     */
+    drawBlandAltman(pairs) {
+        const canvas = document.getElementById('blandAltmanCanvas');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.offsetWidth || 600;
+        const height = canvas.offsetHeight || 200;
+        canvas.width = width;
+        canvas.height = height;
+
+        ctx.fillStyle = '#fafafa';
+        ctx.fillRect(0, 0, width, height);
+        if (pairs.length === 0) return;
+
+        const points = CalibrationStats.blandAltman(pairs);
+        const stats = CalibrationStats.summarize(pairs);
+        const limits = stats.limits || { lower: stats.bias, upper: stats.bias };
+
+        const padding = { left: 36, right: 10, top: 10, bottom: 22 };
+        const means = points.map(point => point.mean);
+        const minMean = Math.floor((Math.min(...means) - 5) / 10) * 10;
+        const maxMean = Math.ceil((Math.max(...means) + 5) / 10) * 10;
+        const extent = Math.max(5, ...points.map(point => Math.abs(point.difference)),
+            Math.abs(limits.lower), Math.abs(limits.upper));
+        const range = Math.ceil(extent / 5) * 5;
+
+        const toX = mean => padding.left + ((mean - minMean) / (maxMean - minMean)) * (width - padding.left - padding.right);
+        const toY = difference => padding.top + (1 - (difference + range) / (2 * range)) * (height - padding.top - padding.bottom);
+
+        // Axis labels
+        ctx.fillStyle = '#999';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`+${range}`, padding.left - 6, padding.top + 8);
+        ctx.fillText('0', padding.left - 6, toY(0) + 4);
+        ctx.fillText(`-${range}`, padding.left - 6, height - padding.bottom);
+        ctx.textAlign = 'left';
+        ctx.fillText(`${minMean} BPM`, padding.left, height - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxMean} BPM`, width - padding.right, height - 6);
+
+        const line = (difference, color, dash) => {
+            ctx.beginPath();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash(dash);
+            ctx.moveTo(padding.left, toY(difference));
+            ctx.lineTo(width - padding.right, toY(difference));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+
+        // Zero, bias and limits of agreement
+        line(0, '#ddd', []);
+        line(stats.bias, '#667eea', []);
+        if (stats.limits) {
+            line(stats.limits.lower, '#764ba2', [5, 5]);
+            line(stats.limits.upper, '#764ba2', [5, 5]);
+        }
+
+        points.forEach((point, i) => {
+            ctx.beginPath();
+            ctx.fillStyle = pairs[i].confidence >= 0.5 ? '#667eea' : '#ccc';
+            ctx.arc(toX(point.mean), toY(point.difference), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Status line under the settings section
+     */
+    showStatus(message, isError = false) {
+        const element = document.getElementById('calibrationSectionStatus');
+        if (element) {
+            element.textContent = message;
+            element.style.color = isError ? '#dc3545' : '#888';
+        }
+    }
+
+    /**
+     * Reference BPM from the input, or null when it isn't a plausible heart rate
+     */
+    static parseReference(value) {
+        const bpm = Math.round(Number(value));
+        const { min, max } = CalibrationView.REFERENCE_RANGE;
+        return String(value).trim() !== '' && Number.isFinite(bpm) && bpm >= min && bpm <= max ? bpm : null;
+    }
+
+    /**
+     * "Tuned: 0.6–3 Hz, threshold 0.9" or the default
+     */
+    static describeTuning(tuning) {
+        if (!tuning) return 'Using the default filter band and beat threshold';
+
+        const { lowCutoff, highCutoff } = tuning.filter;
+        return `Tuned: ${lowCutoff}–${highCutoff} Hz band, beat threshold ${tuning.beatDetector.thresholdFactor}`;
+    }
+}
@@ -0,0 +1,530 @@
+/**
+ * Camera Processor Module
+ * Fingertip photoplethysmography (PPG): a fingertip over the rear camera, lit by
+ * the torch where the phone has one, darkens slightly with every pulse. The mean
+ * red intensity of each frame is resampled to a steady rate and analyzed by the
+ * same HeartRateAnalyzer pipeline as a microphone recording
+ */
+
+import { HeartRateAnalyzer } from './heart-rate-analyzer.js';
+import { AnalysisClient } from './analysis-client.js';
+import { StreamingAnalyzer } from './streaming-analyzer.js';
+import { WavCodec } from './wav-codec.js';
+import { AudioError } from './audio-error.js';
+
+export class CameraProcessor extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.video = options.video || null;          // <video> showing the camera (created if missing)
+        this.stream = null;
+        this.canvas = null;
+        this.context = null;
+        this.torch = false;                           // Torch switched on
+        this.sampleRate = options.sampleRate ?? 30;   // Frames are resampled to this rate (Hz)
+        this.frameSize = options.frameSize ?? 32;     // Centre of each frame is averaged at this size
+        this.minRed = options.minRed ?? 60;           // Mean red below this: too dark to see a pulse
+        this.minRedRatio = options.minRedRatio ?? 1.4; // Red over green/blue: light through a fingertip
+        this.maxIssueFraction = options.maxIssueFraction ?? 0.1; // Uncovered frames a placement check allows
+        this.minPeriodicity = options.minPeriodicity ?? 0.6;
+        this.minConfidence = options.minConfidence ?? 0.5;
+        this.warnSeconds = options.warnSeconds ?? 0.3;  // Finger off long enough to tell the user
+        this.maxBadSeconds = options.maxBadSeconds ?? 1; // ...and before a restart
+        this.maxRestarts = options.maxRestarts ?? 2;
+        this.stallSeconds = options.stallSeconds ?? 3;   // No frames this long: the camera has stopped
+
+        this.recordingData = new Float32Array(0);
+        this.recordedSamples = 0;
+        this.isRecording = false;
+        this.onRecordingComplete = null;
+        this.onRecordingFailed = null;
+        this.frameRequest = null;
+        this.streamingAnalyzer = null;
+        this.restarts = 0;
+        this.qualityIssues = [];      // Sustained problems left in the last recording
+        this.cachedAudioBuffer = null; // Last recording as WAV, like AudioProcessor's (for export)
+        this.analyzer = new HeartRateAnalyzer({ ...options, sensor: 'camera' });
+        this.analysisClient = new AnalysisClient(this.analyzer, options.analysis);
+    }
+
+    /**
+     * Open the rear camera and switch on its torch where possible
+     * Resolves with { success: true, torch } or { success: false, error: AudioError }
+     */
+    async requestCamera() {
+        if (!window.isSecureContext) {
+            return {
+                success: false,
+                error: new AudioError('insecure-context', 'Camera access requires HTTPS')
+            };
+        }
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return {
+                success: false,
+                error: new AudioError('unsupported', 'getUserMedia is not available')
+            };
+        }
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: false,
+                video: {
+                    facingMode: { ideal: 'environment' },
+                    width: { ideal: 320 },
+                    height: { ideal: 240 },
+                    frameRate: { ideal: 30 }
+                }
+            });
+
+            await this.attachVideo();
+            this.torch = await this.setTorch(true);
+            return { success: true, torch: this.torch };
+        } catch (error) {
+            this.cleanup();
+            return {
+                success: false,
+                error: AudioError.from(error, 'camera-busy', 'camera')
+            };
+        }
+    }
+
+    /**
+     * Play the camera stream in the preview element, and prepare the canvas frames are read from
+     */
+    async attachVideo() {
+        if (!this.video) {
+            this.video = document.createElement('video');
+        }
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.srcObject = this.stream;
+        await this.video.play();
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.frameSize;
+            this.canvas.height = this.frameSize;
+            this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+    }
+
+    /**
+     * Switch the torch on or off; resolves with whether it is on
+     * (false where the camera has none, e.g. Safari on iOS)
+     */
+    async setTorch(on) {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+        if (!capabilities.torch) return false;
+
+        try {
+            await track.applyConstraints({ advanced: [{ torch: on }] });
+            return on;
+        } catch (error) {
+            console.warn('Could not switch the torch:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Mean red, green and blue (0-255) of the centre of the current frame
+     */
+    readFrame() {
+        const width = this.video.videoWidth;
+        const height = this.video.videoHeight;
+        const crop = Math.min(width, height) / 2;
+        this.context.drawImage(this.video, (width - crop) / 2, (height - crop) / 2, crop, crop,
+            0, 0, this.frameSize, this.frameSize);
+
+        const pixels = this.context.getImageData(0, 0, this.frameSize, this.frameSize).data;
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            red += pixels[i];
+            green += pixels[i + 1];
+            blue += pixels[i + 2];
+        }
+
+        const count = pixels.length / 4;
+        return { red: red / count, green: green / count, blue: blue / count };
+    }
+
+    /**
+     * What is wrong with a frame for PPG: 'too-dark', 'no-finger' or null
+     */
+    frameIssue(frame) {
+        if (frame.red < this.minRed) return 'too-dark';
+        if (frame.red < this.minRedRatio * Math.max(frame.green, frame.blue)) return 'no-finger';
+        return null;
+    }
+
+    /**
+     * Record a PPG signal for durationSeconds; resolves with the samples at sampleRate,
+     * zero-mean and scaled to ±0.9 with pulses pointing up
+     * Options and events as for AudioProcessor.startRecording(): { streaming, monitor, cache, signal };
+     * a finger lifted for maxBadSeconds restarts the recording (up to maxRestarts)
+     */
+    async startRecording(durationSeconds = 15, options = {}) {
+        const { signal } = options;
+
+        if (!this.stream || !this.stream.active || !this.video) {
+            throw new AudioError('camera-busy', 'The camera stream has ended');
+        }
+        if (signal && signal.aborted) {
+            throw CameraProcessor.abortError();
+        }
+
+        this.recordingData = new Float32Array(Math.round(durationSeconds * this.sampleRate));
+        this.isRecording = true;
+        this.restarts = 0;
+        this.qualityIssues = [];
+        this.monitorFinger = options.monitor ?? true;
+        this.frameStats = { frames: 0, issues: {} };
+        this.streamingAnalyzer = options.streaming
+            ? new StreamingAnalyzer({
+                filter: this.analyzer.filter,
+                beatDetector: this.analyzer.beatDetector,
+                estimator: this.analyzer.estimator,
+                sampleRate: this.sampleRate
+            })
+            : null;
+        this.resetCapture();
+
+        const onAbort = () => this.stopRecording();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        // A camera that stops delivering frames would otherwise leave the recording hanging
+        this.lastFrameWallTime = performance.now();
+        const watchdog = setInterval(() => {
+            if (performance.now() - this.lastFrameWallTime > this.stallSeconds * 1000) {
+                this.failRecording(new AudioError('camera-busy', 'The camera stopped delivering frames'));
+            }
+        }, 1000);
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.onRecordingComplete = resolve;
+                this.onRecordingFailed = reject;
+                this.scheduleFrame();
+            });
+        } finally {
+            clearInterval(watchdog);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            this.streamingAnalyzer = null;
+        }
+
+        if (signal && signal.aborted) {
+            throw CameraProcessor.abortError();
+        }
+
+        // A stop before the target count leaves a shorter recording
+        this.recordingData = CameraProcessor.toPulseWave(this.recordingData.subarray(0, this.recordedSamples));
+        console.log(`PPG recorded: ${(this.recordingData.length / this.sampleRate).toFixed(2)}s, torch ${this.torch ? 'on' : 'off'}`);
+
+        if (options.cache !== false) {
+            this.createRecordingCache();
+        }
+
+        return this.recordingData;
+    }
+
+    /**
+     * Start filling the recording from its first sample again
+     */
+    resetCapture() {
+        this.recordedSamples = 0;
+        this.startTime = null;
+        this.lastFrame = null;
+        this.lastQualityTime = null;
+        this.badSeconds = 0;
+        if (this.streamingAnalyzer) {
+            this.streamingAnalyzer.reset();
+        }
+    }
+
+    /**
+     * Ask for the next camera frame (requestVideoFrameCallback where available,
+     * so each frame is read once with its capture time)
+     */
+    scheduleFrame() {
+        if (!this.isRecording) return;
+
+        if (this.video.requestVideoFrameCallback) {
+            this.frameRequest = this.video.requestVideoFrameCallback((now, metadata) => this.handleFrame(metadata.mediaTime));
+        } else {
+            this.frameRequest = requestAnimationFrame(now => this.handleFrame(now / 1000));
+        }
+    }
+
+    /**
+     * Read one frame into the recording, watching for a lifted finger
+     */
+    handleFrame(time) {
+        if (!this.isRecording) return;
+        this.lastFrameWallTime = performance.now();
+
+        const frame = this.readFrame();
+        const issue = this.frameIssue(frame);
+        this.frameStats.frames++;
+        if (issue) {
+            this.frameStats.issues[issue] = (this.frameStats.issues[issue] || 0) + 1;
+        }
+
+        const restarted = this.monitorFinger && this.checkFrameQuality(issue, time);
+        if (!restarted) {
+            // Less light gets through while the pulse fills the fingertip: invert so beats point up
+            this.appendFrame(time, -frame.red);
+        }
+
+        if (this.recordedSamples >= this.recordingData.length) {
+            this.stopRecording();
+            return;
+        }
+        this.scheduleFrame();
+    }
+
+    /**
+     * Add the samples due up to a frame's time, interpolating between frames,
+     * and run live analysis on them
+     */
+    appendFrame(time, value) {
+        if (this.lastFrame === null) {
+            this.startTime = time;
+            this.lastFrame = { time, value };
+        }
+
+        const first = this.recordedSamples;
+        const last = this.lastFrame;
+        while (this.recordedSamples < this.recordingData.length) {
+            const sampleTime = this.startTime + this.recordedSamples / this.sampleRate;
+            if (sampleTime > time) break;
+
+            const span = time - last.time;
+            const fraction = span > 0 ? (sampleTime - last.time) / span : 1;
+            this.recordingData[this.recordedSamples++] = last.value + (value - last.value) * fraction;
+        }
+        this.lastFrame = { time, value };
+
+        if (this.recordedSamples > first) {
+            this.dispatchEvent(new CustomEvent('progress', { detail: { fraction: this.recordedSamples / this.recordingData.length } }));
+        }
+        if (this.streamingAnalyzer && this.recordedSamples > first) {
+            this.analyzeBlock(this.recordingData.subarray(first, this.recordedSamples));
+        }
+    }
+
+    /**
+     * Track how long the fingertip has been off the lens (or too dark)
+     * Returns true if the recording was restarted because of it
+     */
+    checkFrameQuality(issue, time) {
+        const elapsed = this.lastQualityTime === null ? 0 : time - this.lastQualityTime;
+        this.lastQualityTime = time;
+        this.badSeconds = issue ? this.badSeconds + elapsed : 0;
+
+        const sustained = this.badSeconds >= this.maxBadSeconds;
+        this.dispatchEvent(new CustomEvent('quality', {
+            detail: { issue, warning: this.badSeconds >= this.warnSeconds ? issue : null, sustained }
+        }));
+
+        if (!sustained) {
+            return false;
+        }
+
+        if (this.restarts < this.maxRestarts) {
+            this.restartRecording(issue);
+            return true;
+        }
+
+        // Out of restarts: keep going, but remember what went wrong
+        if (!this.qualityIssues.includes(issue)) {
+            this.qualityIssues.push(issue);
+        }
+        this.badSeconds = 0;
+        return false;
+    }
+
+    /**
+     * Discard what has been captured so far and record the full duration again
+     */
+    restartRecording(reason) {
+        this.restarts++;
+        this.resetCapture();
+
+        console.warn(`Restarting PPG recording (${reason}), attempt ${this.restarts}`);
+        this.dispatchEvent(new CustomEvent('restart', { detail: { reason, restarts: this.restarts } }));
+    }
+
+    /**
+     * Run live analysis on new samples and emit its results
+     */
+    analyzeBlock(samples) {
+        const update = this.streamingAnalyzer.process(samples);
+
+        update.beats.forEach(time => {
+            this.dispatchEvent(new CustomEvent('beat', { detail: { time, bpm: update.bpm } }));
+        });
+        this.dispatchEvent(new CustomEvent('analysis', { detail: update }));
+    }
+
+    /**
+     * Stop recording; the samples captured so far are kept
+     */
+    stopRecording() {
+        this.isRecording = false;
+        this.cancelFrame();
+
+        if (this.onRecordingComplete) {
+            const resolve = this.onRecordingComplete;
+            this.onRecordingComplete = null;
+            this.onRecordingFailed = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Stop recording with an error
+     */
+    failRecording(error) {
+        this.isRecording = false;
+        this.cancelFrame();
+
+        if (this.onRecordingFailed) {
+            const reject = this.onRecordingFailed;
+            this.onRecordingComplete = null;
+            this.onRecordingFailed = null;
+            reject(error);
+        }
+    }
+
+    /**
+     * Drop a pending frame request
+     */
+    cancelFrame() {
+        if (this.frameRequest === null) return;
+
+        if (this.video && this.video.cancelVideoFrameCallback) {
+            this.video.cancelVideoFrameCallback(this.frameRequest);
+        } else {
+            cancelAnimationFrame(this.frameRequest);
+        }
+        this.frameRequest = null;
+    }
+
+    /**
+     * Short recording to check the fingertip covers the lens and a pulse shows
+     * Report as for SignalQualityMonitor.assessPlacement(); { signal } cancels it
+     */
+    async checkPlacement(durationSeconds = 4, options = {}) {
+        const samples = await this.startRecording(durationSeconds, { cache: false, monitor: false, signal: options.signal });
+
+        const { spectral, estimate } = this.analyzer.assess(samples, this.sampleRate);
+        const report = this.assessPlacement(this.frameStats, spectral, estimate);
+        console.log('Fingertip check:', report);
+        return report;
+    }
+
+    /**
+     * Placement report from frame statistics ({ frames, issues: { issue: count } })
+     * and the analyzer's estimates
+     * Issue codes: 'too-dark', 'no-finger', 'no-pulse'
+     */
+    assessPlacement(frameStats, spectral, estimate) {
+        const issues = [];
+        const frames = frameStats.frames || 1;
+
+        ['too-dark', 'no-finger'].forEach(issue => {
+            if ((frameStats.issues[issue] || 0) / frames > this.maxIssueFraction) {
+                issues.push(issue);
+            }
+        });
+        if (issues.length === 0 &&
+            (spectral.periodicity < this.minPeriodicity || estimate.confidence < this.minConfidence)) {
+            issues.push('no-pulse');
+        }
+
+        return {
+            ok: issues.length === 0,
+            issues,
+            coverage: 1 - Object.values(frameStats.issues).reduce((a, b) => a + b, 0) / frames,
+            periodicity: spectral.periodicity,
+            confidence: estimate.confidence,
+            bpm: estimate.bpm || spectral.bpm
+        };
+    }
+
+    /**
+     * Zero-mean PPG scaled to ±0.9, so it fits a WAV file
+     */
+    static toPulseWave(samples) {
+        const output = Float32Array.from(samples);
+        let mean = 0;
+        for (let i = 0; i < output.length; i++) mean += output[i];
+        mean /= output.length || 1;
+
+        let peak = 0;
+        for (let i = 0; i < output.length; i++) {
+            output[i] -= mean;
+            peak = Math.max(peak, Math.abs(output[i]));
+        }
+        if (peak > 0) {
+            for (let i = 0; i < output.length; i++) output[i] *= 0.9 / peak;
+        }
+
+        return output;
+    }
+
+    /**
+     * Keep the last recording as a WAV blob for bundle export
+     * (at the frame rate it isn't audible, so there is no player)
+     */
+    createRecordingCache() {
+        if (this.recordingData.length === 0) return;
+
+        this.cachedAudioBuffer = {
+            url: null,
+            blob: new Blob([WavCodec.encode(this.recordingData, this.sampleRate)], { type: 'audio/wav' }),
+            duration: this.recordingData.length / this.sampleRate,
+            sampleRate: this.sampleRate,
+            samples: this.recordingData.length
+        };
+    }
+
+    /**
+     * Detect heart rate in the analysis worker, like AudioProcessor.analyzeRecording()
+     */
+    async analyzeRecording(data, sampleRate = this.sampleRate, options = {}) {
+        const result = await this.analysisClient.analyze(data, sampleRate, options);
+        console.log(`PPG BPM: ${result.bpm} (confidence ${result.confidence}), spectral ${result.spectral.bpm}`);
+        return result;
+    }
+
+    /**
+     * Turn off the torch and release the camera
+     */
+    cleanup() {
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        this.analysisClient.terminate();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+        }
+        this.torch = false;
+    }
+
+    /**
+     * The error a cancelled recording rejects with
+     */
+    static abortError() {
+        return new DOMException('Recording cancelled', 'AbortError');
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Device Picker Module
+ * Microphone selector on the placement step; hidden when there is only one input
+ */
+
+export class DevicePicker {
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.devices = [];
+        this.bindSelect();
+    }
+
+    /**
+     * Report the chosen device as { deviceId, label }
+     */
+    bindSelect() {
+        const select = document.getElementById('inputDeviceSelect');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            const device = this.devices.find(d => d.deviceId === select.value);
+            this.onChange({ deviceId: select.value, label: device ? device.label : '' });
+        });
+    }
+
+    /**
+     * Find a saved device in a fresh list: by id first, then by name, since
+     * browsers may hand out new ids (e.g. after site data is cleared)
+     */
+    static findDevice(devices, deviceId, label = '') {
+        return devices.find(device => deviceId && device.deviceId === deviceId) ||
+            devices.find(device => label && device.label === label) ||
+            null;
+    }
+
+    /**
+     * Name shown for a device; labels stay empty until microphone access is granted
+     */
+    static labelFor(device, index) {
+        if (device.label) return device.label;
+        return device.deviceId === 'default' ? 'Default microphone' : `Microphone ${index + 1}`;
+    }
+
+    /**
+     * Fill the selector with audio inputs and select the one in use
+     */
+    render(devices, selectedId = '') {
+        this.devices = devices;
+
+        const field = document.getElementById('inputDeviceField');
+        const select = document.getElementById('inputDeviceSelect');
+        if (!field || !select) return;
+
+        select.innerHTML = '';
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = DevicePicker.labelFor(device, index);
+            select.appendChild(option);
+        });
+
+        if (devices.some(device => device.deviceId === selectedId)) {
+            select.value = selectedId;
+        }
+
+        // Nothing to choose from with a single input
+        field.style.display = devices.length > 1 ? '' : 'none';
+    }
+
+    /**
+     * Lock the selector while the microphone is busy checking
+     */
+    setEnabled(enabled) {
+        const select = document.getElementById('inputDeviceSelect');
+        if (select) {
+            select.disabled = !enabled;
+        }
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Error View Module
+ * Inline error panel: what went wrong, how to fix it on this device, and a retry button
+ */
+
+export class ErrorView {
+    static TITLES = {
+        'permission-denied': 'Microphone access is blocked',
+        'no-microphone': 'No microphone found',
+        'microphone-busy': 'The microphone is in use or not responding',
+        'insecure-context': 'This page isn\'t secure',
+        'unsupported': 'This browser can\'t record audio',
+        'audio-suspended': 'The browser paused audio',
+        'decode-failed': 'The file couldn\'t be read',
+        'camera-denied': 'Camera access is blocked',
+        'no-camera': 'No rear camera found',
+        'camera-busy': 'The camera is in use or not responding',
+        'unknown': 'Something went wrong'
+    };
+
+    // Recovery steps per category, with platform-specific variants where they differ
+    static GUIDANCE = {
+        'permission-denied': {
+            ios: [
+                'Tap "aA" in the address bar, then Website Settings, and set Microphone to Allow',
+                'If that option is missing, open the Settings app → Safari → Microphone and choose Ask or Allow',
+                'Come back here and tap Try again'
+            ],
+            android: [
+                'Tap the icon left of the address bar, then Permissions, and allow Microphone',
+                'If Chrome itself is blocked: Settings app → Apps → Chrome → Permissions → Microphone → Allow',
+                'Come back here and tap Try again'
+            ],
+            desktop: [
+                'Click the site icon left of the address bar and allow the microphone for this site',
+                'On macOS, also check System Settings → Privacy & Security → Microphone for your browser',
+                'Click Try again'
+            ]
+        },
+        'no-microphone': {
+            default: [
+                'Make sure a microphone is connected and not disabled in your system settings',
+                'Tap Try again'
+            ]
+        },
+        'microphone-busy': {
+            ios: [
+                'End any phone or FaceTime call and close apps that record audio',
+                'Tap Try again'
+            ],
+            default: [
+                'Close other apps or tabs that use the microphone (calls, voice recorders, video chats)',
+                'Tap Try again'
+            ]
+        },
+        'insecure-context': {
+            default: [
+                'Browsers only allow the microphone on https:// pages',
+                'Open FreeKG at its https:// address'
+            ]
+        },
+        'unsupported': {
+            default: [
+                'Use a current version of Chrome, Safari, Firefox or Edge',
+                'In-app browsers (e.g. inside social media apps) often block the microphone - open the page in your browser'
+            ]
+        },
+        'audio-suspended': {
+            default: [
+                'Browsers only start audio after a tap - tap Try again',
+                'If you are on a call, end it first'
+            ]
+        },
+        'decode-failed': {
+            default: [
+                'Choose a WAV file or a recording exported from FreeKG',
+                'Compressed formats depend on what your browser can decode'
+            ]
+        },
+        'camera-denied': {
+            ios: [
+                'Tap "aA" in the address bar, then Website Settings, and set Camera to Allow',
+                'If that option is missing, open the Settings app → Safari → Camera and choose Ask or Allow',
+                'Come back here and tap Try again'
+            ],
+            android: [
+                'Tap the icon left of the address bar, then Permissions, and allow Camera',
+                'If Chrome itself is blocked: Settings app → Apps → Chrome → Permissions → Camera → Allow',
+                'Come back here and tap Try again'
+            ],
+            desktop: [
+                'Click the site icon left of the address bar and allow the camera for this site',
+                'Click Try again'
+            ]
+        },
+        'no-camera': {
+            default: [
+                'Camera mode needs a phone with a rear camera',
+                'Start over and choose the microphone instead'
+            ]
+        },
+        'camera-busy': {
+            default: [
+                'Close other apps or tabs that use the camera or flashlight',
+                'Tap Try again'
+            ]
+        },
+        'unknown': {
+            default: ['Tap Try again', 'If it keeps happening, reload the page']
+        }
+    };
+
+    constructor(options = {}) {
+        this.onRetry = options.onRetry || (() => {});
+        this.onDismiss = options.onDismiss || (() => {});
+        this.platform = ErrorView.detectPlatform(options.userAgent ?? globalThis.navigator?.userAgent);
+        this.bindButtons();
+    }
+
+    /**
+     * Retry and start-over buttons
+     */
+    bindButtons() {
+        const retryBtn = document.getElementById('errorRetryBtn');
+        if (retryBtn) {
+            retryBtn.addEventListener('click', () => this.onRetry());
+        }
+
+        const dismissBtn = document.getElementById('errorDismissBtn');
+        if (dismissBtn) {
+            dismissBtn.addEventListener('click', () => this.onDismiss());
+        }
+    }
+
+    /**
+     * 'ios', 'android' or 'desktop', for picking recovery steps
+     */
+    static detectPlatform(userAgent = '') {
+        if (/iPhone|iPad|iPod/.test(userAgent) || (/Macintosh/.test(userAgent) && /Mobile/.test(userAgent))) {
+            return 'ios';
+        }
+        if (/Android/.test(userAgent)) {
+            return 'android';
+        }
+        return 'desktop';
+    }
+
+    /**
+     * Title and recovery steps for an error category on a platform
+     */
+    static describe(category, platform = 'desktop') {
+        const guidance = ErrorView.GUIDANCE[category] || ErrorView.GUIDANCE.unknown;
+        return {
+            title: ErrorView.TITLES[category] || ErrorView.TITLES.unknown,
+            steps: guidance[platform] || guidance.default || guidance.desktop
+        };
+    }
+
+    /**
+     * Show the panel for an AudioError (or anything with category and message)
+     * message replaces the error's technical message as the explanation
+     */
+    show(error, message = '') {
+        const panel = document.getElementById('errorPanel');
+        if (!panel) return;
+
+        const category = (error && error.category) || 'unknown';
+        const { title, steps } = ErrorView.describe(category, this.platform);
+
+        document.getElementById('errorTitle').textContent = title;
+        document.getElementById('errorMessage').textContent = message || (error && error.message) || '';
+
+        const list = document.getElementById('errorSteps');
+        list.innerHTML = '';
+        steps.forEach(step => {
+            const item = document.createElement('li');
+            item.textContent = step;
+            list.appendChild(item);
+        });
+
+        // Retrying can't fix an insecure page or a missing API
+        const retryBtn = document.getElementById('errorRetryBtn');
+        if (retryBtn) {
+            retryBtn.style.display = error && error.retryable === false ? 'none' : '';
+        }
+
+        panel.style.display = '';
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        const panel = document.getElementById('errorPanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * FreeKG Monitor Element
+ * <freekg-monitor> custom element: a self-contained heart rate monitor in shadow DOM,
+ * built on the FreeKG API, so any number can sit on a page without id collisions
+ *
+ *   <script type="module" src="freekg-monitor.js"></script>
+ *   <freekg-monitor duration="30" sensor="microphone"></freekg-monitor>
+ *
+ * Attributes: duration (seconds, default 15), sensor ('microphone' or 'camera')
+ * Theming: --freekg-accent, --freekg-background, --freekg-text, --freekg-muted,
+ * --freekg-radius and --freekg-font, or ::part(container|bpm|heart|progress|status|button|preview)
+ * Events: the API's beat, progress, quality and result events, re-dispatched from the
+ * element (bubbling, composed), plus 'error' with { error } when a measurement fails
+ */
+
+import { FreeKG } from './freekg.js';
+import { ErrorView } from './error-view.js';
+import { RecordingIssues } from './recording-issues.js';
+
+export class FreeKGMonitor extends HTMLElement {
+    static observedAttributes = ['duration', 'sensor'];
+
+    static STYLE = `
+        :host {
+            display: block;
+            font-family: var(--freekg-font, inherit);
+            color: var(--freekg-text, #333);
+        }
+        :host([hidden]) {
+            display: none;
+        }
+        .monitor {
+            background: var(--freekg-background, white);
+            border-radius: var(--freekg-radius, 12px);
+            padding: 20px;
+            text-align: center;
+        }
+        .reading {
+            font-size: 1em;
+        }
+        .heart {
+            display: inline-block;
+            font-size: 1.8em;
+            vertical-align: middle;
+        }
+        .heart.pulse {
+            animation: pulse 0.3s ease-out;
+        }
+        @keyframes pulse {
+            0% { transform: scale(1); }
+            40% { transform: scale(1.3); }
+            100% { transform: scale(1); }
+        }
+        .bpm {
+            font-size: 2.5em;
+            font-weight: bold;
+            color: var(--freekg-accent, #667eea);
+            vertical-align: middle;
+            margin: 0 6px;
+        }
+        .unit {
+            color: var(--freekg-muted, #888);
+        }
+        .progress {
+            height: 6px;
+            background: #e0e0e0;
+            border-radius: 3px;
+            overflow: hidden;
+            margin: 15px 0 10px;
+        }
+        .bar {
+            height: 100%;
+            width: 0;
+            background: var(--freekg-accent, #667eea);
+        }
+        .status {
+            font-size: 0.9em;
+            color: var(--freekg-muted, #888);
+            min-height: 1.2em;
+            margin: 0 0 10px;
+        }
+        .status.error {
+            color: #dc3545;
+        }
+        .preview {
+            width: 96px;
+            height: 72px;
+            border-radius: 8px;
+            object-fit: cover;
+            margin-bottom: 10px;
+        }
+        .preview[hidden] {
+            display: none;
+        }
+        button {
+            background: var(--freekg-accent, #667eea);
+            color: white;
+            border: none;
+            border-radius: 50px;
+            padding: 10px 28px;
+            font: inherit;
+            cursor: pointer;
+        }
+    `;
+
+    static TEMPLATE = `
+        <div class="monitor" part="container">
+            <div class="reading">
+                <span class="heart" part="heart">❤️</span>
+                <span class="bpm" part="bpm">--</span>
+                <span class="unit">BPM</span>
+            </div>
+            <div class="progress" part="progress"><div class="bar"></div></div>
+            <p class="status" part="status" role="status"></p>
+            <video class="preview" part="preview" muted playsinline hidden></video>
+            <button type="button" part="button">Measure</button>
+        </div>
+    `;
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${FreeKGMonitor.STYLE}</style>${FreeKGMonitor.TEMPLATE}`;
+
+        this.elements = {
+            heart: this.shadowRoot.querySelector('.heart'),
+            bpm: this.shadowRoot.querySelector('.bpm'),
+            bar: this.shadowRoot.querySelector('.bar'),
+            status: this.shadowRoot.querySelector('.status'),
+            preview: this.shadowRoot.querySelector('.preview'),
+            button: this.shadowRoot.querySelector('button')
+        };
+        this.freekg = new FreeKG({ video: this.elements.preview });
+        this.result = null;  // Last completed measurement
+        this.warning = null; // Recording problem shown in the status line
+        this.recordingText = ''; // What to do during the measurement, shown when there is no problem
+
+        this.elements.button.addEventListener('click', () => {
+            if (this.freekg.measuring) {
+                this.cancel();
+            } else {
+                this.start();
+            }
+        });
+        ['beat', 'progress', 'quality', 'result'].forEach(type => {
+            this.freekg.addEventListener(type, (event) => this.handleEvent(type, event.detail));
+        });
+        this.render();
+    }
+
+    /**
+     * Recording length in seconds, from the duration attribute
+     */
+    get duration() {
+        const duration = Number(this.getAttribute('duration'));
+        return Number.isFinite(duration) && duration > 0 ? duration : 15;
+    }
+
+    /**
+     * Sensor from the sensor attribute (the microphone unless 'camera')
+     */
+    get sensor() {
+        return this.getAttribute('sensor') === 'camera' ? 'camera' : 'microphone';
+    }
+
+    /**
+     * Attribute changes take effect on the idle display; a running measurement keeps its settings
+     */
+    attributeChangedCallback() {
+        if (!this.freekg.measuring) {
+            this.render();
+        }
+    }
+
+    /**
+     * Removed from the page: stop measuring and release the microphone or camera
+     */
+    disconnectedCallback() {
+        this.freekg.release();
+    }
+
+    /**
+     * Measure once; resolves with the result, or null if it was cancelled or failed
+     * (failures are shown in the element and dispatched as an 'error' event)
+     */
+    async start() {
+        if (this.freekg.measuring) return null;
+
+        const sensor = this.sensor;
+        this.elements.bpm.textContent = '--';
+        this.elements.button.textContent = 'Cancel';
+        this.elements.preview.hidden = sensor !== 'camera';
+        this.setProgress(0);
+        this.warning = null;
+        this.recordingText = sensor === 'camera'
+            ? 'Keep your fingertip still on the camera'
+            : 'Keep the phone steady against your neck';
+        this.showStatus(this.recordingText);
+
+        try {
+            this.result = await this.freekg.measure({ duration: this.duration, sensor });
+            this.render();
+            return this.result;
+        } catch (error) {
+            this.render();
+            if (error.name !== 'AbortError') {
+                this.showStatus(ErrorView.TITLES[error.category] || error.message, true);
+                this.dispatchEvent(new CustomEvent('error', { detail: { error }, bubbles: true, composed: true }));
+            }
+            return null;
+        } finally {
+            // The microphone or camera (and its torch) is only held while measuring
+            this.freekg.release();
+        }
+    }
+
+    /**
+     * Cancel the measurement in progress
+     */
+    cancel() {
+        this.freekg.cancel();
+    }
+
+    /**
+     * Update the display for an API event, then re-dispatch it from the element
+     */
+    handleEvent(type, detail) {
+        if (type === 'beat') {
+            this.elements.bpm.textContent = detail.bpm || '--';
+            this.elements.heart.classList.remove('pulse');
+            void this.elements.heart.offsetWidth; // Restart the animation
+            this.elements.heart.classList.add('pulse');
+        } else if (type === 'progress') {
+            this.setProgress(detail.phase === 'recording' ? detail.fraction : 1);
+            if (detail.phase === 'analyzing') {
+                this.showStatus(`Analyzing... ${Math.round(detail.fraction * 100)}%`);
+            }
+        } else if (type === 'quality') {
+            this.showWarning(detail.warning || null);
+        }
+
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    /**
+     * Warn about a recording problem, until it clears and the instruction comes back
+     */
+    showWarning(warning) {
+        if (warning === this.warning) return;
+        this.warning = warning;
+
+        if (warning) {
+            this.showStatus(`⚠️ ${RecordingIssues.MESSAGES[warning] || warning}`, true);
+        } else {
+            this.showStatus(this.recordingText);
+        }
+    }
+
+    /**
+     * Idle display: the last result, or what to do next
+     */
+    render() {
+        this.warning = null;
+        this.elements.button.textContent = 'Measure';
+        this.elements.preview.hidden = true;
+        this.setProgress(this.result ? 1 : 0);
+
+        if (this.result && this.result.bpm) {
+            this.elements.bpm.textContent = this.result.bpm;
+            this.showStatus(`Confidence ${Math.round(this.result.confidence * 100)}%`);
+        } else if (this.result) {
+            this.elements.bpm.textContent = '--';
+            this.showStatus('No pulse found - adjust the position and try again', true);
+        } else {
+            this.showStatus(this.sensor === 'camera'
+                ? `Cover the rear camera with a fingertip, then measure for ${this.duration} s`
+                : `Hold the phone against your neck, then measure for ${this.duration} s`);
+        }
+    }
+
+    /**
+     * Fill the progress bar to a fraction
+     */
+    setProgress(fraction) {
+        this.elements.bar.style.width = `${Math.round(fraction * 100)}%`;
+    }
+
+    /**
+     * Status line under the progress bar
+     */
+    showStatus(message, isError = false) {
+        this.elements.status.textContent = message;
+        this.elements.status.classList.toggle('error', isError);
+    }
+}
+
+if (!customElements.get('freekg-monitor')) {
+    customElements.define('freekg-monitor', FreeKGMonitor);
+}
@@ -0,0 +1,180 @@
+/**
+ * FreeKG Public API
+ * Programmatic heart rate measurement for pages embedding FreeKG: no element ids,
+ * no app state. Each instance owns its own microphone and camera processors
+ *
+ *   const freekg = new FreeKG();
+ *   freekg.addEventListener('beat', (event) => console.log(event.detail.bpm));
+ *   const result = await freekg.measure({ duration: 15, sensor: 'microphone' });
+ *
+ * Events (CustomEvent detail):
+ *   beat     { time, bpm }                               live beat during recording
+ *   progress { phase: 'recording' | 'analyzing', fraction, stage }
+ *   quality  { issue, warning, sustained }               signal problem during recording
+ *   restart  { reason, restarts }                        recording restarted after a problem
+ *   result   the measurement, as measure() resolves with it
+ */
+
+import { AudioProcessor } from './audio-processor.js';
+import { CameraProcessor } from './camera-processor.js';
+import { HeartRateAnalyzer } from './heart-rate-analyzer.js';
+import { MeasurementSettings } from './measurement-settings.js';
+
+export class FreeKG extends EventTarget {
+    static SENSORS = HeartRateAnalyzer.SENSORS;
+    static FORWARDED_EVENTS = ['beat', 'quality', 'restart'];
+
+    /**
+     * options are passed to the processors: filter, analysis, inputDeviceId, and for
+     * the camera a <video> to show its preview in (hidden if not given)
+     * options.processors ({ microphone, camera }) replaces them, e.g. in tests
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.processors = {};
+        this.controller = null; // Aborts the measurement in progress
+
+        Object.entries(options.processors || {}).forEach(([sensor, processor]) => this.attach(sensor, processor));
+    }
+
+    /**
+     * Whether a measurement is in progress
+     */
+    get measuring() {
+        return this.controller !== null;
+    }
+
+    /**
+     * Processor for a sensor, created on first use
+     */
+    processorFor(sensor) {
+        if (!this.processors[sensor]) {
+            this.attach(sensor, sensor === 'camera'
+                ? new CameraProcessor(this.options)
+                : new AudioProcessor(this.options));
+        }
+        return this.processors[sensor];
+    }
+
+    /**
+     * Use a processor for a sensor, forwarding its events as the API's own
+     */
+    attach(sensor, processor) {
+        this.processors[sensor] = processor;
+        FreeKG.FORWARDED_EVENTS.forEach(type => {
+            processor.addEventListener(type, (event) => this.emit(type, event.detail));
+        });
+        processor.addEventListener('progress', (event) => {
+            this.emit('progress', { phase: 'recording', fraction: event.detail.fraction });
+        });
+    }
+
+    /**
+     * Ask for access to a sensor, unless it is already open
+     * Rejects with the AudioError explaining why access failed
+     */
+    async open(sensor = 'microphone') {
+        const processor = this.processorFor(sensor);
+        const stream = sensor === 'camera' ? processor.stream : processor.mediaStream;
+        if (stream && stream.active) return;
+
+        const access = sensor === 'camera'
+            ? await processor.requestCamera()
+            : await processor.requestMicrophone();
+        if (!access.success) {
+            throw access.error;
+        }
+    }
+
+    /**
+     * Record for duration seconds with the microphone on the neck or a fingertip on
+     * the camera, and resolve with the analysis result (bpm, confidence, peaks, hrv...)
+     * plus the qualityIssues the recording was left with
+     * Rejects with an AudioError if the sensor can't be used, and with an AbortError
+     * when cancelled through { signal } or cancel()
+     */
+    async measure(options = {}) {
+        const { duration = 15, sensor = 'microphone', signal } = options;
+
+        if (!FreeKG.SENSORS.includes(sensor)) {
+            throw new Error(`Sensor must be one of ${FreeKG.SENSORS.join(', ')}, got ${sensor}`);
+        }
+        const [minDuration, maxDuration] = MeasurementSettings.LIMITS.duration;
+        if (!(duration >= minDuration && duration <= maxDuration)) {
+            throw new Error(`Duration must be between ${minDuration} and ${maxDuration} seconds, got ${duration}`);
+        }
+        if (this.measuring) {
+            throw new Error('A measurement is already in progress');
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        this.controller = controller;
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+            if (signal.aborted) controller.abort();
+        }
+
+        try {
+            const processor = this.processorFor(sensor);
+            await this.open(sensor);
+            if (controller.signal.aborted) {
+                throw FreeKG.abortError();
+            }
+
+            this.emit('progress', { phase: 'recording', fraction: 0 });
+            // No cached WAV: its player is part of the app's results screen
+            const samples = await processor.startRecording(duration, {
+                streaming: true,
+                cache: false,
+                signal: controller.signal
+            });
+
+            const result = await processor.analyzeRecording(samples, processor.sampleRate, {
+                signal: controller.signal,
+                onProgress: (fraction, stage) => this.emit('progress', { phase: 'analyzing', fraction, stage })
+            });
+
+            const measurement = { ...result, qualityIssues: Array.from(processor.qualityIssues) };
+            this.emit('result', measurement);
+            return measurement;
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Cancel the measurement in progress, if any
+     */
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Cancel any measurement and release the microphone and camera
+     */
+    release() {
+        this.cancel();
+        Object.values(this.processors).forEach(processor => processor.cleanup());
+    }
+
+    /**
+     * Dispatch one of the API's events
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * The error a cancelled measurement rejects with
+     */
+    static abortError() {
+        return new DOMException('Measurement cancelled', 'AbortError');
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * Heart Rate Analyzer Module
+ * DOM-free analysis core: raw samples in, BPM, beats and confidence out
+ * Runs unchanged in the browser and in Node
+ */
+
+import { BandpassFilter } from './bandpass-filter.js';
+import { BeatDetector } from './beat-detector.js';
+import { HeartRateEstimator } from './heart-rate-estimator.js';
+import { SpectralEstimator } from './spectral-estimator.js';
+import { HrvAnalyzer } from './hrv-analyzer.js';
+import { NoiseReducer } from './noise-reducer.js';
+
+export class HeartRateAnalyzer {
+    static SENSORS = ['microphone', 'camera'];
+
+    constructor(options = {}) {
+        // Heart sounds are rectified into an envelope; a camera PPG signal already is a pulse wave
+        this.sensor = HeartRateAnalyzer.SENSORS.includes(options.sensor) ? options.sensor : 'microphone';
+        this.options = options;
+        this.baseFilter = { ...options.filter };  // Filter settings before any tuning
+        this.tuning = options.tuning || null;     // Per-device band and threshold (see CalibrationStats.tune())
+        this.configure();
+        this.estimator = new HeartRateEstimator(options.estimator);
+        this.spectralEstimator = new SpectralEstimator(options.spectralEstimator);
+        this.hrvAnalyzer = new HrvAnalyzer({ ...options.hrv, estimator: this.estimator });
+        this.noiseReducer = new NoiseReducer(options.noiseReducer);
+        this.noiseProfile = options.noiseProfile || null; // Room noise from createNoiseProfile()
+        this.agreementTolerance = options.agreementTolerance ?? 0.1; // Fraction of BPM
+    }
+
+    /**
+     * Build the bandpass filter and beat detector from the options and the tuning
+     */
+    configure() {
+        const tuning = this.tuning || {};
+        this.filter = new BandpassFilter({ ...this.baseFilter, ...tuning.filter });
+        this.beatDetector = new BeatDetector({
+            rectify: this.sensor === 'microphone',
+            ...this.options.beatDetector,
+            ...tuning.beatDetector,
+            bandpass: this.filter
+        });
+    }
+
+    /**
+     * Plain options that build an equivalent analyzer (e.g. in the analysis worker)
+     */
+    getOptions() {
+        const { beatDetector, estimator, spectralEstimator, hrv } = this.options;
+        return {
+            sensor: this.sensor,
+            filter: { ...this.baseFilter },
+            tuning: this.tuning,
+            beatDetector,
+            estimator,
+            spectralEstimator,
+            hrv,
+            noiseReducer: this.noiseReducer.getSettings(),
+            noiseProfile: this.noiseProfile,
+            agreementTolerance: this.agreementTolerance
+        };
+    }
+
+    /**
+     * Change the bandpass filter settings (cutoffs, order, analysis rate)
+     */
+    setFilterOptions(options) {
+        this.baseFilter = { ...this.baseFilter, ...options };
+        this.configure();
+    }
+
+    /**
+     * Use a device's calibrated filter band and beat threshold,
+     * or null to go back to the analyzer's own options
+     */
+    setTuning(tuning) {
+        this.tuning = tuning || null;
+        this.configure();
+    }
+
+    /**
+     * Apply bandpass filter to isolate heart rate frequencies
+     * Returns the filtered signal at the decimated analysis rate
+     */
+    bandpassFilter(data, sampleRate) {
+        return this.filter.process(data, sampleRate);
+    }
+
+    /**
+     * Noise profile of a recording of the room alone (phone held away from the body),
+     * for spectral subtraction from the following measurements
+     * Taken at the analysis rate, after the same hum removal and decimation
+     */
+    createNoiseProfile(data, sampleRate) {
+        const mainsFrequency = this.noiseReducer.humFrequency(data, sampleRate);
+        const input = mainsFrequency ? this.noiseReducer.removeHum(data, sampleRate, mainsFrequency) : data;
+        const decimated = this.filter.decimate(input, sampleRate);
+
+        return {
+            ...this.noiseReducer.createProfile(decimated.data, decimated.sampleRate, this.noiseBand(decimated.sampleRate)),
+            mainsFrequency,
+            duration: data.length / sampleRate
+        };
+    }
+
+    /**
+     * Band the noise floor is measured in: from the low cutoff to the top of the
+     * decimated signal, where heart sounds are before the envelope is taken
+     */
+    noiseBand(analysisRate) {
+        return { low: this.filter.lowCutoff, high: 0.4 * analysisRate };
+    }
+
+    /**
+     * Microphone recordings only: notch mains hum, decimate, then subtract the room
+     * noise profile if there is one
+     * Returns the decimated signal and what was done to it (null for the camera)
+     */
+    denoise(data, sampleRate, onProgress) {
+        if (this.sensor !== 'microphone') {
+            return {
+                decimated: this.filter.decimate(data, sampleRate, fraction => onProgress(0.6 * fraction, 'decimating')),
+                noiseReduction: null
+            };
+        }
+
+        const mainsFrequency = this.noiseReducer.humFrequency(data, sampleRate, this.noiseProfile);
+        const input = mainsFrequency ? this.noiseReducer.removeHum(data, sampleRate, mainsFrequency) : data;
+        onProgress(0.1, 'hum');
+
+        const decimated = this.filter.decimate(input, sampleRate, fraction => onProgress(0.1 + 0.45 * fraction, 'decimating'));
+        const band = this.noiseBand(decimated.sampleRate);
+        const floorBeforeDb = this.noiseReducer.noiseFloor(decimated.data, decimated.sampleRate, band);
+
+        let floorAfterDb = floorBeforeDb;
+        if (this.noiseProfile) {
+            decimated.data = this.noiseReducer.subtract(decimated.data, decimated.sampleRate, this.noiseProfile);
+            floorAfterDb = this.noiseReducer.noiseFloor(decimated.data, decimated.sampleRate, band);
+        }
+        onProgress(0.6, 'denoising');
+
+        return {
+            decimated,
+            noiseReduction: {
+                mainsFrequency,
+                profiled: Boolean(this.noiseProfile),
+                profileFloorDb: this.noiseProfile ? this.noiseProfile.floorDb : null,
+                floorBeforeDb,
+                floorAfterDb
+            }
+        };
+    }
+
+    /**
+     * Denoise, decimate, detect beats and run both BPM estimates
+     * The shared first half of analyze() and the placement check
+     * onProgress(fraction, stage) is called as each step completes
+     */
+    assess(data, sampleRate, onProgress = () => {}) {
+        const { decimated, noiseReduction } = this.denoise(data, sampleRate, onProgress);
+        const detection = this.findPeaks(decimated.data, decimated.sampleRate);
+        onProgress(0.75, 'beats');
+        const estimate = this.estimator.estimate(detection.beats, detection.envelope, detection.sampleRate);
+        const spectral = this.spectralEstimator.estimate(detection.envelope, detection.sampleRate);
+        onProgress(0.85, 'estimates');
+
+        return { decimated, detection, estimate, spectral, noiseReduction };
+    }
+
+    /**
+     * Full analysis of a recording
+     * duration defaults to the length of the data; onProgress as for assess()
+     */
+    analyze(data, sampleRate, duration = data.length / sampleRate, onProgress = () => {}) {
+        const { decimated, detection, estimate, spectral, noiseReduction } = this.assess(data, sampleRate, onProgress);
+
+        // Cross-check the beat-interval BPM against the dominant periodicity of the envelope
+        const agreement = this.compareEstimates(estimate.bpm, spectral.bpm);
+
+        const result = {
+            ...estimate,
+            estimates: {
+                peaks: estimate.bpm,
+                spectral: spectral.bpm
+            },
+            spectral: spectral,
+            estimatesAgree: agreement.agree,
+            bpmDifference: agreement.difference,
+            peaks: detection.beats,
+            recordedBeats: detection.beats.length,
+            duration: duration,
+            waveform: this.filter.apply(decimated.data, decimated.sampleRate),
+            decimated: decimated.data,
+            envelope: detection.envelope,
+            analysisRate: decimated.sampleRate,
+            hrv: this.hrvAnalyzer.analyze(detection.beats, duration),
+            filterSettings: this.filter.getSettings(),
+            noiseReduction,
+            sensor: this.sensor
+        };
+        onProgress(1, 'done');
+        return result;
+    }
+
+    /**
+     * Recompute BPM, confidence and HRV from an edited beat list (seconds),
+     * keeping the recording's envelope and spectral estimate
+     * The beats belong to one recording, so a combined series becomes that recording
+     * alone: its own duration, without combineMethod and measurements
+     * The result is flagged manuallyCorrected
+     */
+    reanalyze(result, beats) {
+        const { combineMethod, measurements, recordingDuration, ...recording } = result;
+        const duration = recordingDuration ?? result.duration;
+        const sorted = Array.from(beats).sort((a, b) => a - b);
+        const estimate = this.estimator.estimate(sorted, result.envelope, result.analysisRate);
+        const agreement = this.compareEstimates(estimate.bpm, result.spectral.bpm);
+
+        return {
+            ...recording,
+            ...estimate,
+            duration,
+            estimates: {
+                peaks: estimate.bpm,
+                spectral: result.spectral.bpm
+            },
+            estimatesAgree: agreement.agree,
+            bpmDifference: agreement.difference,
+            peaks: sorted,
+            recordedBeats: sorted.length,
+            hrv: this.hrvAnalyzer.analyze(sorted, duration),
+            manuallyCorrected: true
+        };
+    }
+
+    /**
+     * Where a beat tapped in at time (s) should go: the envelope peak nearby
+     */
+    snapBeat(result, time) {
+        return this.beatDetector.nearestPeak(result.envelope, result.analysisRate, time);
+    }
+
+    /**
+     * Compare the peak-based and spectral BPM estimates
+     * They agree when within agreementTolerance of each other (and at least 5 BPM)
+     */
+    compareEstimates(peakBpm, spectralBpm) {
+        const difference = Math.abs(peakBpm - spectralBpm);
+        const tolerance = Math.max(5, this.agreementTolerance * Math.max(peakBpm, spectralBpm));
+
+        return {
+            agree: peakBpm > 0 && spectralBpm > 0 && difference <= tolerance,
+            difference
+        };
+    }
+
+    /**
+     * Find heartbeats in decimated signal data
+     * Returns beat timestamps in seconds, with the envelope and threshold used
+     */
+    findPeaks(data, sampleRate) {
+        return this.beatDetector.detect(data, sampleRate);
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Heart Rate Estimator Module
+ * BPM from inter-beat intervals, outlier rejection and confidence scoring
+ */
+
+export class HeartRateEstimator {
+    constructor(options = {}) {
+        this.minBpm = options.minBpm ?? 40;
+        this.maxBpm = options.maxBpm ?? 200;
+        this.outlierTolerance = options.outlierTolerance ?? 0.25; // Max deviation from the median IBI
+        this.minIntervals = options.minIntervals ?? 4;            // Below this, confidence is scaled down
+        this.maxVariation = options.maxVariation ?? 0.2;          // IBI coefficient of variation scoring 0
+        this.snrRange = options.snrRange ?? [-10, 10];            // dB mapped onto a 0-1 score
+    }
+
+    /**
+     * Estimate BPM and confidence from beat timestamps (seconds)
+     * and the envelope the beats were picked from
+     */
+    estimate(beats, envelope, sampleRate) {
+        const allIntervals = [];
+        for (let i = 1; i < beats.length; i++) {
+            allIntervals.push(beats[i] - beats[i - 1]);
+        }
+
+        const { accepted, rejected } = this.rejectOutliers(allIntervals);
+
+        if (accepted.length === 0) {
+            return {
+                bpm: 0,
+                confidence: 0,
+                confidenceBreakdown: { regularity: 0, snr: 0, acceptance: 0 },
+                snrDb: -Infinity,
+                intervals: [],
+                rejectedIntervals: rejected,
+                rejectedBeats: rejected.length
+            };
+        }
+
+        const medianInterval = HeartRateEstimator.median(accepted);
+        const bpm = Math.round(60 / medianInterval);
+        const snrDb = this.signalToNoise(envelope, sampleRate, 1 / medianInterval);
+
+        const confidenceBreakdown = {
+            regularity: this.regularityScore(accepted),
+            snr: HeartRateEstimator.clamp01((snrDb - this.snrRange[0]) / (this.snrRange[1] - this.snrRange[0])),
+            acceptance: accepted.length / allIntervals.length
+        };
+
+        // Too few intervals can look perfectly regular by chance
+        const coverage = Math.min(1, accepted.length / this.minIntervals);
+        const confidence = coverage * (
+            0.4 * confidenceBreakdown.regularity +
+            0.3 * confidenceBreakdown.snr +
+            0.3 * confidenceBreakdown.acceptance
+        );
+
+        return {
+            bpm,
+            confidence: Math.round(confidence * 100) / 100,
+            confidenceBreakdown,
+            snrDb,
+            intervals: accepted,
+            rejectedIntervals: rejected,
+            rejectedBeats: rejected.length
+        };
+    }
+
+    /**
+     * Split intervals into those near the median and physiological range, and the rest
+     */
+    rejectOutliers(intervals) {
+        const flags = this.classifyIntervals(intervals);
+
+        return {
+            accepted: intervals.filter((ibi, i) => flags[i]),
+            rejected: intervals.filter((ibi, i) => !flags[i])
+        };
+    }
+
+    /**
+     * Per-interval acceptance flags, in order, using the same rule as rejectOutliers
+     */
+    classifyIntervals(intervals) {
+        const minInterval = 60 / this.maxBpm;
+        const maxInterval = 60 / this.minBpm;
+        const plausible = intervals.filter(ibi => ibi >= minInterval && ibi <= maxInterval);
+
+        if (plausible.length === 0) {
+            return intervals.map(() => false);
+        }
+
+        const median = HeartRateEstimator.median(plausible);
+        return intervals.map(ibi =>
+            ibi >= minInterval && ibi <= maxInterval && Math.abs(ibi - median) <= this.outlierTolerance * median
+        );
+    }
+
+    /**
+     * 1 for perfectly even intervals, 0 at maxVariation coefficient of variation
+     */
+    regularityScore(intervals) {
+        if (intervals.length < 2) return 0;
+
+        const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+        const variance = intervals.reduce((a, b) => a + (b - mean) ** 2, 0) / (intervals.length - 1);
+        const cv = Math.sqrt(variance) / mean;
+
+        return HeartRateEstimator.clamp01(1 - cv / this.maxVariation);
+    }
+
+    /**
+     * Ratio (dB) of envelope power at the beat frequency and its harmonics
+     * (±1 DFT bin each) to the power everywhere else, using a Hann window
+     */
+    signalToNoise(envelope, sampleRate, beatFrequency) {
+        const n = envelope.length;
+        if (n < 2) return -Infinity;
+
+        const windowed = new Float64Array(n);
+        let total = 0;
+        for (let i = 0; i < n; i++) {
+            const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1));
+            windowed[i] = envelope[i] * w;
+            total += windowed[i] * windowed[i];
+        }
+        if (total === 0) return -Infinity;
+
+        const binWidth = sampleRate / n;
+        const frequencies = [];
+        for (let f = beatFrequency; f + binWidth < sampleRate / 2; f += beatFrequency) {
+            frequencies.push(f - binWidth, f, f + binWidth);
+        }
+
+        let signal = 0;
+        for (const frequency of frequencies) {
+            const omega = 2 * Math.PI * frequency / sampleRate;
+            let re = 0;
+            let im = 0;
+            for (let i = 0; i < n; i++) {
+                re += windowed[i] * Math.cos(omega * i);
+                im -= windowed[i] * Math.sin(omega * i);
+            }
+            // Positive and negative frequency halves, normalized by Parseval
+            signal += 2 * (re * re + im * im) / n;
+        }
+
+        const ratio = Math.min(signal / total, 0.999);
+        return 10 * Math.log10(ratio / (1 - ratio));
+    }
+
+    /**
+     * Median of an array of numbers
+     */
+    static median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * Clamp a score into 0-1
+     */
+    static clamp01(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * History Store Module
+ * On-device measurement history in IndexedDB, plus daily/weekly summaries
+ */
+
+import { HrvAnalyzer } from './hrv-analyzer.js';
+
+export class HistoryStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'freekg';
+        this.storeName = 'measurements';
+        this.version = 1;
+        this.db = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('timestamp', 'timestamp');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the object store and resolve with its result
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Save a measurement; resolves with the stored entry including its id
+     */
+    async add(entry) {
+        const record = { ...entry };
+        delete record.id;
+        const id = await this.transaction('readwrite', store => store.add(record));
+        return { ...record, id };
+    }
+
+    /**
+     * Merge changes (e.g. tags) into a stored measurement
+     */
+    async update(id, changes) {
+        const existing = await this.transaction('readonly', store => store.get(id));
+        if (!existing) {
+            throw new Error(`No measurement with id ${id}`);
+        }
+
+        const updated = { ...existing, ...changes, id };
+        await this.transaction('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    /**
+     * All measurements, oldest first
+     */
+    getAll() {
+        return this.transaction('readonly', store => store.index('timestamp').getAll());
+    }
+
+    /**
+     * Delete one measurement
+     */
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Delete every measurement
+     */
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Build a history entry from a detectHeartRate() result
+     * HRV metrics are kept without the tachogram and Poincaré data;
+     * combined results also keep their individual readings
+     */
+    static fromResult(result, tags = []) {
+        const series = result.measurements
+            ? { measurements: result.measurements, combineMethod: result.combineMethod }
+            : {};
+        const recovery = result.recovery ? { recovery: result.recovery } : {};
+
+        return {
+            timestamp: Date.now(),
+            bpm: result.bpm,
+            confidence: result.confidence,
+            duration: result.duration,
+            intervals: Array.from(result.intervals || []),
+            hrv: HrvAnalyzer.summarize(result.hrv),
+            manuallyCorrected: Boolean(result.manuallyCorrected),
+            sensor: result.sensor || 'microphone',
+            ...series,
+            ...recovery,
+            tags: tags.slice()
+        };
+    }
+
+    /**
+     * Mean BPM per calendar day or ISO-style week (starting Monday), newest first
+     * Returns [{ start: Date, average, count }]
+     */
+    static averages(entries, period = 'day') {
+        const groups = new Map();
+
+        entries.forEach(entry => {
+            const start = new Date(entry.timestamp);
+            start.setHours(0, 0, 0, 0);
+            if (period === 'week') {
+                start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+            }
+
+            const key = start.getTime();
+            const group = groups.get(key) || { start, total: 0, count: 0 };
+            group.total += entry.bpm;
+            group.count++;
+            groups.set(key, group);
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => b.start - a.start)
+            .map(({ start, total, count }) => ({ start, average: Math.round(total / count), count }));
+    }
+}
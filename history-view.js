@@ -0,0 +1,195 @@
+/**
+ * History View Module
+ * Renders the measurement history screen: trend chart, averages and entry list
+ */
+
+import { HistoryStore } from './history-store.js';
+
+export class HistoryView {
+    constructor(options = {}) {
+        this.onDelete = options.onDelete || (() => {});
+    }
+
+    /**
+     * Render the whole history screen from stored entries (oldest first)
+     */
+    render(entries) {
+        this.showStatus(entries.length === 0 ? 'No measurements saved yet' : '');
+        this.drawChart(entries);
+        this.renderAverages('dailyAverages', HistoryStore.averages(entries, 'day').slice(0, 7), 'day');
+        this.renderAverages('weeklyAverages', HistoryStore.averages(entries, 'week').slice(0, 4), 'week');
+        this.renderList(entries);
+    }
+
+    /**
+     * Show a status line under the list
+     */
+    showStatus(message, isError = false) {
+        const element = document.getElementById('historyStatus');
+        if (element) {
+            element.textContent = message;
+            element.style.color = isError ? '#dc3545' : '#888';
+        }
+    }
+
+    /**
+     * Plot BPM over time with the daily average as a dashed line
+     */
+    drawChart(entries) {
+        const canvas = document.getElementById('historyChart');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.offsetWidth || 600;
+        const height = canvas.offsetHeight || 180;
+        canvas.width = width;
+        canvas.height = height;
+
+        ctx.fillStyle = '#fafafa';
+        ctx.fillRect(0, 0, width, height);
+        if (entries.length === 0) return;
+
+        const padding = { left: 36, right: 10, top: 10, bottom: 22 };
+        const bpms = entries.map(entry => entry.bpm);
+        const minBpm = Math.floor((Math.min(...bpms) - 5) / 10) * 10;
+        const maxBpm = Math.ceil((Math.max(...bpms) + 5) / 10) * 10;
+        const firstTime = entries[0].timestamp;
+        const span = Math.max(1, entries[entries.length - 1].timestamp - firstTime);
+
+        const toX = time => padding.left + ((time - firstTime) / span) * (width - padding.left - padding.right);
+        const toY = bpm => padding.top + (1 - (bpm - minBpm) / (maxBpm - minBpm)) * (height - padding.top - padding.bottom);
+
+        // Axis labels
+        ctx.fillStyle = '#999';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxBpm, padding.left - 6, padding.top + 8);
+        ctx.fillText(minBpm, padding.left - 6, height - padding.bottom);
+        ctx.textAlign = 'left';
+        ctx.fillText(new Date(firstTime).toLocaleDateString(), padding.left, height - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(new Date(firstTime + span).toLocaleDateString(), width - padding.right, height - 6);
+
+        // Daily averages
+        const daily = HistoryStore.averages(entries, 'day').reverse();
+        if (daily.length > 1) {
+            ctx.beginPath();
+            ctx.strokeStyle = '#764ba2';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([5, 5]);
+            daily.forEach((day, i) => {
+                const x = toX(Math.max(firstTime, day.start.getTime() + 12 * 3600 * 1000));
+                const y = toY(day.average);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Individual measurements
+        ctx.beginPath();
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2;
+        entries.forEach((entry, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(entry.timestamp), toY(entry.bpm));
+            } else {
+                ctx.lineTo(toX(entry.timestamp), toY(entry.bpm));
+            }
+        });
+        ctx.stroke();
+
+        entries.forEach(entry => {
+            ctx.beginPath();
+            ctx.fillStyle = entry.confidence >= 0.5 ? '#667eea' : '#ccc';
+            ctx.arc(toX(entry.timestamp), toY(entry.bpm), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Fill a list with per-day or per-week averages
+     */
+    renderAverages(elementId, averages, period) {
+        const list = document.getElementById(elementId);
+        if (!list) return;
+
+        list.innerHTML = '';
+        averages.forEach(({ start, average, count }) => {
+            const label = period === 'week'
+                ? `Week of ${start.toLocaleDateString()}`
+                : start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+            const item = document.createElement('li');
+            item.textContent = `${label}: ${average} BPM (${count})`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * List entries newest first, each with a delete button
+     */
+    renderList(entries) {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        entries.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+
+            const summary = document.createElement('span');
+            const date = new Date(entry.timestamp).toLocaleString();
+            const confidence = Math.round((entry.confidence || 0) * 100);
+            const hrv = entry.hrv && entry.hrv.reliable ? ` · RMSSD ${entry.hrv.rmssd} ms` : '';
+            summary.textContent = `${date} — ${entry.bpm} BPM (${confidence}%)${hrv}`;
+            item.appendChild(summary);
+
+            if (entry.manuallyCorrected) {
+                const edited = document.createElement('span');
+                edited.className = 'history-tag history-edited';
+                edited.textContent = 'edited';
+                edited.title = 'Beats corrected by hand';
+                item.appendChild(edited);
+            }
+
+            if (entry.sensor === 'camera') {
+                const camera = document.createElement('span');
+                camera.className = 'history-tag history-sensor';
+                camera.textContent = 'camera';
+                camera.title = 'Measured with the camera and a fingertip';
+                item.appendChild(camera);
+            }
+
+            if (entry.recovery) {
+                const recovery = document.createElement('span');
+                recovery.className = 'history-tag history-recovery';
+                recovery.textContent = 'recovery';
+                recovery.title = entry.recovery.hrr1 === null
+                    ? 'Recovery test'
+                    : `Recovery test: dropped ${entry.recovery.hrr1} BPM in the first minute`;
+                item.appendChild(recovery);
+            }
+
+            (entry.tags || []).forEach(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'history-tag';
+                chip.textContent = tag;
+                item.appendChild(chip);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'history-delete';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete measurement';
+            deleteBtn.onclick = () => this.onDelete(entry.id);
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
+    }
+}
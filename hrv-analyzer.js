@@ -0,0 +1,86 @@
+/**
+ * HRV Analyzer Module
+ * Time-domain heart rate variability from a beat series, plus tachogram and Poincaré data
+ */
+
+import { HeartRateEstimator } from './heart-rate-estimator.js';
+
+export class HrvAnalyzer {
+    constructor(options = {}) {
+        this.estimator = options.estimator || new HeartRateEstimator();
+        this.minDuration = options.minDuration ?? 60;   // Seconds before the metrics mean much
+        this.minIntervals = options.minIntervals ?? 30; // ...and this many clean intervals
+        this.nn50Threshold = options.nn50Threshold ?? 50; // ms, successive difference for pNN50
+    }
+
+    /**
+     * HRV metrics from beat timestamps (seconds)
+     * Intervals rejected as outliers are left out, and successive differences
+     * are only taken between intervals that are both accepted and adjacent
+     * All interval values are in milliseconds; metrics are null when there
+     * aren't enough intervals to compute them
+     */
+    analyze(beats, duration = null) {
+        const intervals = [];
+        for (let i = 1; i < beats.length; i++) {
+            intervals.push(beats[i] - beats[i - 1]);
+        }
+        const flags = this.estimator.classifyIntervals(intervals);
+
+        const tachogram = intervals.map((ibi, i) => ({
+            time: beats[i + 1],
+            ibi: ibi * 1000,
+            accepted: flags[i]
+        }));
+        const nn = tachogram.filter(point => point.accepted).map(point => point.ibi);
+
+        const poincare = [];
+        for (let i = 1; i < tachogram.length; i++) {
+            if (tachogram[i - 1].accepted && tachogram[i].accepted) {
+                poincare.push([tachogram[i - 1].ibi, tachogram[i].ibi]);
+            }
+        }
+        const differences = poincare.map(([previous, next]) => next - previous);
+
+        const meanIbi = nn.length > 0 ? nn.reduce((a, b) => a + b, 0) / nn.length : null;
+        const span = duration ?? (beats.length > 1 ? beats[beats.length - 1] - beats[0] : 0);
+
+        return {
+            count: nn.length,
+            meanIbi,
+            minIbi: nn.length > 0 ? Math.min(...nn) : null,
+            maxIbi: nn.length > 0 ? Math.max(...nn) : null,
+            sdnn: nn.length > 1
+                ? Math.sqrt(nn.reduce((a, b) => a + (b - meanIbi) ** 2, 0) / (nn.length - 1))
+                : null,
+            rmssd: differences.length > 0
+                ? Math.sqrt(differences.reduce((a, b) => a + b * b, 0) / differences.length)
+                : null,
+            pnn50: differences.length > 0
+                ? 100 * differences.filter(d => Math.abs(d) > this.nn50Threshold).length / differences.length
+                : null,
+            reliable: span >= this.minDuration && nn.length >= this.minIntervals,
+            tachogram,
+            poincare
+        };
+    }
+
+    /**
+     * Rounded metrics without the plot data, for storage and export
+     */
+    static summarize(hrv) {
+        if (!hrv) return null;
+
+        const round = (value, digits = 0) => value === null ? null : +value.toFixed(digits);
+        return {
+            count: hrv.count,
+            meanIbi: round(hrv.meanIbi),
+            minIbi: round(hrv.minIbi),
+            maxIbi: round(hrv.maxIbi),
+            sdnn: round(hrv.sdnn, 1),
+            rmssd: round(hrv.rmssd, 1),
+            pnn50: round(hrv.pnn50, 1),
+            reliable: hrv.reliable
+        };
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Level Meter Module
+ * Live input level bar on the placement step, so a dead or overdriven
+ * microphone shows up before recording starts
+ */
+
+export class LevelMeter {
+    constructor(options = {}) {
+        this.floorDb = options.floorDb ?? -90;        // Bottom of the bar
+        this.quietDb = options.quietDb ?? -70;        // RMS below this: hardly any input
+        this.clipDb = options.clipDb ?? -0.1;         // Peak at or above this: clipping
+        this.smoothing = options.smoothing ?? 0.7;    // Weight of the previous frame's level
+        this.peakHoldSeconds = options.peakHoldSeconds ?? 1;
+
+        this.frame = null;
+        this.getLevel = null;
+        this.reset();
+    }
+
+    /**
+     * Clear the smoothed level and held peak
+     */
+    reset() {
+        this.levelDb = this.floorDb;
+        this.peakDb = this.floorDb;
+        this.peakTime = 0;
+    }
+
+    /**
+     * State of an input level ({ levelDb, peakDb, clippedFraction }):
+     * 'none' (no reading), 'quiet', 'ok' or 'clipping'
+     */
+    describe(level) {
+        if (!level || !Number.isFinite(level.levelDb)) return 'none';
+        if (level.clippedFraction > 0 || level.peakDb >= this.clipDb) return 'clipping';
+        if (level.levelDb < this.quietDb) return 'quiet';
+        return 'ok';
+    }
+
+    /**
+     * Position of a dB value on the bar, 0-1
+     */
+    fraction(db) {
+        if (!Number.isFinite(db)) return 0;
+        return Math.min(1, Math.max(0, (db - this.floorDb) / -this.floorDb));
+    }
+
+    /**
+     * Poll getLevel() every frame and draw it; getLevel returns a level or null
+     */
+    start(getLevel) {
+        this.stop();
+        this.getLevel = getLevel;
+        this.reset();
+
+        const meter = document.getElementById('levelMeter');
+        if (meter) {
+            meter.style.display = '';
+        }
+
+        const tick = (time) => {
+            this.update(this.getLevel(), time / 1000);
+            this.frame = requestAnimationFrame(tick);
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Stop polling and hide the meter
+     */
+    stop() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.getLevel = null;
+
+        const meter = document.getElementById('levelMeter');
+        if (meter) {
+            meter.style.display = 'none';
+        }
+    }
+
+    /**
+     * Smooth one reading into the bar, hold its peak and label the state
+     */
+    update(level, now) {
+        const levelDb = level && Number.isFinite(level.levelDb) ? level.levelDb : this.floorDb;
+        const peakDb = level && Number.isFinite(level.peakDb) ? level.peakDb : this.floorDb;
+
+        // Rise at once, fall smoothly
+        this.levelDb = levelDb > this.levelDb ? levelDb : this.smoothing * this.levelDb + (1 - this.smoothing) * levelDb;
+        if (peakDb >= this.peakDb || now - this.peakTime > this.peakHoldSeconds) {
+            this.peakDb = peakDb;
+            this.peakTime = now;
+        }
+
+        const state = this.describe(level);
+        const bar = document.getElementById('levelMeterBar');
+        if (bar) {
+            bar.style.width = `${(this.fraction(this.levelDb) * 100).toFixed(1)}%`;
+            bar.className = `level-meter-bar ${state}`;
+        }
+
+        const peak = document.getElementById('levelMeterPeak');
+        if (peak) {
+            peak.style.left = `${(this.fraction(this.peakDb) * 100).toFixed(1)}%`;
+        }
+
+        const labels = {
+            none: 'Waiting for the microphone...',
+            quiet: 'Very little input - is the right microphone selected?',
+            ok: 'Microphone input OK',
+            clipping: 'Input too loud - hold the phone still, not pressed on the microphone hole'
+        };
+        const label = document.getElementById('levelMeterLabel');
+        if (label) {
+            label.textContent = labels[state];
+        }
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * Measurement Combiner Module
+ * Merges consecutive measurements into one reading (mean, median or best confidence)
+ */
+
+import { HeartRateEstimator } from './heart-rate-estimator.js';
+
+export class MeasurementCombiner {
+    /**
+     * Combine detectHeartRate() results
+     * Measurements without a BPM are left out of the average. The combined
+     * result keeps the most confident measurement's waveform, beats and HRV, and
+     * that recording's length as `recordingDuration`, with the combined BPM and
+     * confidence, the total duration, the intervals of the measurements used,
+     * and a per-measurement summary in `measurements`
+     */
+    static combine(results, method = 'median') {
+        if (results.length === 0) {
+            throw new Error('No measurements to combine');
+        }
+        if (results.length === 1) {
+            return results[0];
+        }
+
+        const valid = results.filter(result => result.bpm > 0);
+        const best = (valid.length > 0 ? valid : results)
+            .reduce((a, b) => (b.confidence > a.confidence ? b : a));
+        const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+        const used = method === 'best-confidence' ? [best] : valid;
+        let bpm = best.bpm;
+        let confidence = best.confidence;
+        if (valid.length > 0 && method !== 'best-confidence') {
+            const bpms = valid.map(result => result.bpm);
+            bpm = Math.round(method === 'mean' ? mean(bpms) : HeartRateEstimator.median(bpms));
+            confidence = Math.round(mean(valid.map(result => result.confidence)) * 100) / 100;
+        }
+
+        return {
+            ...best,
+            bpm,
+            confidence,
+            duration: results.reduce((total, result) => total + (result.duration || 0), 0),
+            recordingDuration: best.duration,
+            intervals: used.flatMap(result => Array.from(result.intervals || [])),
+            combineMethod: method,
+            measurements: results.map(result => ({
+                bpm: result.bpm,
+                confidence: result.confidence,
+                duration: result.duration,
+                used: used.includes(result)
+            }))
+        };
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Measurement Settings Module
+ * Sensor, recording duration, repeats, rest, combine method, microphone, calibration
+ * and the recovery test's exercise length, persisted on the device
+ * The one place these values live; listeners get a 'change' event on updates
+ */
+
+export class MeasurementSettings extends EventTarget {
+    static DEFAULTS = {
+        sensor: 'microphone', // 'microphone' (on the neck) or 'camera' (fingertip)
+        duration: 15,       // Seconds per measurement
+        repeats: 1,         // Consecutive measurements per session
+        restSeconds: 30,    // Pause between measurements
+        combine: 'median',  // 'mean', 'median' or 'best-confidence'
+        inputDeviceId: '',  // Chosen microphone ('' = browser default)
+        inputDeviceLabel: '', // Its name, to find it again if the browser changes its id
+        calibration: false, // Ask for a reference BPM after each measurement
+        tuning: {},         // Device key → tuned { filter, beatDetector } (see CalibrationStats.tune())
+        exerciseSeconds: 60 // Exercise bout of the recovery test
+    };
+
+    static LIMITS = {
+        duration: [5, 600],
+        repeats: [1, 10],
+        restSeconds: [0, 300],
+        exerciseSeconds: [15, 600]
+    };
+
+    static COMBINE_METHODS = ['mean', 'median', 'best-confidence'];
+
+    static SENSORS = ['microphone', 'camera'];
+
+    constructor(options = {}) {
+        super();
+        this.storageKey = options.storageKey || 'freekg-settings';
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.values = MeasurementSettings.validate({ ...MeasurementSettings.DEFAULTS, ...this.load() });
+    }
+
+    get sensor() {
+        return this.values.sensor;
+    }
+
+    get duration() {
+        return this.values.duration;
+    }
+
+    get repeats() {
+        return this.values.repeats;
+    }
+
+    get restSeconds() {
+        return this.values.restSeconds;
+    }
+
+    get combine() {
+        return this.values.combine;
+    }
+
+    get inputDeviceId() {
+        return this.values.inputDeviceId;
+    }
+
+    get inputDeviceLabel() {
+        return this.values.inputDeviceLabel;
+    }
+
+    get calibration() {
+        return this.values.calibration;
+    }
+
+    get tuning() {
+        return this.values.tuning;
+    }
+
+    get exerciseSeconds() {
+        return this.values.exerciseSeconds;
+    }
+
+    /**
+     * Current settings as a plain object
+     */
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Apply and persist changes; invalid values are clamped or fall back to the default
+     */
+    update(changes) {
+        this.values = MeasurementSettings.validate({ ...this.values, ...changes });
+        this.save();
+        this.dispatchEvent(new CustomEvent('change', { detail: this.getAll() }));
+        return this.getAll();
+    }
+
+    /**
+     * Back to the defaults
+     */
+    reset() {
+        return this.update(MeasurementSettings.DEFAULTS);
+    }
+
+    /**
+     * Saved settings, or an empty object if there are none or storage is unavailable
+     */
+    load() {
+        try {
+            return JSON.parse(this.storage?.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.warn('Could not load settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist the current settings
+     */
+    save() {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    /**
+     * Clamp numeric settings into range, reject unknown sensors and combine
+     * methods, keep the microphone as strings and drop malformed tunings
+     */
+    static validate(values) {
+        const result = { ...values };
+
+        Object.entries(MeasurementSettings.LIMITS).forEach(([name, [min, max]]) => {
+            const value = Number(result[name]);
+            result[name] = Number.isFinite(value)
+                ? Math.round(Math.max(min, Math.min(max, value)))
+                : MeasurementSettings.DEFAULTS[name];
+        });
+
+        if (!MeasurementSettings.SENSORS.includes(result.sensor)) {
+            result.sensor = MeasurementSettings.DEFAULTS.sensor;
+        }
+
+        if (!MeasurementSettings.COMBINE_METHODS.includes(result.combine)) {
+            result.combine = MeasurementSettings.DEFAULTS.combine;
+        }
+
+        ['inputDeviceId', 'inputDeviceLabel'].forEach(name => {
+            result[name] = typeof result[name] === 'string' ? result[name] : MeasurementSettings.DEFAULTS[name];
+        });
+
+        result.calibration = result.calibration === true;
+
+        const tuning = result.tuning && typeof result.tuning === 'object' ? result.tuning : {};
+        result.tuning = Object.fromEntries(Object.entries(tuning).filter(([, entry]) =>
+            entry && typeof entry === 'object' &&
+            Number.isFinite(entry.filter?.lowCutoff) && Number.isFinite(entry.filter?.highCutoff) &&
+            Number.isFinite(entry.beatDetector?.thresholdFactor)));
+
+        return result;
+    }
+}
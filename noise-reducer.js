@@ -0,0 +1,286 @@
+/**
+ * Noise Reducer Module
+ * Mains hum notches at the capture rate, and spectral subtraction of a measured
+ * room noise profile at the analysis rate
+ */
+
+import { BandpassFilter } from './bandpass-filter.js';
+import { SpectralEstimator } from './spectral-estimator.js';
+
+export class NoiseReducer {
+    static MAINS_FREQUENCIES = [50, 60];
+
+    constructor(options = {}) {
+        this.mains = options.mains ?? 'auto';            // 'auto', 50, 60 or 'off'
+        this.harmonics = options.harmonics ?? 4;         // Multiples of the mains frequency notched
+        this.notchQ = options.notchQ ?? 30;              // ~1.7 Hz wide at 50 Hz
+        this.humThreshold = options.humThreshold ?? 10;  // dB above the neighbouring spectrum
+        this.detectSeconds = options.detectSeconds ?? 10; // Length of the hum search
+        this.frameSeconds = options.frameSeconds ?? 0.32; // STFT frame (rounded to a power of two)
+        this.overSubtraction = options.overSubtraction ?? 2;
+        this.minGain = options.minGain ?? 0.1;           // Spectral floor: never more than -20 dB
+        this.floorPercentile = options.floorPercentile ?? 0.2; // Per-bin quantile taken as the noise floor
+
+        if (!['auto', 'off', ...NoiseReducer.MAINS_FREQUENCIES].includes(this.mains)) {
+            throw new Error(`Mains frequency must be 'auto', 'off', 50 or 60, got ${this.mains}`);
+        }
+    }
+
+    /**
+     * Current settings as a plain object
+     */
+    getSettings() {
+        return {
+            mains: this.mains,
+            harmonics: this.harmonics,
+            notchQ: this.notchQ,
+            humThreshold: this.humThreshold,
+            detectSeconds: this.detectSeconds,
+            frameSeconds: this.frameSeconds,
+            overSubtraction: this.overSubtraction,
+            minGain: this.minGain,
+            floorPercentile: this.floorPercentile
+        };
+    }
+
+    /**
+     * Mains frequency to notch in a recording: the configured one, or with 'auto'
+     * the hum found in the room's noise profile or else in the recording itself
+     * Returns 50, 60 or null
+     */
+    humFrequency(data, sampleRate, profile = null) {
+        if (this.mains === 'off') return null;
+        if (this.mains !== 'auto') return this.mains;
+        if (profile && profile.mainsFrequency) return profile.mainsFrequency;
+        return this.detectHum(data, sampleRate);
+    }
+
+    /**
+     * Look for 50 or 60 Hz hum: power at the fundamental and its first two harmonics
+     * against the spectrum a few Hz either side, over the first detectSeconds
+     * Averaged over the harmonics, since hum comes with them and heart sounds can
+     * happen to peak at one of the frequencies
+     * Returns the stronger mains frequency if it stands out by humThreshold dB, else null
+     */
+    detectHum(data, sampleRate) {
+        const length = Math.min(data.length, Math.round(this.detectSeconds * sampleRate));
+        if (length < sampleRate) return null;
+
+        let best = { frequency: null, prominence: this.humThreshold };
+        for (const mains of NoiseReducer.MAINS_FREQUENCIES) {
+            const prominences = [];
+            for (let h = 1; h <= 3 && h * mains + 4 < sampleRate / 2; h++) {
+                const frequency = h * mains;
+                const tone = NoiseReducer.goertzel(data, length, sampleRate, frequency);
+                const neighbours = [-4, -2.5, 2.5, 4]
+                    .map(offset => NoiseReducer.goertzel(data, length, sampleRate, frequency + offset))
+                    .sort((a, b) => a - b);
+                const around = (neighbours[1] + neighbours[2]) / 2;
+                prominences.push(10 * Math.log10((tone + 1e-20) / (around + 1e-20)));
+            }
+
+            // Already below the mains frequency (e.g. a stored analysis-rate signal)
+            if (prominences.length === 0) continue;
+
+            const prominence = prominences.reduce((sum, value) => sum + value, 0) / prominences.length;
+            if (prominence > best.prominence) {
+                best = { frequency: mains, prominence };
+            }
+        }
+
+        return best.frequency;
+    }
+
+    /**
+     * Zero-phase notches at the mains frequency and its harmonics
+     * Returns a new Float32Array; the input is left as it is
+     */
+    removeHum(data, sampleRate, frequency) {
+        const sections = [];
+        for (let h = 1; h <= this.harmonics && h * frequency < 0.45 * sampleRate; h++) {
+            sections.push(BandpassFilter.designNotch(h * frequency, sampleRate, this.notchQ));
+        }
+
+        const output = Float64Array.from(data);
+        BandpassFilter.filtfilt(sections, output);
+        return Float32Array.from(output);
+    }
+
+    /**
+     * Noise profile of a recording of the room alone (at the analysis rate):
+     * mean power per STFT bin, and the overall noise floor in band ({ low, high } Hz)
+     */
+    createProfile(data, sampleRate, band) {
+        const { frameSize, spectra } = this.analyzeFrames(data, sampleRate);
+        const power = new Float64Array(frameSize / 2 + 1);
+
+        spectra.forEach(frame => {
+            for (let k = 0; k < power.length; k++) power[k] += frame[k];
+        });
+        for (let k = 0; k < power.length; k++) power[k] /= spectra.length || 1;
+
+        return {
+            sampleRate,
+            frameSize,
+            power: Array.from(power),
+            floorDb: this.noiseFloor(data, sampleRate, band)
+        };
+    }
+
+    /**
+     * Spectral subtraction of a noise profile: each STFT bin is scaled by
+     * sqrt(1 - overSubtraction * noise / power), no lower than minGain,
+     * then the frames are overlap-added back into a signal of the same length
+     */
+    subtract(data, sampleRate, profile) {
+        const frameSize = this.frameSize(sampleRate);
+        const hop = frameSize / 2;
+        const window = NoiseReducer.hann(frameSize);
+        const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+        const noise = NoiseReducer.profilePower(profile, sampleRate, frameSize);
+        const output = new Float64Array(data.length);
+        const re = new Float64Array(frameSize);
+        const im = new Float64Array(frameSize);
+
+        // Frames start half a frame early, so every sample is covered by two
+        // periodic Hann windows that sum to 1
+        for (let start = -hop; start < data.length; start += hop) {
+            for (let i = 0; i < frameSize; i++) {
+                const index = start + i;
+                re[i] = index >= 0 && index < data.length ? data[index] * window[i] : 0;
+                im[i] = 0;
+            }
+            SpectralEstimator.fft(re, im);
+
+            for (let k = 0; k <= frameSize / 2; k++) {
+                const power = (re[k] * re[k] + im[k] * im[k]) / windowPower;
+                const gain = power > 0
+                    ? Math.max(this.minGain, Math.sqrt(Math.max(0, 1 - this.overSubtraction * noise[k] / power)))
+                    : this.minGain;
+
+                re[k] *= gain;
+                im[k] *= gain;
+                if (k > 0 && k < frameSize / 2) {
+                    re[frameSize - k] *= gain;
+                    im[frameSize - k] *= gain;
+                }
+            }
+            SpectralEstimator.fft(re, im, true);
+
+            for (let i = 0; i < frameSize; i++) {
+                const index = start + i;
+                if (index >= 0 && index < data.length) output[index] += re[i];
+            }
+        }
+
+        return Float32Array.from(output);
+    }
+
+    /**
+     * Noise floor (dB relative to full scale) of a signal in band ({ low, high } Hz):
+     * the floorPercentile quantile of each bin's power over the STFT frames, averaged
+     * across the band, so the pulse itself (present in only some frames) mostly drops out
+     */
+    noiseFloor(data, sampleRate, band) {
+        const { frameSize, spectra } = this.analyzeFrames(data, sampleRate);
+        if (spectra.length === 0) return null;
+
+        const binWidth = sampleRate / frameSize;
+        const first = Math.max(1, Math.ceil(band.low / binWidth));
+        const last = Math.min(frameSize / 2, Math.floor(band.high / binWidth));
+        const bin = new Float64Array(spectra.length);
+        let total = 0;
+
+        for (let k = first; k <= last; k++) {
+            spectra.forEach((frame, i) => { bin[i] = frame[k]; });
+            bin.sort();
+            total += bin[Math.floor(this.floorPercentile * (bin.length - 1))];
+        }
+
+        const mean = total / Math.max(1, last - first + 1);
+        return mean > 0 ? Math.round(100 * Math.log10(mean)) / 10 : null;
+    }
+
+    /**
+     * One-sided power spectrum of each half-overlapping Hann frame,
+     * scaled so white noise of variance v reads v in every bin
+     */
+    analyzeFrames(data, sampleRate) {
+        const frameSize = this.frameSize(sampleRate);
+        const hop = frameSize / 2;
+        const window = NoiseReducer.hann(frameSize);
+        const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+        const re = new Float64Array(frameSize);
+        const im = new Float64Array(frameSize);
+        const spectra = [];
+
+        for (let start = 0; start + frameSize <= data.length; start += hop) {
+            for (let i = 0; i < frameSize; i++) {
+                re[i] = data[start + i] * window[i];
+                im[i] = 0;
+            }
+            SpectralEstimator.fft(re, im);
+
+            const power = new Float64Array(frameSize / 2 + 1);
+            for (let k = 0; k < power.length; k++) {
+                power[k] = (re[k] * re[k] + im[k] * im[k]) / windowPower;
+            }
+            spectra.push(power);
+        }
+
+        return { frameSize, spectra };
+    }
+
+    /**
+     * STFT frame length at a sample rate: frameSeconds rounded to a power of two
+     */
+    frameSize(sampleRate) {
+        return Math.max(8, SpectralEstimator.nextPowerOfTwo(Math.round(this.frameSeconds * sampleRate)));
+    }
+
+    /**
+     * A profile's noise power at the bins of another frame size or sample rate
+     * (linear interpolation over frequency)
+     */
+    static profilePower(profile, sampleRate, frameSize) {
+        const noise = new Float64Array(frameSize / 2 + 1);
+        const profileBin = profile.sampleRate / profile.frameSize;
+        const last = profile.power.length - 1;
+
+        for (let k = 0; k < noise.length; k++) {
+            const position = Math.min(last, (k * sampleRate / frameSize) / profileBin);
+            const below = Math.floor(position);
+            const above = Math.min(last, below + 1);
+            const fraction = position - below;
+            noise[k] = profile.power[below] * (1 - fraction) + profile.power[above] * fraction;
+        }
+
+        return noise;
+    }
+
+    /**
+     * Periodic Hann window (sums to 1 at 50% overlap)
+     */
+    static hann(size) {
+        const window = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+        }
+        return window;
+    }
+
+    /**
+     * Power of a single frequency over the first length samples (Goertzel)
+     */
+    static goertzel(data, length, sampleRate, frequency) {
+        const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+        let s1 = 0;
+        let s2 = 0;
+        for (let i = 0; i < length; i++) {
+            const s = data[i] + coefficient * s1 - s2;
+            s2 = s1;
+            s1 = s;
+        }
+        return (s1 * s1 + s2 * s2 - coefficient * s1 * s2) / (length * length);
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * PWA Manager Module
+ * Registers the service worker and reports when a new version is ready to use
+ */
+
+export class PwaManager extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.scriptUrl = options.scriptUrl || 'service-worker.js';
+        this.registration = null;
+        this.reloading = false;
+    }
+
+    /**
+     * Whether the browser supports service workers (they also need HTTPS or localhost)
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Register the service worker; emits 'updateavailable' when a new version is waiting
+     */
+    async register() {
+        if (!PwaManager.isSupported()) return null;
+
+        try {
+            // A module worker: it imports the app version from version.js
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl, { type: 'module' });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return null;
+        }
+
+        // Installed on an earlier visit and waiting for this page to let it take over
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.notifyUpdate();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.notifyUpdate();
+                }
+            });
+        });
+
+        // The new version took over: reload once so the page matches it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) return;
+            this.reloading = true;
+            window.location.reload();
+        });
+
+        return this.registration;
+    }
+
+    /**
+     * Emit 'updateavailable'
+     */
+    notifyUpdate() {
+        this.dispatchEvent(new CustomEvent('updateavailable'));
+    }
+
+    /**
+     * Check the server for a new version (e.g. when the app comes back to the foreground)
+     */
+    async checkForUpdate() {
+        if (!this.registration) return;
+
+        try {
+            await this.registration.update();
+        } catch (error) {
+            console.warn('Update check failed:', error);
+        }
+    }
+
+    /**
+     * Let the waiting version take over; the page reloads on controllerchange
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (waiting) {
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        }
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Recorder Worklet
+ * AudioWorklet processor that captures mono PCM into preallocated chunks
+ * and posts them to the main thread, which sends each one back to be reused,
+ * so the audio thread doesn't allocate while recording. Loaded via audioWorklet.addModule().
+ */
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.chunkSize = 4096;
+        this.poolSize = 8;  // Chunks allocated up front; more only if the main thread falls behind
+        this.pool = [];     // Free chunks, returned by the main thread after copying
+        this.chunk = null;
+        this.chunkOffset = 0;
+        this.remaining = 0;
+        this.recording = false;
+        this.id = 0; // Tags messages so a restarted run can ignore stale chunks
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    /**
+     * Handle start/stop commands from the main thread
+     */
+    handleMessage(message) {
+        if (message.command === 'start') {
+            this.id = message.id;
+            const chunkSize = message.chunkSize || this.chunkSize;
+            if (chunkSize !== this.chunkSize) {
+                this.pool = [];
+            }
+            this.chunkSize = chunkSize;
+            this.remaining = message.totalSamples;
+            // A restart keeps the chunk in progress, just starting it over
+            if (!this.chunk || this.chunk.length !== this.chunkSize) {
+                while (this.pool.length < this.poolSize) {
+                    this.pool.push(new Float32Array(this.chunkSize));
+                }
+                this.chunk = this.nextChunk();
+            }
+            this.chunkOffset = 0;
+            this.recording = true;
+        } else if (message.command === 'recycle') {
+            if (message.samples.length === this.chunkSize) {
+                this.pool.push(message.samples);
+            }
+        } else if (message.command === 'stop') {
+            this.flush();
+            this.recording = false;
+        }
+    }
+
+    /**
+     * Copy the input block into the current chunk, posting chunks as they fill
+     */
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (!this.recording || !input) {
+            return true;
+        }
+
+        let read = 0;
+        while (read < input.length && this.remaining > 0) {
+            const count = Math.min(
+                input.length - read,
+                this.chunkSize - this.chunkOffset,
+                this.remaining
+            );
+
+            this.chunk.set(input.subarray(read, read + count), this.chunkOffset);
+            this.chunkOffset += count;
+            this.remaining -= count;
+            read += count;
+
+            if (this.chunkOffset === this.chunkSize) {
+                this.flush();
+            }
+        }
+
+        if (this.remaining === 0) {
+            this.flush();
+            this.recording = false;
+            this.port.postMessage({ type: 'done', id: this.id });
+        }
+
+        return true;
+    }
+
+    /**
+     * Transfer the current chunk with the length filled, and continue in a free one
+     */
+    flush() {
+        if (!this.chunk || this.chunkOffset === 0) {
+            return;
+        }
+
+        const samples = this.chunk;
+        this.port.postMessage({ type: 'chunk', id: this.id, samples, length: this.chunkOffset }, [samples.buffer]);
+
+        this.chunk = this.nextChunk();
+        this.chunkOffset = 0;
+    }
+
+    /**
+     * A free chunk from the pool, or a new one if all are still with the main thread
+     */
+    nextChunk() {
+        return this.pool.pop() || new Float32Array(this.chunkSize);
+    }
+}
+
+registerProcessor('freekg-recorder', RecorderProcessor);
@@ -0,0 +1,15 @@
+/**
+ * Recording Issues Module
+ * Warnings shown for problems during a recording (SignalQualityMonitor and
+ * CameraProcessor issues), shared by the app and the <freekg-monitor> element
+ */
+
+export class RecordingIssues {
+    static MESSAGES = {
+        clipping: 'Signal is clipping - ease the pressure slightly',
+        silent: 'No sound from the microphone',
+        motion: 'Movement detected - keep the phone and your body still',
+        'no-finger': 'Fingertip off the camera - cover the lens again',
+        'too-dark': 'Too dark - cover the flash with your fingertip too'
+    };
+}
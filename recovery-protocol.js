@@ -0,0 +1,91 @@
+/**
+ * Recovery Protocol Module
+ * Guided heart rate recovery test: a resting reading, a timed exercise bout, then
+ * readings at fixed times after it. DOM-free: the plan, its timing and the
+ * recovery metrics; the app runs the steps
+ */
+
+export class RecoveryProtocol {
+    static CHECKPOINTS = [0, 60, 120, 180]; // Seconds after the exercise ends
+    static SLOW_RECOVERY_BPM = 12;          // A first-minute drop this small or less is considered slow
+
+    constructor(options = {}) {
+        this.exerciseSeconds = options.exerciseSeconds ?? 60;
+        this.readingSeconds = options.readingSeconds ?? 15;   // Length of every reading
+        this.checkpoints = options.checkpoints || RecoveryProtocol.CHECKPOINTS;
+
+        const tooClose = this.checkpoints.some((checkpoint, i) =>
+            i > 0 && checkpoint - this.checkpoints[i - 1] < this.readingSeconds);
+        if (tooClose) {
+            throw new Error(`Recovery readings of ${this.readingSeconds} s need checkpoints at least that far apart`);
+        }
+    }
+
+    /**
+     * The protocol as steps:
+     * { type: 'reading', phase: 'resting' }, { type: 'exercise', seconds },
+     * then { type: 'reading', phase: 'recovery', checkpoint } for each checkpoint
+     */
+    steps() {
+        return [
+            { type: 'reading', phase: 'resting' },
+            { type: 'exercise', seconds: this.exerciseSeconds },
+            ...this.checkpoints.map(checkpoint => ({ type: 'reading', phase: 'recovery', checkpoint }))
+        ];
+    }
+
+    /**
+     * Seconds to wait (never negative) before a checkpoint's reading starts,
+     * given when the exercise ended and the time now (ms timestamps)
+     */
+    waitFor(checkpoint, exerciseEnd, now) {
+        return Math.max(0, Math.ceil((exerciseEnd + checkpoint * 1000 - now) / 1000));
+    }
+
+    /**
+     * One recovery reading from its analysis result: the checkpoint it was planned
+     * for, and when it actually started (s after the exercise, later if restarted)
+     */
+    static reading(result, checkpoint, exerciseEnd, end) {
+        const duration = result.duration || 0;
+        return {
+            checkpoint,
+            offset: Math.max(0, Math.round(((end - exerciseEnd) / 1000 - duration) * 10) / 10),
+            duration,
+            bpm: result.bpm,
+            confidence: result.confidence
+        };
+    }
+
+    /**
+     * Recovery metrics from the resting BPM and the recovery readings:
+     * the peak (the reading straight after exercise), the drops from it at 1 and
+     * 2 minutes (HRR1, HRR2), and the share of the rise above resting recovered by 2 minutes
+     * Metrics whose readings found no pulse are null
+     */
+    static summarize(restingBpm, readings) {
+        const at = checkpoint => {
+            const reading = readings.find(item => item.checkpoint === checkpoint);
+            return reading && reading.bpm > 0 ? reading.bpm : null;
+        };
+
+        const resting = restingBpm > 0 ? restingBpm : null;
+        const peak = at(0);
+        const drop = checkpoint => (peak !== null && at(checkpoint) !== null ? peak - at(checkpoint) : null);
+        const hrr1 = drop(60);
+        const hrr2 = drop(120);
+        const recovered = resting !== null && hrr2 !== null && peak > resting
+            ? Math.round(100 * hrr2 / (peak - resting))
+            : null;
+
+        return {
+            restingBpm: resting,
+            peakBpm: peak,
+            hrr1,
+            hrr2,
+            recoveredPercent: recovered,
+            slowRecovery: hrr1 === null ? null : hrr1 <= RecoveryProtocol.SLOW_RECOVERY_BPM,
+            readings: readings.map(reading => ({ ...reading }))
+        };
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Service Worker
+ * Precaches the app so it loads and measures offline
+ * A module worker, so it shares version.js with the app: bumping AppVersion.VERSION
+ * changes an imported file, which is what lets browsers detect the update and offer to reload
+ */
+
+import { AppVersion } from './version.js';
+
+const CACHE_NAME = `freekg-${AppVersion.VERSION}`;
+
+// Everything the app needs to start, relative to the worker's scope
+const ASSETS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'position-guide.webp',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png',
+    'analysis-client.js',
+    'analysis-worker.js',
+    'app-state-machine.js',
+    'app.js',
+    'audio-error.js',
+    'audio-processor.js',
+    'back-navigation.js',
+    'bandpass-filter.js',
+    'beat-detector.js',
+    'calibration-stats.js',
+    'calibration-store.js',
+    'calibration-view.js',
+    'camera-processor.js',
+    'device-picker.js',
+    'heart-rate-analyzer.js',
+    'heart-rate-estimator.js',
+    'error-view.js',
+    'freekg-monitor.js',
+    'freekg.js',
+    'history-store.js',
+    'history-view.js',
+    'hrv-analyzer.js',
+    'level-meter.js',
+    'measurement-combiner.js',
+    'measurement-settings.js',
+    'noise-reducer.js',
+    'pwa-manager.js',
+    'recorder-worklet.js',
+    'recording-issues.js',
+    'recovery-protocol.js',
+    'session-io.js',
+    'settings-view.js',
+    'signal-quality.js',
+    'spectral-estimator.js',
+    'streaming-analyzer.js',
+    'ui-controller.js',
+    'version.js',
+    'wav-codec.js',
+    'waveform-chart.js'
+];
+
+/**
+ * Precache every asset; the new version waits until the page asks it to take over
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(ASSETS))
+    );
+});
+
+/**
+ * Drop caches left by previous versions
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('freekg-') && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * The page accepted the update prompt
+ */
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Serve same-origin requests from the cache, falling back to the network
+ * Page loads fall back to the cached index.html; cross-origin requests
+ * (analytics) go straight to the network and simply fail offline
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+            .then(cached => cached || fetch(request))
+            .catch(() => (request.mode === 'navigate' ? caches.match('index.html') : Response.error()))
+    );
+});
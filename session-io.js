@@ -0,0 +1,355 @@
+/**
+ * Session Import/Export Module
+ * CSV history, JSON session files and ZIP bundles (session JSON + raw WAV)
+ */
+
+import { HrvAnalyzer } from './hrv-analyzer.js';
+import { AppVersion } from './version.js';
+
+export class SessionIO {
+    static APP_VERSION = AppVersion.VERSION;
+    static SESSION_FORMAT = 'freekg-session';
+    static SESSION_FORMAT_VERSION = 1;
+    static CSV_COLUMNS = ['timestamp', 'bpm', 'confidence', 'duration', 'tags', 'intervals', 'manuallyCorrected', 'sensor'];
+
+    /**
+     * Build a session object (see session.schema.json) from a detectHeartRate() result
+     */
+    static createSession(result, options = {}) {
+        return {
+            format: SessionIO.SESSION_FORMAT,
+            formatVersion: SessionIO.SESSION_FORMAT_VERSION,
+            appVersion: SessionIO.APP_VERSION,
+            createdAt: new Date(options.timestamp || Date.now()).toISOString(),
+            sampleRate: options.sampleRate,
+            analysisRate: result.analysisRate,
+            duration: result.duration,
+            recordingDuration: result.recordingDuration ?? result.duration,
+            bpm: result.bpm,
+            confidence: result.confidence,
+            confidenceBreakdown: result.confidenceBreakdown,
+            snrDb: Number.isFinite(result.snrDb) ? result.snrDb : null,
+            estimates: result.estimates,
+            estimatesAgree: result.estimatesAgree,
+            beats: Array.from(result.peaks || []),
+            intervals: Array.from(result.intervals || []),
+            rejectedIntervals: Array.from(result.rejectedIntervals || []),
+            hrv: HrvAnalyzer.summarize(result.hrv),
+            combineMethod: result.combineMethod ?? null,
+            measurements: result.measurements ?? null,
+            manuallyCorrected: Boolean(result.manuallyCorrected),
+            sensor: result.sensor || 'microphone',
+            filterSettings: result.filterSettings,
+            noiseReduction: result.noiseReduction ?? null,
+            recovery: result.recovery ?? null,
+            tags: (options.tags || []).slice()
+        };
+    }
+
+    /**
+     * Parse and validate session JSON text
+     */
+    static parseSession(text) {
+        const session = typeof text === 'string' ? JSON.parse(text) : text;
+
+        if (!session || session.format !== SessionIO.SESSION_FORMAT) {
+            throw new Error('Not a FreeKG session file');
+        }
+        if (session.formatVersion > SessionIO.SESSION_FORMAT_VERSION) {
+            throw new Error(`Session format version ${session.formatVersion} is newer than this app supports`);
+        }
+        if (typeof session.bpm !== 'number' || !Array.isArray(session.intervals)) {
+            throw new Error('Session file is missing bpm or intervals');
+        }
+
+        return session;
+    }
+
+    /**
+     * History entry for a session, for restoring imports into the store
+     */
+    static sessionToEntry(session) {
+        return {
+            timestamp: Date.parse(session.createdAt) || Date.now(),
+            bpm: session.bpm,
+            confidence: session.confidence ?? 0,
+            duration: session.duration,
+            intervals: session.intervals.slice(),
+            hrv: session.hrv ?? null,
+            manuallyCorrected: Boolean(session.manuallyCorrected),
+            sensor: session.sensor || 'microphone',
+            ...(session.recovery ? { recovery: session.recovery } : {}),
+            tags: (session.tags || []).slice()
+        };
+    }
+
+    /**
+     * History entries as CSV (intervals space-separated, tags semicolon-separated)
+     */
+    static historyToCSV(entries) {
+        const escape = value => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = entries.map(entry => [
+            new Date(entry.timestamp).toISOString(),
+            entry.bpm,
+            entry.confidence,
+            entry.duration,
+            (entry.tags || []).join(';'),
+            (entry.intervals || []).map(ibi => ibi.toFixed(4)).join(' '),
+            entry.manuallyCorrected ? 'true' : 'false',
+            entry.sensor || 'microphone'
+        ].map(escape).join(','));
+
+        return [SessionIO.CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Parse CSV written by historyToCSV() back into history entries
+     */
+    static parseHistoryCSV(text) {
+        const rows = SessionIO.parseCSVRows(text).filter(row => row.some(cell => cell !== ''));
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(cell => cell.trim());
+        const column = name => header.indexOf(name);
+        if (column('timestamp') < 0 || column('bpm') < 0) {
+            throw new Error('CSV needs at least timestamp and bpm columns');
+        }
+
+        return rows.slice(1).map((row, i) => {
+            const get = name => (column(name) >= 0 ? row[column(name)] || '' : '');
+            const timestamp = Date.parse(get('timestamp'));
+            const bpm = Number(get('bpm'));
+            if (!Number.isFinite(timestamp) || !Number.isFinite(bpm)) {
+                throw new Error(`Invalid timestamp or bpm on CSV line ${i + 2}`);
+            }
+
+            return {
+                timestamp,
+                bpm,
+                confidence: Number(get('confidence')) || 0,
+                duration: Number(get('duration')) || null,
+                tags: get('tags') ? get('tags').split(';') : [],
+                intervals: get('intervals') ? get('intervals').trim().split(/\s+/).map(Number) : [],
+                manuallyCorrected: get('manuallyCorrected') === 'true',
+                sensor: get('sensor') || 'microphone'
+            };
+        });
+    }
+
+    /**
+     * Split CSV text into rows of cells, honoring quoted fields
+     */
+    static parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * ZIP bundle (stored, uncompressed) with session.json and recording.wav
+     */
+    static async createBundle(session, wavBlob) {
+        const encoder = new TextEncoder();
+        return SessionIO.createZip([
+            { name: 'session.json', data: encoder.encode(JSON.stringify(session, null, 2)) },
+            { name: 'recording.wav', data: new Uint8Array(await wavBlob.arrayBuffer()) }
+        ]);
+    }
+
+    /**
+     * Read a bundle back into { session, wav } (wav is an ArrayBuffer or null)
+     */
+    static readBundle(arrayBuffer) {
+        const files = SessionIO.readZip(arrayBuffer);
+        if (!files['session.json']) {
+            throw new Error('Bundle has no session.json');
+        }
+
+        return {
+            session: SessionIO.parseSession(new TextDecoder().decode(files['session.json'])),
+            wav: files['recording.wav'] ? files['recording.wav'].slice().buffer : null
+        };
+    }
+
+    /**
+     * Write a ZIP archive using the "stored" method (no compression)
+     */
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        files.forEach(({ name, data }) => {
+            const nameBytes = encoder.encode(name);
+            const crc = SessionIO.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);  // Local file header signature
+            local.setUint16(4, 20, true);          // Version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // Stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);    // Local header offset
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    /**
+     * Read stored (uncompressed) entries of a ZIP archive into { name: Uint8Array }
+     */
+    static readZip(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const decoder = new TextDecoder();
+
+        // The end-of-central-directory record sits in the last 22 bytes (+ comment)
+        let end = -1;
+        for (let i = arrayBuffer.byteLength - 22; i >= Math.max(0, arrayBuffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a ZIP bundle');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let pointer = view.getUint32(end + 16, true);
+        const files = {};
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const size = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(new Uint8Array(arrayBuffer, pointer + 46, nameLength));
+
+            if (method !== 0) {
+                throw new Error(`${name} is compressed; only FreeKG bundles are supported`);
+            }
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            files[name] = new Uint8Array(arrayBuffer, dataStart, size);
+
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    /**
+     * CRC-32 (IEEE) of a byte array
+     */
+    static crc32(bytes) {
+        if (!SessionIO.crcTable) {
+            SessionIO.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                SessionIO.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = SessionIO.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Settings View Module
+ * Settings screen for the measurement session, recovery test and calibration mode,
+ * plus the session summary on the placement step
+ */
+
+export class SettingsView {
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.fields = {
+            duration: 'settingDuration',
+            repeats: 'settingRepeats',
+            restSeconds: 'settingRest',
+            combine: 'settingCombine',
+            calibration: 'settingCalibration',
+            exerciseSeconds: 'settingExercise'
+        };
+        this.bindFields();
+    }
+
+    /**
+     * Report each edited field as a { name: value } change
+     */
+    bindFields() {
+        Object.entries(this.fields).forEach(([name, id]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                this.onChange({ [name]: SettingsView.readInput(name, input) });
+            });
+        });
+    }
+
+    /**
+     * Show the current settings in the form and the summary
+     */
+    render(values) {
+        Object.entries(this.fields).forEach(([name, id]) => {
+            const input = document.getElementById(id);
+            if (input && input.type === 'checkbox') {
+                input.checked = values[name];
+            } else if (input) {
+                input.value = values[name];
+            }
+        });
+
+        // Repeats only matter with more than one measurement
+        const repeatOptions = document.getElementById('repeatOptions');
+        if (repeatOptions) {
+            repeatOptions.style.display = values.repeats > 1 ? '' : 'none';
+        }
+
+        this.renderSummary(values);
+    }
+
+    /**
+     * One-line description of the session, e.g. "3 × 60 s, 30 s rest, median"
+     */
+    renderSummary(values) {
+        const summary = document.getElementById('sessionSummary');
+        if (!summary) return;
+
+        const duration = SettingsView.formatDuration(values.duration);
+        const combine = { mean: 'mean', median: 'median', 'best-confidence': 'best confidence' }[values.combine];
+
+        summary.textContent = values.repeats > 1
+            ? `${values.repeats} × ${duration}, ${values.restSeconds} s rest, ${combine}`
+            : `${duration} measurement`;
+    }
+
+    /**
+     * Value of a form field: checkboxes as booleans, the combine method as a string,
+     * everything else as a number
+     */
+    static readInput(name, input) {
+        if (input.type === 'checkbox') return input.checked;
+        return name === 'combine' ? input.value : Number(input.value);
+    }
+
+    /**
+     * "45 s", "2 min", "1 min 30 s"
+     */
+    static formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        if (minutes === 0) return `${rest} s`;
+        return rest === 0 ? `${minutes} min` : `${minutes} min ${rest} s`;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Signal Quality Module
+ * Placement check before recording and clipping/silence/motion monitoring during it
+ */
+
+export class SignalQualityMonitor {
+    constructor(options = {}) {
+        this.clipLevel = options.clipLevel ?? 0.99;           // |sample| counted as clipped
+        this.maxClippedFraction = options.maxClippedFraction ?? 0.01;
+        this.silenceDb = options.silenceDb ?? -90;            // Block RMS below this is silence
+        this.noiseDb = options.noiseDb ?? -40;                // Noise floor above this is too loud
+        this.motionFactor = options.motionFactor ?? 6;        // RMS jump over baseline = motion
+        this.minPeriodicity = options.minPeriodicity ?? 0.6;  // Envelope ACF needed to call it a pulse
+        this.minConfidence = options.minConfidence ?? 0.5;    // ...and this much beat-interval confidence
+        this.warnSeconds = options.warnSeconds ?? 0.3;        // Problem long enough to tell the user
+        this.maxBadSeconds = options.maxBadSeconds ?? 1;      // Sustained problem before a restart
+
+        this.reset();
+    }
+
+    /**
+     * Clear running state for a new recording
+     */
+    reset() {
+        this.baselineRms = null;
+        this.badSeconds = 0;
+        this.lastIssue = null;
+    }
+
+    /**
+     * RMS and peak level (dBFS) and clipped fraction of a block of samples
+     */
+    measure(samples) {
+        let sumSq = 0;
+        let peak = 0;
+        let clipped = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const magnitude = Math.abs(samples[i]);
+            sumSq += samples[i] * samples[i];
+            if (magnitude > peak) peak = magnitude;
+            if (magnitude >= this.clipLevel) clipped++;
+        }
+
+        const rms = Math.sqrt(sumSq / (samples.length || 1));
+        return {
+            rms,
+            levelDb: rms > 0 ? 20 * Math.log10(rms) : -Infinity,
+            peakDb: peak > 0 ? 20 * Math.log10(peak) : -Infinity,
+            clippedFraction: clipped / (samples.length || 1)
+        };
+    }
+
+    /**
+     * Ambient noise level (dBFS): a low percentile of short-frame RMS,
+     * so the heartbeats themselves don't count as noise
+     */
+    noiseFloor(samples, sampleRate, frameSeconds = 0.05, percentile = 0.2) {
+        const frameLength = Math.max(1, Math.round(frameSeconds * sampleRate));
+        const levels = [];
+        for (let start = 0; start + frameLength <= samples.length; start += frameLength) {
+            levels.push(this.measure(samples.subarray(start, start + frameLength)).rms);
+        }
+        if (levels.length === 0) return -Infinity;
+
+        levels.sort((a, b) => a - b);
+        const rms = levels[Math.floor(percentile * (levels.length - 1))];
+        return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    }
+
+    /**
+     * Assess a short placement-check recording
+     * spectral and estimate are the SpectralEstimator and HeartRateEstimator
+     * results for it; a pulse needs both periodicity and regular beats
+     * Returns issue codes: 'silent', 'clipping', 'noisy', 'no-pulse'
+     */
+    assessPlacement(samples, sampleRate, spectral, estimate) {
+        const { levelDb, clippedFraction } = this.measure(samples);
+        const noiseDb = this.noiseFloor(samples, sampleRate);
+        const issues = [];
+
+        if (levelDb < this.silenceDb) {
+            issues.push('silent');
+        } else {
+            if (clippedFraction > this.maxClippedFraction) issues.push('clipping');
+            if (noiseDb > this.noiseDb) issues.push('noisy');
+            if (spectral.periodicity < this.minPeriodicity || estimate.confidence < this.minConfidence) {
+                issues.push('no-pulse');
+            }
+        }
+
+        return {
+            ok: issues.length === 0,
+            issues,
+            levelDb,
+            noiseDb,
+            clippedFraction,
+            periodicity: spectral.periodicity,
+            confidence: estimate.confidence,
+            bpm: estimate.bpm || spectral.bpm
+        };
+    }
+
+    /**
+     * Check one live block; returns its issue ('clipping', 'silent', 'motion' or null),
+     * a warning once problems persist past warnSeconds (single loud beats don't count),
+     * and whether they have lasted long enough to invalidate the recording
+     */
+    update(samples, sampleRate) {
+        const { rms, levelDb, clippedFraction } = this.measure(samples);
+        let issue = null;
+
+        if (clippedFraction > this.maxClippedFraction) {
+            issue = 'clipping';
+        } else if (levelDb < this.silenceDb) {
+            issue = 'silent';
+        } else if (this.baselineRms !== null && rms > this.motionFactor * this.baselineRms) {
+            issue = 'motion';
+        }
+
+        if (issue) {
+            this.badSeconds += samples.length / sampleRate;
+            this.lastIssue = issue;
+        } else {
+            this.badSeconds = 0;
+
+            // Baseline follows good blocks only, so a knock can't raise it
+            this.baselineRms = this.baselineRms === null ? rms : 0.9 * this.baselineRms + 0.1 * rms;
+        }
+
+        return {
+            issue,
+            warning: this.badSeconds >= this.warnSeconds ? issue : null,
+            levelDb,
+            sustained: this.badSeconds >= this.maxBadSeconds
+        };
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Spectral Estimator Module
+ * Frequency-domain BPM estimate (autocorrelation + power spectrum) of the beat envelope
+ */
+
+export class SpectralEstimator {
+    constructor(options = {}) {
+        this.minBpm = options.minBpm ?? 40;
+        this.maxBpm = options.maxBpm ?? 200;
+        this.resolution = options.resolution ?? 0.5;    // BPM step of the candidate grid
+        this.minFftSize = options.minFftSize ?? 16384;  // Zero-padding for a fine spectrum
+        this.harmonicWeight = options.harmonicWeight ?? 0.5; // Weight of the 2nd harmonic in the score
+    }
+
+    /**
+     * Estimate the dominant beat rate of an envelope
+     * Scores each candidate by spectral power (plus its 2nd harmonic) times
+     * the autocorrelation at the matching lag, so harmonics (short lag, weak ACF)
+     * and sub-harmonics (weak fundamental power) both lose to the true rate
+     */
+    estimate(envelope, sampleRate) {
+        const spectrum = this.powerSpectrum(envelope, sampleRate);
+        const autocorrelation = this.autocorrelation(envelope);
+
+        let best = { bpm: 0, score: 0, periodicity: 0 };
+        for (let bpm = this.minBpm; bpm <= this.maxBpm; bpm += this.resolution) {
+            const frequency = bpm / 60;
+            const power = spectrum.at(frequency) + this.harmonicWeight * spectrum.at(2 * frequency);
+            const periodicity = SpectralEstimator.interpolate(autocorrelation, sampleRate / frequency);
+            const score = power * Math.max(0, periodicity);
+
+            if (score > best.score) {
+                best = { bpm, score, periodicity };
+            }
+        }
+
+        return {
+            bpm: Math.round(best.bpm),
+            frequency: best.bpm / 60,
+            periodicity: Math.min(1, Math.max(0, best.periodicity)), // Normalized ACF at the beat period, 0-1
+            score: best.score
+        };
+    }
+
+    /**
+     * Hann-windowed, zero-padded power spectrum normalized to a peak of 1
+     * Returns an object whose at(frequency) looks up the nearest bin
+     */
+    powerSpectrum(signal, sampleRate) {
+        const n = signal.length;
+        const size = SpectralEstimator.nextPowerOfTwo(Math.max(n, this.minFftSize));
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+
+        for (let i = 0; i < n; i++) {
+            re[i] = signal[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / Math.max(1, n - 1)));
+        }
+        SpectralEstimator.fft(re, im);
+
+        const power = new Float64Array(size / 2);
+        let peak = 0;
+        for (let k = 0; k < power.length; k++) {
+            power[k] = re[k] * re[k] + im[k] * im[k];
+            peak = Math.max(peak, power[k]);
+        }
+        if (peak > 0) {
+            for (let k = 0; k < power.length; k++) power[k] /= peak;
+        }
+
+        const binWidth = sampleRate / size;
+        return {
+            power,
+            binWidth,
+            at: frequency => power[Math.round(frequency / binWidth)] || 0
+        };
+    }
+
+    /**
+     * Normalized autocorrelation (lag 0 = 1) computed via FFT,
+     * with the bias from shrinking overlap removed
+     */
+    autocorrelation(signal) {
+        const n = signal.length;
+        const size = SpectralEstimator.nextPowerOfTwo(2 * n);
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+
+        let mean = 0;
+        for (let i = 0; i < n; i++) mean += signal[i];
+        mean /= n || 1;
+        for (let i = 0; i < n; i++) re[i] = signal[i] - mean;
+
+        SpectralEstimator.fft(re, im);
+        for (let k = 0; k < size; k++) {
+            re[k] = re[k] * re[k] + im[k] * im[k];
+            im[k] = 0;
+        }
+        SpectralEstimator.fft(re, im, true);
+
+        const acf = new Float64Array(n);
+        const zeroLag = re[0] / n;
+        for (let lag = 0; lag < n; lag++) {
+            acf[lag] = zeroLag > 0 ? (re[lag] / (n - lag)) / zeroLag : 0;
+        }
+
+        return acf;
+    }
+
+    /**
+     * In-place iterative radix-2 complex FFT (length must be a power of two)
+     * The inverse transform is scaled by 1/N
+     */
+    static fft(re, im, inverse = false) {
+        const n = re.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = (inverse ? 2 : -2) * Math.PI / len;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+
+            for (let start = 0; start < n; start += len) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let k = 0; k < len / 2; k++) {
+                    const a = start + k;
+                    const b = a + len / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    /**
+     * Linear interpolation into an array at a fractional index
+     */
+    static interpolate(values, index) {
+        const i = Math.floor(index);
+        if (i < 0 || i + 1 >= values.length) return 0;
+        const t = index - i;
+        return values[i] * (1 - t) + values[i + 1] * t;
+    }
+
+    /**
+     * Smallest power of two >= n
+     */
+    static nextPowerOfTwo(n) {
+        let size = 1;
+        while (size < n) size <<= 1;
+        return size;
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Streaming Analyzer Module
+ * Incremental beat detection on live audio blocks for real-time feedback
+ */
+
+import { BandpassFilter } from './bandpass-filter.js';
+import { BeatDetector } from './beat-detector.js';
+import { HeartRateEstimator } from './heart-rate-estimator.js';
+
+export class StreamingAnalyzer {
+    constructor(options = {}) {
+        this.filter = options.filter || new BandpassFilter();
+        this.beatDetector = options.beatDetector || new BeatDetector({ bandpass: this.filter });
+        this.estimator = options.estimator || new HeartRateEstimator();
+        this.windowSeconds = options.windowSeconds ?? 6;  // Sliding analysis window
+        this.minSeconds = options.minSeconds ?? 2;        // Don't analyze until this much is buffered
+        this.edgeGuard = options.edgeGuard ?? 1;          // Beats this close to the window end may still move
+
+        // Decimation keeps its filter state between blocks; detection re-runs on the window
+        this.decimator = this.filter.createDecimator(options.sampleRate);
+        this.sampleRate = this.decimator.sampleRate;
+        this.buffer = new Float32Array(Math.round(this.windowSeconds * this.sampleRate));
+
+        this.reset();
+    }
+
+    /**
+     * Clear all state for a new recording
+     */
+    reset() {
+        this.buffer.fill(0);
+        this.samplesProcessed = 0;
+        this.beats = [];
+        this.lastEstimate = { bpm: 0, confidence: 0 };
+    }
+
+    /**
+     * Process one block of raw audio
+     * Returns the current window's envelope, new beats (seconds since start)
+     * and the running BPM / quality estimate
+     */
+    process(block) {
+        const decimated = this.decimator.process(block);
+        this.append(decimated);
+
+        const time = this.samplesProcessed / this.sampleRate;
+        const length = Math.min(this.samplesProcessed, this.buffer.length);
+        const windowStart = time - length / this.sampleRate;
+
+        if (length < this.minSeconds * this.sampleRate) {
+            return this.update({ envelope: new Float32Array(0), windowStart, time, beats: [] });
+        }
+
+        const detection = this.beatDetector.detect(this.buffer.subarray(this.buffer.length - length), this.sampleRate);
+
+        // Accept beats once they are clear of the window's trailing edge
+        const newBeats = [];
+        for (const beatTime of detection.beats.map(t => windowStart + t)) {
+            const lastBeat = this.beats[this.beats.length - 1];
+            if (beatTime > time - this.edgeGuard) break;
+            if (lastBeat !== undefined && beatTime - lastBeat < this.beatDetector.refractoryPeriod) continue;
+
+            this.beats.push(beatTime);
+            newBeats.push(beatTime);
+        }
+
+        const recentBeats = this.beats.filter(beatTime => beatTime >= windowStart);
+        this.lastEstimate = recentBeats.length >= 2
+            ? this.estimator.estimate(recentBeats, detection.envelope, this.sampleRate)
+            : { bpm: 0, confidence: 0 };
+
+        return this.update({ envelope: detection.envelope, windowStart, time, beats: newBeats });
+    }
+
+    /**
+     * Shift new decimated samples into the end of the sliding window
+     */
+    append(samples) {
+        if (samples.length >= this.buffer.length) {
+            this.buffer.set(samples.subarray(samples.length - this.buffer.length));
+        } else {
+            this.buffer.copyWithin(0, samples.length);
+            this.buffer.set(samples, this.buffer.length - samples.length);
+        }
+        this.samplesProcessed += samples.length;
+    }
+
+    /**
+     * Build the update object reported for each block
+     */
+    update({ envelope, windowStart, time, beats }) {
+        return {
+            envelope,
+            windowStart,
+            sampleRate: this.sampleRate,
+            time,
+            beats,
+            recentBeats: this.beats.filter(beatTime => beatTime >= windowStart),
+            lastBeatTime: this.beats.length ? this.beats[this.beats.length - 1] : null,
+            bpm: this.lastEstimate.bpm,
+            quality: this.lastEstimate.confidence
+        };
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Analysis in the worker: message protocol, progress, cancellation and fallback
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AnalysisClient } from '../analysis-client.js';
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { generatePulse } from './synthetic-signal.js';
+
+// The worker script expects a worker global scope
+const workerScope = new EventTarget();
+const workerOutbox = [];
+workerScope.postMessage = (message) => workerOutbox.push(message);
+globalThis.self = workerScope;
+await import('../analysis-worker.js');
+
+/**
+ * Stand-in for a Worker running analysis-worker.js: messages are delivered on
+ * a later task, like the real thing
+ */
+class FakeWorker extends EventTarget {
+    constructor() {
+        super();
+        this.terminated = false;
+    }
+
+    postMessage(message) {
+        setTimeout(() => {
+            if (this.terminated) return;
+            workerOutbox.length = 0;
+            workerScope.dispatchEvent(new MessageEvent('message', { data: message }));
+            workerOutbox.forEach(data => setTimeout(() => {
+                if (!this.terminated) this.dispatchEvent(new MessageEvent('message', { data }));
+            }, 0));
+        }, 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+describe('AnalysisClient', () => {
+    const { samples, sampleRate } = generatePulse({ bpm: 72, duration: 15, noise: 0.1 });
+    const analyzer = new HeartRateAnalyzer();
+    const expected = analyzer.analyze(samples, sampleRate);
+
+    it('matches main-thread analysis and leaves the caller\'s samples intact', async () => {
+        const client = new AnalysisClient(analyzer, { createWorker: () => new FakeWorker() });
+        const progress = [];
+        const result = await client.analyze(samples, sampleRate, { onProgress: fraction => progress.push(fraction) });
+
+        assert.equal(client.worker instanceof FakeWorker, true);
+        assert.equal(result.bpm, expected.bpm);
+        assert.deepEqual(Array.from(result.peaks), Array.from(expected.peaks));
+        assert.equal(result.envelope.length, expected.envelope.length);
+        assert.equal(samples.length, expected.duration * sampleRate);
+
+        assert.equal(progress[progress.length - 1], 1);
+        progress.slice(1).forEach((fraction, i) => assert.ok(fraction >= progress[i], 'progress goes forward'));
+    });
+
+    it('sends the analyzer\'s settings with each request', async () => {
+        const narrow = new HeartRateAnalyzer({ filter: { lowCutoff: 1, highCutoff: 2.5 } });
+        const client = new AnalysisClient(narrow, { createWorker: () => new FakeWorker() });
+        const result = await client.analyze(samples, sampleRate);
+
+        assert.deepEqual(result.filterSettings, narrow.filter.getSettings());
+    });
+
+    it('stops the worker when cancelled', async () => {
+        const workers = [];
+        const client = new AnalysisClient(analyzer, {
+            createWorker: () => {
+                workers.push(new FakeWorker());
+                return workers[workers.length - 1];
+            }
+        });
+        const controller = new AbortController();
+
+        const analysis = client.analyze(samples, sampleRate, { signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(analysis, { name: 'AbortError' });
+        assert.equal(workers[0].terminated, true);
+        assert.equal(client.worker, null);
+
+        // The next analysis starts a fresh worker
+        await client.analyze(samples, sampleRate);
+        assert.equal(workers.length, 2);
+    });
+
+    it('cancels only the aborted request, finishing the others in a new worker', async () => {
+        const workers = [];
+        const client = new AnalysisClient(analyzer, {
+            createWorker: () => {
+                workers.push(new FakeWorker());
+                return workers[workers.length - 1];
+            }
+        });
+        const controller = new AbortController();
+
+        const cancelled = client.analyze(samples, sampleRate, { signal: controller.signal });
+        const other = client.analyze(samples, sampleRate);
+        controller.abort();
+
+        await assert.rejects(cancelled, { name: 'AbortError' });
+        assert.equal((await other).bpm, expected.bpm);
+        assert.equal(workers.length, 2);
+        assert.equal(workers[0].terminated, true);
+    });
+
+    it('analyzes on the main thread when the worker fails to start', async () => {
+        const broken = new FakeWorker();
+        broken.postMessage = () => setTimeout(() => broken.dispatchEvent(new Event('error')), 0);
+        const client = new AnalysisClient(analyzer, { createWorker: () => broken });
+
+        const result = await client.analyze(samples, sampleRate);
+        assert.equal(result.bpm, expected.bpm);
+        assert.equal(client.useWorker, false);
+    });
+
+    it('applies per-request settings, in the worker and on the main thread', async () => {
+        const profiled = new HeartRateAnalyzer({
+            noiseProfile: { sampleRate: 100, frameSize: 32, power: new Array(17).fill(0), floorDb: -60, mainsFrequency: null }
+        });
+
+        for (const useWorker of [true, false]) {
+            const client = new AnalysisClient(profiled, { createWorker: () => new FakeWorker(), useWorker });
+            const withProfile = await client.analyze(samples, sampleRate);
+            const without = await client.analyze(samples, sampleRate, { settings: { noiseProfile: null } });
+
+            assert.equal(withProfile.noiseReduction.profiled, true);
+            assert.equal(without.noiseReduction.profiled, false);
+        }
+        assert.notEqual(profiled.noiseProfile, null);
+    });
+
+    it('reports analysis errors from the worker', async () => {
+        const client = new AnalysisClient(analyzer, { createWorker: () => new FakeWorker() });
+        await assert.rejects(client.analyze(samples, 4), /Nyquist/);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Measurement flow transitions, cancelling and back-button routing
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AppStateMachine } from '../app-state-machine.js';
+import { BackNavigation } from '../back-navigation.js';
+
+/**
+ * Window stand-in recording pushState/back calls
+ */
+function fakeWindow() {
+    const target = new EventTarget();
+    target.calls = [];
+    target.history = {
+        pushState: (state) => target.calls.push(['push', state]),
+        back: () => target.calls.push(['back'])
+    };
+    return target;
+}
+
+function popState(target, state) {
+    const event = new Event('popstate');
+    event.state = state;
+    target.dispatchEvent(event);
+}
+
+describe('AppStateMachine', () => {
+    it('walks through a measurement', () => {
+        const flow = new AppStateMachine();
+        const seen = [];
+        flow.addEventListener('change', event => seen.push(`${event.detail.from}>${event.detail.to}`));
+
+        flow.transition('permission')
+            .transition('placement')
+            .transition('placement', { checking: true })
+            .transition('recording')
+            .transition('analyzing')
+            .transition('results');
+
+        assert.equal(flow.state, 'results');
+        assert.deepEqual(seen, [
+            'idle>permission', 'permission>placement', 'placement>placement',
+            'placement>recording', 'recording>analyzing', 'analyzing>results'
+        ]);
+    });
+
+    it('rejects transitions the flow does not allow', () => {
+        const flow = new AppStateMachine();
+        assert.throws(() => flow.transition('recording'), /idle to recording/);
+        assert.equal(flow.state, 'idle');
+
+        flow.transition('permission');
+        assert.equal(flow.can('results'), false);
+        assert.equal(flow.can('idle'), true);
+    });
+
+    it('cancels back to placement while the microphone is open', () => {
+        const flow = new AppStateMachine();
+        flow.transition('permission').transition('placement').transition('recording');
+
+        assert.equal(flow.cancel({ reason: 'hidden' }), true);
+        assert.equal(flow.state, 'placement');
+        assert.deepEqual(flow.data, { reason: 'hidden', cancelled: true });
+
+        // From placement itself, cancelling goes to the start
+        flow.cancel();
+        assert.equal(flow.state, 'idle');
+        assert.equal(flow.cancel(), false);
+    });
+
+    it('retries a failed recovery test through placement', () => {
+        const flow = new AppStateMachine();
+        flow.transition('permission').transition('placement')
+            .transition('recording', { protocol: 'recovery' })
+            .transition('analyzing')
+            .transition('recording', { protocol: 'recovery' })
+            .transition('error', { retry: 'recovery', screen: 2 });
+
+        // The route runRecoveryProtocol() takes when Try again calls it from the error panel
+        assert.throws(() => flow.transition('recording'), /error to recording/);
+        flow.transition('placement').transition('recording', { protocol: 'recovery' });
+        assert.equal(flow.state, 'recording');
+        assert.deepEqual(flow.data, { protocol: 'recovery' });
+    });
+
+    it('cancels a file analysis to the start', () => {
+        const flow = new AppStateMachine();
+        flow.transition('analyzing', { file: 'pulse.wav' }).transition('results');
+
+        flow.cancel();
+        assert.equal(flow.state, 'idle');
+    });
+});
+
+describe('BackNavigation', () => {
+    it('routes back presses to the app until it has nowhere to go', () => {
+        const target = fakeWindow();
+        let levels = 1;
+        const back = new BackNavigation({ window: target, onBack: () => levels-- > 0 });
+
+        back.arm();
+        back.arm();
+        assert.equal(target.calls.length, 1);
+
+        popState(target, null);
+        assert.equal(levels, 0);
+        assert.equal(back.armed, false);
+        assert.deepEqual(target.calls.at(-1)[0], 'push');
+
+        // Nothing left to go back to: the browser continues leaving the page
+        back.arm();
+        popState(target, null);
+        assert.deepEqual(target.calls.at(-1), ['back']);
+    });
+});
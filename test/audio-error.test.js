@@ -0,0 +1,70 @@
+/**
+ * Error classification and recovery guidance
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioError } from '../audio-error.js';
+import { ErrorView } from '../error-view.js';
+
+describe('AudioError', () => {
+    it('classifies getUserMedia failures by name', () => {
+        const cases = {
+            NotAllowedError: 'permission-denied',
+            NotFoundError: 'no-microphone',
+            NotReadableError: 'microphone-busy',
+            OverconstrainedError: 'no-microphone',
+            TypeError: 'unknown'
+        };
+
+        for (const [name, category] of Object.entries(cases)) {
+            const error = AudioError.from(new DOMException('failed', name));
+            assert.equal(error.category, category, name);
+            assert.equal(error.cause.name, name);
+        }
+    });
+
+    it('keeps existing AudioErrors and applies a fallback category', () => {
+        const original = new AudioError('audio-suspended', 'suspended');
+        assert.equal(AudioError.from(original), original);
+        assert.equal(AudioError.from(new Error('bad header'), 'decode-failed').category, 'decode-failed');
+        assert.equal(AudioError.from('oops').message, 'oops');
+    });
+
+    it('knows which errors a retry cannot fix', () => {
+        assert.equal(new AudioError('permission-denied', '').retryable, true);
+        assert.equal(new AudioError('insecure-context', '').retryable, false);
+        assert.equal(new AudioError('made-up', '').category, 'unknown');
+    });
+});
+
+describe('ErrorView guidance', () => {
+    it('detects the platform from the user agent', () => {
+        const agents = {
+            ios: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148',
+            android: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36',
+            desktop: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36'
+        };
+
+        for (const [platform, agent] of Object.entries(agents)) {
+            assert.equal(ErrorView.detectPlatform(agent), platform);
+        }
+    });
+
+    it('has a title and steps for every category on every platform', () => {
+        AudioError.CATEGORIES.forEach(category => {
+            ['ios', 'android', 'desktop'].forEach(platform => {
+                const { title, steps } = ErrorView.describe(category, platform);
+                assert.ok(title, `${category} title`);
+                assert.ok(steps.length > 0, `${category} on ${platform}`);
+            });
+        });
+    });
+
+    it('gives platform-specific permission steps', () => {
+        assert.match(ErrorView.describe('permission-denied', 'ios').steps.join(' '), /Safari/);
+        assert.match(ErrorView.describe('permission-denied', 'android').steps.join(' '), /Chrome/);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Detection benchmark on synthetic recordings
+ * Prints the mean absolute BPM error and mean confidence per impairment,
+ * so algorithm changes can be compared run to run
+ * Run with: npm run benchmark
+ */
+
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { generatePulse, generateRoomNoise } from './synthetic-signal.js';
+
+const RATES = [45, 55, 65, 72, 80, 90, 105, 120, 135, 150, 165, 180];
+const SEEDS = [1, 2, 3];
+
+const SCENARIOS = {
+    'clean': {},
+    'noise 0.1': { noise: 0.1 },
+    'noise 0.3': { noise: 0.3 },
+    'rate drift 20': { drift: 20 },
+    'jitter 5%': { jitter: 0.05 },
+    'jitter 10%': { jitter: 0.1 },
+    'wander 0.1': { wander: 0.1 },
+    'dropouts': { dropouts: [[3, 4], [9, 10.5]] },
+    'clipping 0.15': { clipLevel: 0.15 },
+    'mains hum 0.3': { hum: 0.3 },
+    'rumble 0.05': { rumble: 0.05 },
+    'rumble 0.05, profiled': { rumble: 0.05, profiled: true },   // Room noise subtracted
+    'everything': { noise: 0.1, drift: 10, jitter: 0.05, wander: 0.05, clipLevel: 0.2, dropouts: [[6, 7]] }
+};
+
+const analyzer = new HeartRateAnalyzer();
+const rows = [];
+
+for (const [name, { profiled, ...options }] of Object.entries(SCENARIOS)) {
+    let peakError = 0;
+    let spectralError = 0;
+    let confidence = 0;
+    let misses = 0;
+    let runs = 0;
+
+    for (const bpm of RATES) {
+        for (const seed of SEEDS) {
+            const { samples, sampleRate } = generatePulse({ bpm, seed, ...options });
+            const room = profiled ? generateRoomNoise({ ...options, seed: 100 + seed }) : null;
+            analyzer.noiseProfile = room ? analyzer.createNoiseProfile(room.samples, room.sampleRate) : null;
+            const result = analyzer.analyze(samples, sampleRate);
+
+            peakError += Math.abs(result.bpm - bpm);
+            spectralError += Math.abs(result.spectral.bpm - bpm);
+            confidence += result.confidence;
+            if (Math.abs(result.bpm - bpm) > Math.max(3, 0.03 * bpm)) misses++;
+            runs++;
+        }
+    }
+
+    rows.push({
+        scenario: name,
+        'MAE (peaks)': +(peakError / runs).toFixed(2),
+        'MAE (spectral)': +(spectralError / runs).toFixed(2),
+        'confidence': +(confidence / runs).toFixed(2),
+        'misses': `${misses}/${runs}`
+    });
+}
+
+console.table(rows);
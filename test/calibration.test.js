@@ -0,0 +1,110 @@
+/**
+ * Calibration against a reference heart rate: accuracy statistics and per-device tuning
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CalibrationStats } from '../calibration-stats.js';
+import { CalibrationStore } from '../calibration-store.js';
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { MeasurementSettings } from '../measurement-settings.js';
+import { generatePulse } from './synthetic-signal.js';
+
+describe('Calibration statistics', () => {
+    const pairs = [
+        { bpm: 62, referenceBpm: 60 },
+        { bpm: 70, referenceBpm: 72 },
+        { bpm: 84, referenceBpm: 80 },
+        { bpm: 100, referenceBpm: 100 }
+    ];
+
+    it('computes the error, bias and limits of agreement', () => {
+        const stats = CalibrationStats.summarize(pairs);
+
+        assert.equal(stats.count, 4);
+        assert.equal(stats.mae, 2);
+        assert.equal(stats.bias, 1);
+        assert.equal(stats.sd, 2.58);
+        assert.equal(stats.rmse, 2.45);
+        assert.deepEqual(stats.limits, { lower: -4.06, upper: 6.06 });
+    });
+
+    it('has no limits of agreement without two readings', () => {
+        assert.equal(CalibrationStats.summarize([]).mae, null);
+        assert.equal(CalibrationStats.summarize(pairs.slice(0, 1)).limits, null);
+    });
+
+    it('plots the difference against the mean of the two readings', () => {
+        assert.deepEqual(CalibrationStats.blandAltman(pairs.slice(0, 2)), [
+            { mean: 61, difference: 2 },
+            { mean: 71, difference: -2 }
+        ]);
+    });
+});
+
+describe('Calibration tuning', () => {
+    const analyzer = new HeartRateAnalyzer();
+    const pairsFor = (options) => [55, 64, 72, 85, 100, 120].map(bpm => {
+        const { samples, sampleRate } = generatePulse({ bpm, ...options, seed: bpm });
+        return CalibrationStore.createPair(analyzer.analyze(samples, sampleRate), bpm, { device: 'microphone:test' });
+    });
+
+    it('finds a band and threshold that fit a noisy microphone better', () => {
+        const tuned = CalibrationStats.tune(pairsFor({ rumble: 0.08 }));
+
+        assert.equal(tuned.improved, true);
+        assert.ok(tuned.baselineMae - tuned.mae > 5, `${tuned.baselineMae} → ${tuned.mae}`);
+        assert.ok(tuned.tuning.filter.lowCutoff < tuned.tuning.filter.highCutoff);
+        assert.ok(Number.isFinite(tuned.tuning.beatDetector.thresholdFactor));
+    });
+
+    it('keeps the defaults when they already fit or there are too few readings', () => {
+        const clean = pairsFor({ noise: 0.2 });
+        assert.equal(CalibrationStats.tune(clean).improved, false);
+        assert.equal(CalibrationStats.tune(clean.slice(0, 3)).tuning, null);
+        assert.equal(CalibrationStats.tune(clean.slice(0, 3)).count, 3);
+    });
+
+    it('applies a tuning to the analyzer and passes it on to the worker', () => {
+        const tuning = { filter: { lowCutoff: 0.6, highCutoff: 3.5 }, beatDetector: { thresholdFactor: 0.9 } };
+        const tuned = new HeartRateAnalyzer({ filter: { order: 6 } });
+        tuned.setTuning(tuning);
+
+        assert.equal(tuned.filter.lowCutoff, 0.6);
+        assert.equal(tuned.beatDetector.thresholdFactor, 0.9);
+        assert.equal(tuned.beatDetector.rectify, true);
+
+        const rebuilt = new HeartRateAnalyzer(tuned.getOptions());
+        assert.equal(rebuilt.filter.highCutoff, 3.5);
+        assert.equal(rebuilt.filter.order, 6);
+
+        tuned.setTuning(null);
+        assert.equal(tuned.filter.lowCutoff, 0.8);
+        assert.equal(tuned.beatDetector.thresholdFactor, 0.5);
+    });
+});
+
+describe('Calibration settings and device profiles', () => {
+    it('keys pairs by sensor and microphone', () => {
+        assert.equal(CalibrationStore.deviceKey('camera', 'Front'), 'camera');
+        assert.equal(CalibrationStore.deviceKey('microphone', ''), 'microphone:default');
+        assert.equal(CalibrationStore.deviceName('microphone:USB Headset'), 'USB Headset');
+        assert.equal(CalibrationStore.deviceName('microphone:default'), 'Default microphone');
+    });
+
+    it('stores calibration mode and only well-formed tunings', () => {
+        const settings = new MeasurementSettings({ storage: null });
+        assert.equal(settings.calibration, false);
+
+        const good = { filter: { lowCutoff: 0.6, highCutoff: 3 }, beatDetector: { thresholdFactor: 0.7 } };
+        settings.update({
+            calibration: true,
+            tuning: { camera: good, 'microphone:default': { filter: { lowCutoff: 'low' } } }
+        });
+
+        assert.equal(settings.calibration, true);
+        assert.deepEqual(settings.tuning, { camera: good });
+    });
+});
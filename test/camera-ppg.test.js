@@ -0,0 +1,98 @@
+/**
+ * Camera fingertip PPG: analysis of an intensity signal, frame checks and persistence
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CameraProcessor } from '../camera-processor.js';
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { AudioError } from '../audio-error.js';
+import { MeasurementSettings } from '../measurement-settings.js';
+import { SessionIO } from '../session-io.js';
+import { generatePpg } from './synthetic-signal.js';
+
+describe('PPG analysis', () => {
+    const analyzer = new HeartRateAnalyzer({ sensor: 'camera' });
+
+    for (const bpm of [50, 72, 110, 150]) {
+        it(`finds ${bpm} BPM in a fingertip signal`, () => {
+            const { samples, sampleRate } = generatePpg({ bpm, duration: 20, seed: bpm });
+            const result = analyzer.analyze(CameraProcessor.toPulseWave(samples.map(x => -x)), sampleRate);
+
+            assert.ok(Math.abs(result.bpm - bpm) <= 2, `got ${result.bpm}`);
+            assert.equal(result.sensor, 'camera');
+        });
+    }
+
+    it('keeps the sensor with the analyzer settings for the worker', () => {
+        assert.equal(analyzer.getOptions().sensor, 'camera');
+        assert.equal(new HeartRateAnalyzer().getOptions().sensor, 'microphone');
+        assert.equal(analyzer.beatDetector.rectify, false);
+    });
+});
+
+describe('CameraProcessor', () => {
+    const camera = new CameraProcessor();
+
+    it('scales the pulse wave to fit a WAV file', () => {
+        const wave = CameraProcessor.toPulseWave(Float32Array.from([200, 202, 198, 200]));
+        assert.equal(Math.max(...wave.map(Math.abs)), Math.fround(0.9));
+        assert.ok(Math.abs(wave.reduce((a, b) => a + b, 0)) < 1e-6);
+        assert.deepEqual(Array.from(CameraProcessor.toPulseWave(new Float32Array(3))), [0, 0, 0]);
+    });
+
+    it('tells a lit fingertip from darkness and an uncovered lens', () => {
+        assert.equal(camera.frameIssue({ red: 210, green: 40, blue: 30 }), null);
+        assert.equal(camera.frameIssue({ red: 20, green: 5, blue: 5 }), 'too-dark');
+        assert.equal(camera.frameIssue({ red: 150, green: 140, blue: 130 }), 'no-finger');
+    });
+
+    it('reports placement problems before a recording', () => {
+        const steady = { periodicity: 0.9, bpm: 70 };
+        const good = camera.assessPlacement({ frames: 100, issues: {} }, steady, { bpm: 71, confidence: 0.8 });
+        assert.equal(good.ok, true);
+        assert.equal(good.coverage, 1);
+
+        const lifted = camera.assessPlacement({ frames: 100, issues: { 'no-finger': 30 } }, steady, { bpm: 71, confidence: 0.8 });
+        assert.deepEqual(lifted.issues, ['no-finger']);
+        assert.equal(lifted.coverage, 0.7);
+
+        const flat = camera.assessPlacement({ frames: 100, issues: {} }, { periodicity: 0.2, bpm: 0 }, { bpm: 0, confidence: 0 });
+        assert.deepEqual(flat.issues, ['no-pulse']);
+    });
+});
+
+describe('Camera errors and settings', () => {
+    it('classifies camera failures', () => {
+        const cases = {
+            NotAllowedError: 'camera-denied',
+            NotFoundError: 'no-camera',
+            NotReadableError: 'camera-busy'
+        };
+
+        for (const [name, category] of Object.entries(cases)) {
+            assert.equal(AudioError.from(new DOMException('failed', name), 'unknown', 'camera').category, category, name);
+        }
+    });
+
+    it('remembers the chosen sensor', () => {
+        const settings = new MeasurementSettings({ storage: null });
+        assert.equal(settings.sensor, 'microphone');
+        settings.update({ sensor: 'camera' });
+        assert.equal(settings.sensor, 'camera');
+        settings.update({ sensor: 'thermometer' });
+        assert.equal(settings.sensor, 'microphone');
+    });
+
+    it('keeps the sensor through a CSV round trip', () => {
+        const entries = [
+            { timestamp: Date.UTC(2026, 0, 1), bpm: 64, confidence: 0.9, duration: 15, intervals: [0.94], sensor: 'camera' },
+            { timestamp: Date.UTC(2026, 0, 2), bpm: 70, confidence: 0.8, duration: 15, intervals: [0.86] }
+        ];
+        const parsed = SessionIO.parseHistoryCSV(SessionIO.historyToCSV(entries));
+
+        assert.deepEqual(parsed.map(entry => entry.sensor), ['camera', 'microphone']);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Public API: measure() with its events, access failures and cancellation
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FreeKG } from '../freekg.js';
+import { AudioError } from '../audio-error.js';
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { generatePulse } from './synthetic-signal.js';
+
+/**
+ * Stand-in for AudioProcessor: a synthetic recording instead of the microphone,
+ * with the events a real recording emits, analyzed on the main thread
+ */
+class FakeMicrophone extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.bpm = options.bpm ?? 72;
+        this.access = options.access || { success: true };
+        this.recordingDelay = options.recordingDelay ?? 0;
+        this.sampleRate = 8000;
+        this.mediaStream = null;
+        this.qualityIssues = [];
+        this.requests = 0;
+        this.analyzer = new HeartRateAnalyzer();
+    }
+
+    async requestMicrophone() {
+        this.requests++;
+        if (this.access.success) {
+            this.mediaStream = { active: true };
+        }
+        return this.access;
+    }
+
+    async startRecording(duration, options = {}) {
+        const { samples } = generatePulse({ bpm: this.bpm, duration, sampleRate: this.sampleRate });
+        this.dispatchEvent(new CustomEvent('quality', { detail: { issue: 'motion', warning: 'motion', sustained: false } }));
+        this.dispatchEvent(new CustomEvent('progress', { detail: { fraction: 0.5 } }));
+        this.dispatchEvent(new CustomEvent('beat', { detail: { time: 0.8, bpm: this.bpm } }));
+
+        await new Promise(resolve => setTimeout(resolve, this.recordingDelay));
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('Recording cancelled', 'AbortError');
+        }
+        this.dispatchEvent(new CustomEvent('progress', { detail: { fraction: 1 } }));
+        return samples;
+    }
+
+    async analyzeRecording(samples, sampleRate, options = {}) {
+        return this.analyzer.analyze(samples, sampleRate, undefined, options.onProgress);
+    }
+
+    cleanup() {
+        this.mediaStream = null;
+    }
+}
+
+/**
+ * Record every event of an API instance as [type, detail]
+ */
+function recordEvents(freekg) {
+    const events = [];
+    ['beat', 'progress', 'quality', 'restart', 'result'].forEach(type => {
+        freekg.addEventListener(type, (event) => events.push([type, event.detail]));
+    });
+    return events;
+}
+
+describe('FreeKG.measure()', () => {
+    it('resolves with the result after beat, quality and progress events', async () => {
+        const microphone = new FakeMicrophone({ bpm: 64 });
+        const freekg = new FreeKG({ processors: { microphone } });
+        const events = recordEvents(freekg);
+
+        const result = await freekg.measure({ duration: 15 });
+
+        assert.ok(Math.abs(result.bpm - 64) <= 2, `got ${result.bpm}`);
+        assert.deepEqual(result.qualityIssues, []);
+        assert.equal(freekg.measuring, false);
+
+        const types = events.map(([type]) => type);
+        assert.deepEqual(types.slice(0, 5), ['progress', 'quality', 'progress', 'beat', 'progress']);
+        assert.equal(types[types.length - 1], 'result');
+        assert.equal(events[events.length - 1][1], result);
+
+        const analyzing = events.filter(([type, detail]) => type === 'progress' && detail.phase === 'analyzing');
+        assert.ok(analyzing.length > 0);
+        assert.equal(analyzing[analyzing.length - 1][1].fraction, 1);
+        assert.deepEqual(events[2][1], { phase: 'recording', fraction: 0.5 });
+    });
+
+    it('asks for the microphone once while it stays open', async () => {
+        const microphone = new FakeMicrophone();
+        const freekg = new FreeKG({ processors: { microphone } });
+
+        await freekg.measure({ duration: 5 });
+        await freekg.measure({ duration: 5 });
+        assert.equal(microphone.requests, 1);
+
+        freekg.release();
+        await freekg.measure({ duration: 5 });
+        assert.equal(microphone.requests, 2);
+    });
+
+    it('rejects with the AudioError when access fails', async () => {
+        const access = { success: false, error: new AudioError('permission-denied', 'blocked') };
+        const freekg = new FreeKG({ processors: { microphone: new FakeMicrophone({ access }) } });
+
+        await assert.rejects(freekg.measure(), (error) => error.category === 'permission-denied');
+        assert.equal(freekg.measuring, false);
+    });
+
+    it('can be cancelled, and runs one measurement at a time', async () => {
+        const freekg = new FreeKG({ processors: { microphone: new FakeMicrophone({ recordingDelay: 20 }) } });
+        const controller = new AbortController();
+
+        const running = freekg.measure({ duration: 5, signal: controller.signal });
+        await assert.rejects(freekg.measure({ duration: 5 }), /already in progress/);
+        controller.abort();
+        await assert.rejects(running, { name: 'AbortError' });
+
+        const again = freekg.measure({ duration: 5 });
+        freekg.cancel();
+        await assert.rejects(again, { name: 'AbortError' });
+        assert.equal(freekg.measuring, false);
+    });
+
+    it('rejects unknown sensors and durations out of range', async () => {
+        const freekg = new FreeKG({ processors: { microphone: new FakeMicrophone() } });
+
+        await assert.rejects(freekg.measure({ sensor: 'thermometer' }), /Sensor must be/);
+        await assert.rejects(freekg.measure({ duration: 1 }), /Duration must be/);
+    });
+});
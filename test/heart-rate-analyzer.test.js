@@ -0,0 +1,177 @@
+/**
+ * Detection accuracy on synthetic recordings with a known BPM
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { StreamingAnalyzer } from '../streaming-analyzer.js';
+import { WavCodec } from '../wav-codec.js';
+import { AudioProcessor } from '../audio-processor.js';
+import { MeasurementCombiner } from '../measurement-combiner.js';
+import { createRandom, generatePulse } from './synthetic-signal.js';
+
+const RATES = [45, 60, 72, 90, 120, 150, 180];
+
+/**
+ * Allowed BPM error: 3 BPM, or 3% at fast rates where the 10 ms
+ * analysis resolution is a larger fraction of the beat interval
+ */
+function tolerance(bpm) {
+    return Math.max(3, 0.03 * bpm);
+}
+
+function assertBpm(actual, expected, label) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance(expected),
+        `${label}: expected ${expected} BPM, got ${actual}`
+    );
+}
+
+describe('HeartRateAnalyzer', () => {
+    const analyzer = new HeartRateAnalyzer();
+
+    const scenarios = {
+        clean: {},
+        noise: { noise: 0.2 },
+        'rate drift': { drift: 10 },
+        'beat jitter': { jitter: 0.05 },
+        'baseline wander': { wander: 0.05 },
+        dropouts: { dropouts: [[3, 4], [9, 10.5]] },
+        clipping: { clipLevel: 0.2 }
+    };
+
+    for (const [name, options] of Object.entries(scenarios)) {
+        it(`detects the rate with ${name}`, () => {
+            RATES.forEach(bpm => {
+                const { samples, sampleRate } = generatePulse({ bpm, ...options });
+                const result = analyzer.analyze(samples, sampleRate);
+
+                assertBpm(result.bpm, bpm, `${name} @ ${bpm}`);
+                assertBpm(result.spectral.bpm, bpm, `${name} @ ${bpm} (spectral)`);
+                assert.ok(result.estimatesAgree, `${name} @ ${bpm}: estimates disagree`);
+            });
+        });
+    }
+
+    it('handles the native 44.1 kHz capture rate', () => {
+        const { samples, sampleRate } = generatePulse({ bpm: 72, sampleRate: 44100 });
+        const result = analyzer.analyze(samples, sampleRate);
+
+        assertBpm(result.bpm, 72, '44.1 kHz');
+        assert.equal(result.duration, 15);
+        assert.ok(Math.abs(result.analysisRate - 100) < 10);
+    });
+
+    it('finds every beat of a clean recording', () => {
+        const { samples, sampleRate, beats } = generatePulse({ bpm: 72 });
+        const result = analyzer.analyze(samples, sampleRate);
+
+        // Detected beats land near the envelope peak, shortly after the S1 onset
+        assert.equal(result.peaks.length, beats.length);
+        result.peaks.forEach((time, i) => {
+            assert.ok(Math.abs(time - beats[i]) < 0.1, `beat ${i}: ${time} vs ${beats[i]}`);
+        });
+    });
+
+    it('is confident on clean signals and not on noise', () => {
+        const { samples, sampleRate } = generatePulse({ bpm: 72 });
+        assert.ok(analyzer.analyze(samples, sampleRate).confidence > 0.8);
+
+        const random = createRandom(3);
+        const noise = new Float32Array(8000 * 15).map(() => 0.1 * (2 * random() - 1));
+        assert.ok(analyzer.analyze(noise, 8000).confidence < 0.5);
+    });
+});
+
+describe('AudioProcessor.detectHeartRate', () => {
+    it('rejects a duration passed where the sample rate goes', () => {
+        const processor = new AudioProcessor();
+        const { samples, sampleRate } = generatePulse({ bpm: 72 });
+
+        assert.throws(() => processor.detectHeartRate(samples, 15), RangeError);
+        assertBpm(processor.detectHeartRate(samples, sampleRate).bpm, 72, 'with the sample rate');
+    });
+});
+
+describe('StreamingAnalyzer', () => {
+    it('converges on the rate block by block', () => {
+        const { samples, sampleRate } = generatePulse({ bpm: 72, noise: 0.05 });
+        const streaming = new StreamingAnalyzer({ sampleRate });
+
+        let update;
+        for (let offset = 0; offset < samples.length; offset += 1024) {
+            update = streaming.process(samples.subarray(offset, offset + 1024));
+        }
+
+        assertBpm(update.bpm, 72, 'streaming');
+    });
+});
+
+describe('WavCodec', () => {
+    it('round-trips 16-bit PCM', () => {
+        const { samples, sampleRate } = generatePulse({ bpm: 60, duration: 2 });
+        const decoded = WavCodec.decode(WavCodec.encode(samples, sampleRate));
+
+        assert.equal(decoded.sampleRate, sampleRate);
+        assert.equal(decoded.samples.length, samples.length);
+        decoded.samples.forEach((value, i) => {
+            assert.ok(Math.abs(value - samples[i]) < 1e-4);
+        });
+    });
+});
+
+describe('Manual beat correction', () => {
+    const analyzer = new HeartRateAnalyzer();
+    const { samples, sampleRate, beats } = generatePulse({ bpm: 72 });
+    const original = analyzer.analyze(samples, sampleRate);
+
+    it('recomputes the rate from edited beats', () => {
+        // Drop every other beat of a fast recording: the rate halves
+        const fast = generatePulse({ bpm: 100 });
+        const before = analyzer.analyze(fast.samples, fast.sampleRate);
+        const result = analyzer.reanalyze(before, before.peaks.filter((time, i) => i % 2 === 0));
+
+        assertBpm(result.bpm, 50, 'every other beat');
+        assert.equal(result.manuallyCorrected, true);
+        assert.equal(result.estimatesAgree, false);
+        assert.equal(before.manuallyCorrected, undefined);
+    });
+
+    it('restores a missed beat', () => {
+        const missing = original.peaks.filter((time, i) => i !== 5);
+        const damaged = analyzer.reanalyze(original, missing);
+        assert.ok(damaged.rejectedBeats > 0);
+
+        // Tap roughly where the beat should be; it snaps to the envelope peak
+        const snapped = analyzer.snapBeat(original, original.peaks[5] + 0.06);
+        assert.ok(Math.abs(snapped - original.peaks[5]) < 0.02, `snapped to ${snapped}`);
+
+        const repaired = analyzer.reanalyze(original, [...missing, snapped]);
+        assert.equal(repaired.rejectedBeats, 0);
+        assert.equal(repaired.peaks.length, beats.length);
+        assertBpm(repaired.bpm, 72, 'repaired');
+    });
+
+    it('reduces an edited series to the recording on the chart', () => {
+        const series = [60, 72, 84].map(bpm => {
+            const pulse = generatePulse({ bpm, duration: 30 });
+            return analyzer.analyze(pulse.samples, pulse.sampleRate);
+        });
+        const combined = MeasurementCombiner.combine(series, 'mean');
+        const shown = series.find(result => result.peaks === combined.peaks);
+
+        // Removing one beat leaves 30 s of beats, not the series' 90 s
+        const edited = analyzer.reanalyze(combined, combined.peaks.slice(1));
+
+        assert.equal(combined.duration, 90);
+        assert.equal(edited.duration, 30);
+        assert.equal(edited.hrv.reliable, false);
+        assertBpm(edited.bpm, shown.bpm, 'the shown recording');
+        assert.equal(edited.combineMethod, undefined);
+        assert.equal(edited.measurements, undefined);
+        assert.equal(edited.recordingDuration, undefined);
+    });
+});
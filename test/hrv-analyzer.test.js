@@ -0,0 +1,71 @@
+/**
+ * HRV metrics on hand-built beat series and synthetic recordings
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HrvAnalyzer } from '../hrv-analyzer.js';
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { generatePulse } from './synthetic-signal.js';
+
+/**
+ * Beat times (s) from a list of intervals (ms)
+ */
+function beatsFromIntervals(intervals) {
+    const beats = [0.5];
+    intervals.forEach(ibi => beats.push(beats[beats.length - 1] + ibi / 1000));
+    return beats;
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+describe('HrvAnalyzer', () => {
+    const hrv = new HrvAnalyzer();
+
+    it('computes time-domain metrics', () => {
+        const result = hrv.analyze(beatsFromIntervals([800, 860, 780, 840, 800]));
+
+        assertClose(result.meanIbi, 816, 1e-6, 'mean IBI');
+        assertClose(result.minIbi, 780, 1e-6, 'min IBI');
+        assertClose(result.maxIbi, 860, 1e-6, 'max IBI');
+        assertClose(result.sdnn, Math.sqrt(4320 / 4), 1e-6, 'SDNN');
+        assertClose(result.rmssd, Math.sqrt((60 ** 2 + 80 ** 2 + 60 ** 2 + 40 ** 2) / 4), 1e-6, 'RMSSD');
+        assertClose(result.pnn50, 75, 1e-6, 'pNN50');
+        assert.equal(result.poincare.length, 4);
+        assert.equal(result.reliable, false);
+    });
+
+    it('skips outliers and the differences that span them', () => {
+        // The 400 ms interval is a double-detected beat
+        const result = hrv.analyze(beatsFromIntervals([800, 810, 400, 820, 800]));
+
+        assert.equal(result.count, 4);
+        assert.deepEqual(result.tachogram.map(point => point.accepted), [true, true, false, true, true]);
+        assert.equal(result.poincare.length, 2);
+        assertClose(result.rmssd, Math.sqrt((10 ** 2 + 20 ** 2) / 2), 1e-6, 'RMSSD');
+    });
+
+    it('returns null metrics for too few beats', () => {
+        const result = hrv.analyze([1]);
+
+        assert.equal(result.count, 0);
+        assert.equal(result.sdnn, null);
+        assert.equal(result.rmssd, null);
+        assert.equal(result.pnn50, null);
+    });
+
+    it('recovers the variability of a synthetic one-minute recording', () => {
+        const { samples, sampleRate, beats } = generatePulse({ bpm: 65, duration: 60, jitter: 0.05, noise: 0.05 });
+        const truth = hrv.analyze(beats, 60);
+        const result = new HeartRateAnalyzer().analyze(samples, sampleRate).hrv;
+
+        assert.ok(result.reliable);
+        assertClose(result.meanIbi, truth.meanIbi, 2, 'mean IBI');
+        assertClose(result.sdnn, truth.sdnn, 3, 'SDNN');
+        assertClose(result.rmssd, truth.rmssd, 4, 'RMSSD');
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Microphone selection and input level
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DevicePicker } from '../device-picker.js';
+import { LevelMeter } from '../level-meter.js';
+import { SignalQualityMonitor } from '../signal-quality.js';
+
+const devices = [
+    { deviceId: 'default', label: '' },
+    { deviceId: 'abc', label: 'Built-in Microphone' },
+    { deviceId: 'def', label: 'USB Mic' }
+];
+
+describe('DevicePicker', () => {
+    it('finds a saved device by id, then by name', () => {
+        assert.equal(DevicePicker.findDevice(devices, 'def').label, 'USB Mic');
+        assert.equal(DevicePicker.findDevice(devices, 'stale-id', 'USB Mic').deviceId, 'def');
+        assert.equal(DevicePicker.findDevice(devices, 'stale-id', 'Headset'), null);
+        assert.equal(DevicePicker.findDevice(devices, '', ''), null);
+    });
+
+    it('names inputs before microphone access is granted', () => {
+        assert.equal(DevicePicker.labelFor(devices[0], 0), 'Default microphone');
+        assert.equal(DevicePicker.labelFor({ deviceId: 'x', label: '' }, 2), 'Microphone 3');
+        assert.equal(DevicePicker.labelFor(devices[2], 2), 'USB Mic');
+    });
+});
+
+describe('LevelMeter', () => {
+    const meter = new LevelMeter();
+
+    it('tells silence, a usable level and clipping apart', () => {
+        assert.equal(meter.describe(null), 'none');
+        assert.equal(meter.describe({ levelDb: -Infinity, peakDb: -Infinity, clippedFraction: 0 }), 'none');
+        assert.equal(meter.describe({ levelDb: -80, peakDb: -70, clippedFraction: 0 }), 'quiet');
+        assert.equal(meter.describe({ levelDb: -40, peakDb: -20, clippedFraction: 0 }), 'ok');
+        assert.equal(meter.describe({ levelDb: -10, peakDb: 0, clippedFraction: 0.02 }), 'clipping');
+    });
+
+    it('maps levels onto the bar', () => {
+        assert.equal(meter.fraction(-90), 0);
+        assert.equal(meter.fraction(-45), 0.5);
+        assert.equal(meter.fraction(3), 1);
+        assert.equal(meter.fraction(-Infinity), 0);
+    });
+
+    it('reads peak and RMS levels from analyser samples', () => {
+        const samples = new Float32Array(1000).fill(0.1);
+        samples[500] = -0.5;
+        const level = new SignalQualityMonitor().measure(samples);
+
+        assert.ok(Math.abs(level.peakDb - 20 * Math.log10(0.5)) < 1e-6);
+        assert.ok(level.levelDb < level.peakDb);
+        assert.equal(level.clippedFraction, 0);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Combining a series of measurements, and the settings that drive it
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MeasurementCombiner } from '../measurement-combiner.js';
+import { MeasurementSettings } from '../measurement-settings.js';
+
+/**
+ * Minimal detectHeartRate()-shaped result
+ */
+function reading(bpm, confidence, intervals = [0.8, 0.8]) {
+    return { bpm, confidence, duration: 15, intervals, peaks: [], hrv: { rmssd: bpm } };
+}
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+describe('MeasurementCombiner', () => {
+    const series = [reading(70, 0.6), reading(74, 0.9), reading(90, 0.5), reading(0, 0, [])];
+
+    it('returns a single measurement unchanged', () => {
+        const only = reading(72, 0.8);
+        assert.equal(MeasurementCombiner.combine([only], 'mean'), only);
+    });
+
+    it('takes the median of the valid readings', () => {
+        const result = MeasurementCombiner.combine(series, 'median');
+
+        assert.equal(result.bpm, 74);
+        assert.equal(result.confidence, 0.67);
+        assert.equal(result.duration, 60);
+        assert.equal(result.recordingDuration, 15);
+        assert.equal(result.intervals.length, 6);
+        assert.deepEqual(result.measurements.map(m => m.used), [true, true, true, false]);
+    });
+
+    it('takes the mean of the valid readings', () => {
+        assert.equal(MeasurementCombiner.combine(series, 'mean').bpm, 78);
+    });
+
+    it('keeps the most confident reading', () => {
+        const result = MeasurementCombiner.combine(series, 'best-confidence');
+
+        assert.equal(result.bpm, 74);
+        assert.equal(result.confidence, 0.9);
+        assert.deepEqual(result.measurements.map(m => m.used), [false, true, false, false]);
+        // Only the kept reading's intervals, like its beats and HRV
+        assert.deepEqual(result.intervals, series[1].intervals);
+        assert.equal(result.recordingDuration, 15);
+    });
+
+    it('keeps beats and HRV from the most confident reading', () => {
+        assert.equal(MeasurementCombiner.combine(series, 'mean').hrv.rmssd, 74);
+    });
+
+    it('rejects an empty series', () => {
+        assert.throws(() => MeasurementCombiner.combine([]));
+    });
+});
+
+describe('MeasurementSettings', () => {
+    it('starts from the defaults', () => {
+        const settings = new MeasurementSettings({ storage: memoryStorage() });
+        assert.deepEqual(settings.getAll(), MeasurementSettings.DEFAULTS);
+    });
+
+    it('clamps and validates updates', () => {
+        const settings = new MeasurementSettings({ storage: null });
+        settings.update({ duration: 2, repeats: 50, restSeconds: 'soon', combine: 'mode' });
+
+        assert.equal(settings.duration, 5);
+        assert.equal(settings.repeats, 10);
+        assert.equal(settings.restSeconds, MeasurementSettings.DEFAULTS.restSeconds);
+        assert.equal(settings.combine, MeasurementSettings.DEFAULTS.combine);
+    });
+
+    it('persists changes and notifies listeners', () => {
+        const storage = memoryStorage();
+        const settings = new MeasurementSettings({ storage });
+        let changed = null;
+        settings.addEventListener('change', event => { changed = event.detail; });
+
+        settings.update({ duration: 60, repeats: 3 });
+
+        assert.equal(changed.duration, 60);
+        assert.equal(new MeasurementSettings({ storage }).repeats, 3);
+    });
+
+    it('remembers the chosen microphone', () => {
+        const storage = memoryStorage();
+        new MeasurementSettings({ storage }).update({ inputDeviceId: 'usb-1', inputDeviceLabel: 'USB Mic' });
+        const settings = new MeasurementSettings({ storage });
+
+        assert.equal(settings.inputDeviceId, 'usb-1');
+        assert.equal(settings.inputDeviceLabel, 'USB Mic');
+
+        settings.update({ inputDeviceId: 42 });
+        assert.equal(settings.inputDeviceId, '');
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Mains hum removal and room noise subtraction
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NoiseReducer } from '../noise-reducer.js';
+import { HeartRateAnalyzer } from '../heart-rate-analyzer.js';
+import { generatePulse, generatePpg, generateRoomNoise } from './synthetic-signal.js';
+
+describe('Mains hum', () => {
+    const reducer = new NoiseReducer();
+
+    it('finds 50 or 60 Hz hum, and none in a clean recording', () => {
+        for (const humFrequency of [50, 60]) {
+            const { samples, sampleRate } = generatePulse({ bpm: 72, hum: 0.1, humFrequency });
+            assert.equal(reducer.detectHum(samples, sampleRate), humFrequency);
+        }
+
+        const { samples, sampleRate } = generatePulse({ bpm: 72, noise: 0.1 });
+        assert.equal(reducer.detectHum(samples, sampleRate), null);
+    });
+
+    it('notches the hum out', () => {
+        const { samples, sampleRate } = generateRoomNoise({ duration: 5, hum: 0.3, humFrequency: 60 });
+        const cleaned = reducer.removeHum(samples, sampleRate, 60);
+        const power = data => NoiseReducer.goertzel(data, data.length, sampleRate, 60);
+
+        assert.ok(10 * Math.log10(power(samples) / power(cleaned)) > 30);
+    });
+
+    it('recovers pulses buried under hum', () => {
+        for (const bpm of [50, 72]) {
+            const { samples, sampleRate } = generatePulse({ bpm, hum: 0.3, seed: bpm });
+            const unfiltered = new HeartRateAnalyzer({ noiseReducer: { mains: 'off' } }).analyze(samples, sampleRate);
+            const result = new HeartRateAnalyzer().analyze(samples, sampleRate);
+
+            assert.ok(Math.abs(unfiltered.bpm - bpm) > 3, `hum alone gave ${unfiltered.bpm}`);
+            assert.ok(Math.abs(result.bpm - bpm) <= 3, `got ${result.bpm}`);
+            assert.equal(result.noiseReduction.mainsFrequency, 50);
+        }
+    });
+});
+
+describe('Room noise subtraction', () => {
+    it('leaves a signal untouched when the profile is silent', () => {
+        const reducer = new NoiseReducer();
+        const { samples } = generatePulse({ bpm: 72, sampleRate: 100, noise: 0.1 });
+        const profile = { sampleRate: 100, frameSize: 32, power: new Array(17).fill(0) };
+        const output = reducer.subtract(samples, 100, profile);
+
+        assert.equal(output.length, samples.length);
+        samples.forEach((value, i) => assert.ok(Math.abs(output[i] - value) < 1e-5));
+    });
+
+    it('lowers the noise floor and recovers the pulse', () => {
+        const { samples, sampleRate } = generatePulse({ bpm: 60, rumble: 0.05, seed: 60 });
+        const room = generateRoomNoise({ rumble: 0.05, seed: 99 });
+        const analyzer = new HeartRateAnalyzer();
+
+        const before = analyzer.analyze(samples, sampleRate);
+        analyzer.noiseProfile = analyzer.createNoiseProfile(room.samples, room.sampleRate);
+        const after = analyzer.analyze(samples, sampleRate);
+
+        assert.ok(Math.abs(before.bpm - 60) > 3, `rumble alone gave ${before.bpm}`);
+        assert.ok(Math.abs(after.bpm - 60) <= 3, `got ${after.bpm}`);
+        assert.equal(after.noiseReduction.profiled, true);
+        assert.ok(after.noiseReduction.floorBeforeDb - after.noiseReduction.floorAfterDb > 6);
+        assert.ok(Math.abs(analyzer.noiseProfile.floorDb - after.noiseReduction.floorBeforeDb) < 3,
+            'the room and the recording share a noise floor');
+    });
+
+    it('reads a profile taken at another sample rate', () => {
+        const profile = { sampleRate: 100, frameSize: 32, power: Array.from({ length: 17 }, (_, k) => k) };
+        const power = NoiseReducer.profilePower(profile, 100, 64);
+
+        assert.equal(power[2], 1);
+        assert.equal(power[3], 1.5);
+        assert.equal(power[32], 16);
+    });
+
+    it('leaves camera recordings alone', () => {
+        const { samples, sampleRate } = generatePpg({ bpm: 72 });
+        const result = new HeartRateAnalyzer({ sensor: 'camera' }).analyze(samples, sampleRate);
+        assert.equal(result.noiseReduction, null);
+    });
+
+    it('rejects an unknown mains setting', () => {
+        assert.throws(() => new NoiseReducer({ mains: 55 }), /Mains frequency/);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Heart rate recovery test: its plan, timing and metrics
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RecoveryProtocol } from '../recovery-protocol.js';
+import { MeasurementSettings } from '../measurement-settings.js';
+import { HistoryStore } from '../history-store.js';
+import { SessionIO } from '../session-io.js';
+
+/**
+ * Recovery readings at the standard checkpoints, 15 s each
+ */
+function readings(bpms) {
+    return RecoveryProtocol.CHECKPOINTS.map((checkpoint, i) => ({
+        checkpoint,
+        offset: checkpoint,
+        duration: 15,
+        bpm: bpms[i],
+        confidence: 0.9
+    }));
+}
+
+describe('RecoveryProtocol', () => {
+    it('plans a resting reading, the exercise, then a reading at each checkpoint', () => {
+        const steps = new RecoveryProtocol({ exerciseSeconds: 90 }).steps();
+
+        assert.deepEqual(steps.slice(0, 2), [
+            { type: 'reading', phase: 'resting' },
+            { type: 'exercise', seconds: 90 }
+        ]);
+        assert.deepEqual(steps.slice(2).map(step => step.checkpoint), [0, 60, 120, 180]);
+        assert.ok(steps.slice(2).every(step => step.type === 'reading' && step.phase === 'recovery'));
+    });
+
+    it('rejects checkpoints closer together than a reading', () => {
+        assert.throws(() => new RecoveryProtocol({ checkpoints: [0, 10, 60] }), /at least that far apart/);
+        assert.doesNotThrow(() => new RecoveryProtocol({ checkpoints: [0, 10, 60], readingSeconds: 10 }));
+    });
+
+    it('waits until each checkpoint, and not at all once it has passed', () => {
+        const protocol = new RecoveryProtocol();
+        const exerciseEnd = 1_000_000;
+
+        assert.equal(protocol.waitFor(0, exerciseEnd, exerciseEnd), 0);
+        assert.equal(protocol.waitFor(60, exerciseEnd, exerciseEnd + 17_300), 43);
+        assert.equal(protocol.waitFor(60, exerciseEnd, exerciseEnd + 65_000), 0);
+    });
+
+    it('records when a reading actually started', () => {
+        const result = { bpm: 120, confidence: 0.8, duration: 15 };
+        // Analysis of the previous reading ran late: finished 80 s after the exercise
+        const reading = RecoveryProtocol.reading(result, 60, 0, 80_000);
+
+        assert.deepEqual(reading, { checkpoint: 60, offset: 65, duration: 15, bpm: 120, confidence: 0.8 });
+    });
+
+    it('computes the drops at 1 and 2 minutes and the share recovered', () => {
+        const recovery = RecoveryProtocol.summarize(70, readings([150, 125, 110, 100]));
+
+        assert.equal(recovery.restingBpm, 70);
+        assert.equal(recovery.peakBpm, 150);
+        assert.equal(recovery.hrr1, 25);
+        assert.equal(recovery.hrr2, 40);
+        assert.equal(recovery.recoveredPercent, 50);
+        assert.equal(recovery.slowRecovery, false);
+        assert.equal(recovery.readings.length, 4);
+    });
+
+    it('flags a first-minute drop of 12 BPM or less as slow', () => {
+        assert.equal(RecoveryProtocol.summarize(70, readings([140, 128, 120, 110])).slowRecovery, true);
+        assert.equal(RecoveryProtocol.summarize(70, readings([140, 127, 120, 110])).slowRecovery, false);
+    });
+
+    it('leaves metrics null where a reading found no pulse', () => {
+        const recovery = RecoveryProtocol.summarize(0, readings([150, 0, 110, 100]));
+
+        assert.equal(recovery.restingBpm, null);
+        assert.equal(recovery.hrr1, null);
+        assert.equal(recovery.slowRecovery, null);
+        assert.equal(recovery.hrr2, 40);
+        assert.equal(recovery.recoveredPercent, null);
+    });
+
+    it('keeps the whole test with the saved measurement and exported session', () => {
+        const recovery = RecoveryProtocol.summarize(70, readings([150, 125, 110, 100]));
+        const result = { bpm: 70, confidence: 0.9, duration: 15, intervals: [0.86], peaks: [], recovery };
+
+        assert.deepEqual(HistoryStore.fromResult(result).recovery, recovery);
+        const session = SessionIO.createSession(result, { sampleRate: 8000 });
+        assert.deepEqual(session.recovery, recovery);
+        assert.deepEqual(SessionIO.sessionToEntry(session).recovery, recovery);
+        assert.equal(SessionIO.createSession({ ...result, recovery: undefined }).recovery, null);
+    });
+
+    it('clamps the exercise length setting', () => {
+        const settings = new MeasurementSettings({ storage: null });
+        assert.equal(settings.exerciseSeconds, 60);
+
+        settings.update({ exerciseSeconds: 5 });
+        assert.equal(settings.exerciseSeconds, 15);
+        settings.update({ exerciseSeconds: 10000 });
+        assert.equal(settings.exerciseSeconds, 600);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * The service worker's precache list has to keep up with the app's files
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { SessionIO } from '../session-io.js';
+import { AppVersion } from '../version.js';
+
+const root = new URL('../', import.meta.url);
+const source = readFileSync(new URL('service-worker.js', root), 'utf8');
+
+/**
+ * Strings in the worker's ASSETS array
+ */
+function precachedAssets() {
+    const list = source.match(/const ASSETS = \[([\s\S]*?)\];/)[1];
+    return Array.from(list.matchAll(/'([^']+)'/g), match => match[1]);
+}
+
+describe('Service worker', () => {
+    it('precaches every script and stylesheet', () => {
+        const assets = precachedAssets();
+        const files = readdirSync(root).filter(name => /\.(js|css)$/.test(name) && name !== 'service-worker.js');
+
+        files.forEach(name => assert.ok(assets.includes(name), `${name} is not precached`));
+    });
+
+    it('precaches only files that exist', () => {
+        precachedAssets()
+            .filter(asset => asset !== './')
+            .forEach(asset => assert.doesNotThrow(() => readFileSync(new URL(asset, root)), asset));
+    });
+
+    it('is versioned with the app, from the one version module', () => {
+        const pkg = JSON.parse(readFileSync(new URL('package.json', root), 'utf8'));
+        assert.match(source, /import \{ AppVersion \} from '\.\/version\.js'/);
+        assert.match(source, /freekg-\$\{AppVersion\.VERSION\}/);
+        assert.equal(SessionIO.APP_VERSION, AppVersion.VERSION);
+        assert.match(AppVersion.VERSION, /^\d+\.\d+\.\d+$/);
+        assert.equal(pkg.version, undefined, 'package.json should not keep a second copy of the version');
+    });
+});
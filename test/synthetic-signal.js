@@ -0,0 +1,176 @@
+/**
+ * Synthetic Signal Generator
+ * Heart-sound-like recordings with a known BPM and controllable impairments
+ */
+
+import { BandpassFilter } from '../bandpass-filter.js';
+
+/**
+ * Seeded PRNG (mulberry32) so every run sees the same noise
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a pulse recording
+ * Each beat is an S1 burst (40 Hz) followed by a quieter S2 burst (50 Hz)
+ * - noise: amplitude of uniform white noise
+ * - drift: BPM change from the start to the end of the recording
+ * - wander: amplitude of slow baseline wander (0.15 Hz)
+ * - jitter: beat-to-beat interval variation as a fraction of the interval
+ * - dropouts: [[startSeconds, endSeconds], ...] ranges that are silenced
+ * - clipLevel: hard-clip the result at +/- this level
+ * - rumble, hum, humFrequency: room noise, as for generateRoomNoise
+ * Returns { samples, sampleRate, beats } with the true beat times in seconds
+ */
+export function generatePulse(options = {}) {
+    const bpm = options.bpm ?? 72;
+    const duration = options.duration ?? 15;
+    const sampleRate = options.sampleRate ?? 8000;
+    const noise = options.noise ?? 0.02;
+    const drift = options.drift ?? 0;
+    const wander = options.wander ?? 0;
+    const jitter = options.jitter ?? 0;
+    const dropouts = options.dropouts ?? [];
+    const clipLevel = options.clipLevel ?? null;
+    const random = createRandom(options.seed ?? 1);
+
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    const beats = [];
+    // Rate drifts linearly so that the mean over the recording stays at bpm
+    const rateAt = time => bpm + drift * (time / duration - 0.5);
+
+    for (let time = random() * 60 / bpm; time < duration; ) {
+        const interval = 60 / rateAt(time);
+        beats.push(time);
+        addBurst(samples, sampleRate, time, 0.1, 40, 0.3);
+        addBurst(samples, sampleRate, time + Math.min(0.3, 0.4 * interval), 0.08, 50, 0.15);
+        time += interval * (1 + jitter * (2 * random() - 1));
+    }
+    addRoomNoise(samples, sampleRate, options, random);
+
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+        samples[i] += noise * (2 * random() - 1) + wander * Math.sin(2 * Math.PI * 0.15 * t);
+
+        if (dropouts.some(([start, end]) => t >= start && t < end)) {
+            samples[i] = 0;
+        } else if (clipLevel !== null) {
+            samples[i] = Math.max(-clipLevel, Math.min(clipLevel, samples[i]));
+        }
+    }
+
+    return { samples, sampleRate, beats };
+}
+
+/**
+ * A recording of the room alone, as taken for a noise profile
+ * - rumble: RMS level of steady band-limited noise (10-45 Hz, like HVAC or traffic)
+ * - hum: amplitude of mains hum, with a third of it at each of the next two harmonics
+ * - humFrequency: mains frequency (default 50 Hz)
+ * Returns { samples, sampleRate }
+ */
+export function generateRoomNoise(options = {}) {
+    const duration = options.duration ?? 5;
+    const sampleRate = options.sampleRate ?? 8000;
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+
+    addRoomNoise(samples, sampleRate, options, createRandom(options.seed ?? 7));
+    return { samples, sampleRate };
+}
+
+/**
+ * Add rumble and mains hum to a recording
+ */
+function addRoomNoise(samples, sampleRate, options, random) {
+    const rumble = options.rumble ?? 0;
+    const hum = options.hum ?? 0;
+    const humFrequency = options.humFrequency ?? 50;
+
+    if (rumble > 0) {
+        const noise = new Float64Array(samples.length);
+        for (let i = 0; i < noise.length; i++) noise[i] = 2 * random() - 1;
+        BandpassFilter.filterInPlace([
+            ...BandpassFilter.butterworthQ(4).map(q => BandpassFilter.designHighpass(10, sampleRate, q)),
+            ...BandpassFilter.butterworthQ(4).map(q => BandpassFilter.designLowpass(45, sampleRate, q))
+        ], noise);
+
+        let power = 0;
+        for (let i = 0; i < noise.length; i++) power += noise[i] * noise[i];
+        const scale = rumble / Math.sqrt(power / (noise.length || 1) || 1);
+        for (let i = 0; i < samples.length; i++) samples[i] += scale * noise[i];
+    }
+
+    if (hum > 0) {
+        const phase = 2 * Math.PI * random();
+        for (let i = 0; i < samples.length; i++) {
+            const angle = 2 * Math.PI * humFrequency * i / sampleRate + phase;
+            samples[i] += hum * (Math.sin(angle) + Math.sin(2 * angle) / 3 + Math.sin(3 * angle) / 3);
+        }
+    }
+}
+
+/**
+ * Add a sine burst with a half-sine envelope
+ */
+function addBurst(samples, sampleRate, start, length, frequency, amplitude) {
+    const first = Math.round(start * sampleRate);
+    const count = Math.round(length * sampleRate);
+    for (let i = 0; i < count && first + i < samples.length; i++) {
+        const t = i / sampleRate;
+        samples[first + i] += amplitude * Math.sin(2 * Math.PI * frequency * t) * Math.sin(Math.PI * t / length);
+    }
+}
+
+/**
+ * Camera fingertip (PPG) recording: mean red intensity per frame, which dips as
+ * each pulse fills the fingertip with blood
+ * Options as for generatePulse (sampleRate is the frame rate, default 30), plus:
+ * - level: mean pixel intensity
+ * - depth: pulse amplitude in intensity steps
+ * Returns { samples, sampleRate, beats }
+ */
+export function generatePpg(options = {}) {
+    const bpm = options.bpm ?? 72;
+    const duration = options.duration ?? 15;
+    const sampleRate = options.sampleRate ?? 30;
+    const noise = options.noise ?? 0.1;
+    const wander = options.wander ?? 0;
+    const jitter = options.jitter ?? 0;
+    const level = options.level ?? 200;
+    const depth = options.depth ?? 2;
+    const random = createRandom(options.seed ?? 1);
+
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    const beats = [];
+    for (let time = random() * 60 / bpm; time < duration; ) {
+        beats.push(time);
+        time += (60 / bpm) * (1 + jitter * (2 * random() - 1));
+    }
+
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / sampleRate;
+
+        // Systolic peak and a smaller dicrotic wave after each beat
+        let pulse = 0;
+        for (const beat of beats) {
+            const dt = t - beat;
+            if (dt < -0.2 || dt > 1) continue;
+            pulse += Math.exp(-(((dt - 0.15) / 0.07) ** 2)) + 0.35 * Math.exp(-(((dt - 0.4) / 0.08) ** 2));
+        }
+
+        samples[i] = level - depth * pulse +
+            depth * wander * Math.sin(2 * Math.PI * 0.15 * t) +
+            depth * noise * (2 * random() - 1);
+    }
+
+    return { samples, sampleRate, beats };
+}
@@ -3,10 +3,41 @@
  * Manages interface state, transitions, and visual feedback
  */
 
-class UIController {
+import { WaveformChart } from './waveform-chart.js';
+import { RecordingIssues } from './recording-issues.js';
+
+export class UIController {
+    // Step texts for each sensor
+    static SENSOR_TEXT = {
+        microphone: {
+            step1Title: 'Grant Microphone Access',
+            step1Text: 'We need your microphone to detect vibrations from your pulse.',
+            requestMicBtn: 'Enable Microphone',
+            step2Title: 'Position Your Phone',
+            step2Text: 'Hold your phone\'s microphone firmly against your neck, near your jugular vein.',
+            step3Text: 'Keep the phone steady against your neck.'
+        },
+        camera: {
+            step1Title: 'Grant Camera Access',
+            step1Text: 'We need your rear camera to see the pulse in your fingertip. The flash turns on where your phone allows it.',
+            requestMicBtn: 'Enable Camera',
+            step2Title: 'Cover the Camera',
+            step2Text: 'Rest a fingertip lightly over the rear camera and flash - the preview should glow evenly red.',
+            step3Text: 'Keep your fingertip still on the camera, without pressing.'
+        }
+    };
+
     constructor() {
         this.currentStep = 1;
+        this.sensor = 'microphone'; // Set by the app from its settings
         this.beepSound = null;
+        this.liveUpdate = null;
+        this.liveFrame = null;
+        this.progressFrame = null;
+        this.recordingIssue = null;
+        this.recordingPlan = { duration: null, index: 1, total: 1 }; // Set by the app from its settings
+        this.waveformChart = null; // Created on first result
+        this.onBeatTap = null;     // Set by the app: (time, beatIndex) for taps on the chart in edit mode
         this.initializeBeepSound();
     }
 
@@ -15,7 +46,7 @@ class UIController {
      */
     initializeBeepSound() {
         // Create a simple beep using Web Audio API
-        this.beepSound = () => {
+        this.beepSound = (frequency = 800, seconds = 0.5) => {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
             const oscillator = audioContext.createOscillator();
             const gainNode = audioContext.createGain();
@@ -23,14 +54,16 @@ class UIController {
             oscillator.connect(gainNode);
             gainNode.connect(audioContext.destination);
             
-            oscillator.frequency.value = 800;
+            oscillator.frequency.value = frequency;
             oscillator.type = 'sine';
             
             gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + seconds);
             
+            // A recovery test beeps often; don't leave a context open for each
+            oscillator.onended = () => audioContext.close();
             oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + 0.5);
+            oscillator.stop(audioContext.currentTime + seconds);
         };
     }
 
@@ -38,17 +71,134 @@ class UIController {
      * Navigate to a specific step
      */
     goToStep(stepNumber) {
+        // Numbered steps, or named ones like 'history'
+        const targetStep = document.getElementById(`step${stepNumber}`) || 
+                          document.getElementById(stepNumber);
+        if (!targetStep || !targetStep.classList.contains('step')) {
+            console.warn(`Unknown step: ${stepNumber}`);
+            return;
+        }
+
         // Hide all steps
         document.querySelectorAll('.step').forEach(step => {
             step.classList.remove('active');
         });
 
-        // Show target step
-        const targetStep = document.getElementById(`step${stepNumber}`) || 
-                          document.getElementById('results');
-        if (targetStep) {
-            targetStep.classList.add('active');
-            this.currentStep = stepNumber;
+        targetStep.classList.add('active');
+        this.currentStep = stepNumber;
+    }
+
+    /**
+     * Adapt the steps and position guide to 'microphone' or 'camera'
+     */
+    setSensor(sensor) {
+        this.sensor = sensor;
+
+        Object.entries(UIController.SENSOR_TEXT[sensor]).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = text;
+            }
+        });
+
+        document.querySelectorAll('.sensor-btn').forEach(button => {
+            const selected = button.dataset.sensor === sensor;
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-checked', String(selected));
+        });
+
+        const guides = {
+            microphoneGuide: sensor === 'microphone',
+            cameraGuide: sensor === 'camera',
+            noiseProfile: sensor === 'microphone'     // Room noise only matters to the microphone
+        };
+        Object.entries(guides).forEach(([id, visible]) => {
+            const guide = document.getElementById(id);
+            if (guide) {
+                guide.style.display = visible ? '' : 'none';
+            }
+        });
+    }
+
+    /**
+     * Step that shows an app state (see AppStateMachine)
+     * Errors stay on the step they happened on, below the error panel
+     */
+    screenFor(state, data = {}) {
+        if (state === 'error') return data.screen || 1;
+        if (state === 'analyzing' && data.file) return 1;
+
+        const screens = { idle: 1, permission: 1, placement: 2, recording: 3, analyzing: 3, results: 'results' };
+        return screens[state] || 1;
+    }
+
+    /**
+     * Show the step and enable the controls of an app state
+     */
+    showState(state, data = {}) {
+        this.goToStep(this.screenFor(state, data));
+
+        const checking = state === 'placement' && Boolean(data.checking);
+        const enabled = {
+            requestMicBtn: state === 'idle' || state === 'error',
+            analyzeFileBtn: state === 'idle' || state === 'error',
+            startRecordingBtn: (state === 'placement' && !checking) || state === 'error',
+            recoveryTestBtn: state === 'placement' && !checking,
+            noiseProfileBtn: state === 'placement' && !checking
+        };
+        Object.entries(enabled).forEach(([id, value]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !value;
+            }
+        });
+        document.querySelectorAll('.sensor-btn').forEach(button => {
+            button.disabled = !enabled.requestMicBtn;
+        });
+
+        // Cancel is offered while something is being captured or a file analyzed
+        const cancelCheckBtn = document.getElementById('cancelCheckBtn');
+        if (cancelCheckBtn) {
+            cancelCheckBtn.style.display = checking ? '' : 'none';
+        }
+        const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+        if (cancelAnalysisBtn) {
+            cancelAnalysisBtn.style.display = state === 'analyzing' && data.file ? '' : 'none';
+        }
+
+        if (state !== 'recording') {
+            this.stopLiveView();
+            this.stopProgress();
+        }
+
+        if (state === 'placement' && data.cancelled) {
+            this.showPlacementReport(null);
+            this.updateProgress(0);
+            this.updateStatus('placementStatus', data.reason === 'hidden'
+                ? 'Stopped because FreeKG went to the background - start again when you\'re ready'
+                : 'Measurement cancelled', data.reason === 'hidden');
+
+            const startRecordingBtn = document.getElementById('startRecordingBtn');
+            if (startRecordingBtn) {
+                startRecordingBtn.textContent = 'Start Recording';
+            }
+        }
+
+        if (state === 'analyzing' && !data.file) {
+            this.showAnalysisProgress(0);
+        }
+    }
+
+    /**
+     * Analysis progress (0-1) as a percentage in a status line; on the recording
+     * step the progress bar follows it too
+     */
+    showAnalysisProgress(fraction, elementId = 'recordingStatus', label = 'Analyzing') {
+        const percentage = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+        this.updateStatus(elementId, `${label}... ${percentage}%`);
+
+        if (elementId === 'recordingStatus') {
+            this.updateProgress(percentage);
         }
     }
 
@@ -80,27 +230,266 @@ class UIController {
         const startTime = Date.now();
         const duration = durationSeconds * 1000;
 
+        // Restarting replaces any animation already running
+        this.stopProgress();
+
         const updateProgress = () => {
             const elapsed = Date.now() - startTime;
             const percentage = Math.min((elapsed / duration) * 100, 100);
             
             this.updateProgress(percentage);
 
-            if (percentage < 100) {
-                requestAnimationFrame(updateProgress);
-            }
+            this.progressFrame = percentage < 100 ? requestAnimationFrame(updateProgress) : null;
         };
 
         updateProgress();
     }
 
     /**
-     * Play completion beep
+     * Stop the progress animation where it is
      */
-    playBeep() {
+    stopProgress() {
+        if (this.progressFrame) {
+            cancelAnimationFrame(this.progressFrame);
+            this.progressFrame = null;
+        }
+    }
+
+    /**
+     * Set the length and position of the recording about to start,
+     * which the status text, restarts and progress bar all follow
+     */
+    setRecordingPlan(durationSeconds, index = 1, total = 1) {
+        this.recordingPlan = { duration: durationSeconds, index, total };
+        this.updateStatus('recordingStatus', this.recordingStatusText());
+    }
+
+    /**
+     * "Recording for 15 seconds...", prefixed with the measurement number in a series
+     */
+    recordingStatusText() {
+        const { duration, index, total } = this.recordingPlan;
+        if (!duration) return '';
+
+        const text = `Recording for ${duration} seconds...`;
+        return total > 1 ? `Measurement ${index} of ${total} - ${text.toLowerCase()}` : text;
+    }
+
+    /**
+     * Count down the rest between two measurements of a series
+     */
+    showRest(secondsLeft, nextIndex, total) {
+        this.updateProgress(0);
+        this.updateStatus('recordingStatus', `Rest - measurement ${nextIndex} of ${total} starts in ${secondsLeft} s`);
+    }
+
+    /**
+     * Name the recovery test step on the recording screen (null hides it)
+     */
+    showProtocolStep(text) {
+        const protocolStep = document.getElementById('protocolStep');
+        if (protocolStep) {
+            protocolStep.textContent = text || '';
+            protocolStep.style.display = text ? '' : 'none';
+        }
+    }
+
+    /**
+     * Count down a timed step of the recovery test ("Exercise ends in 42 s"),
+     * filling the progress bar as it runs
+     */
+    showCountdown(message, secondsLeft, totalSeconds) {
+        this.updateProgress(totalSeconds > 0 ? 100 * (1 - secondsLeft / totalSeconds) : 0);
+        this.updateStatus('recordingStatus', `${message} in ${secondsLeft} s`);
+    }
+
+    /**
+     * Show the outcome of the placement check, one line per problem
+     */
+    showPlacementReport(report) {
+        const messages = {
+            silent: 'No sound from the microphone - make sure it isn\'t muted or covered by a case',
+            clipping: 'The signal is clipping - ease the pressure slightly and keep the phone still',
+            noisy: 'Too much background noise - move somewhere quieter, or measure the room noise first',
+            'no-pulse': this.sensor === 'camera'
+                ? 'No pulse detected yet - rest your fingertip more lightly and keep it still'
+                : 'No pulse detected yet - move the microphone closer to the side of your neck',
+            'no-finger': 'The camera isn\'t covered - place your fingertip over both the lens and the flash',
+            'too-dark': 'Too dark to see your pulse - cover the flash too, or hold the phone towards a lamp'
+        };
+
+        const placementReport = document.getElementById('placementReport');
+        if (placementReport) {
+            placementReport.innerHTML = '';
+            (report ? report.issues : []).forEach(issue => {
+                const item = document.createElement('li');
+                item.textContent = messages[issue] || issue;
+                placementReport.appendChild(item);
+            });
+        }
+    }
+
+    /**
+     * Warn about a clipping/silence/motion (or fingertip) problem during recording (null clears it)
+     */
+    showRecordingIssue(issue) {
+        if (issue === this.recordingIssue) return;
+        this.recordingIssue = issue;
+
+        if (issue) {
+            this.updateStatus('recordingStatus', `⚠️ ${RecordingIssues.MESSAGES[issue] || issue}`, true);
+        } else {
+            this.updateStatus('recordingStatus', this.recordingStatusText());
+        }
+    }
+
+    /**
+     * Tell the user the recording started over and why
+     */
+    showRecordingRestart(reason) {
+        const reasons = {
+            clipping: 'the signal was clipping',
+            silent: 'the microphone went silent',
+            motion: 'too much movement',
+            'no-finger': 'your fingertip left the camera',
+            'too-dark': 'the camera went dark'
+        };
+
+        this.recordingIssue = null;
+        this.updateStatus('recordingStatus', `Restarted because ${reasons[reason] || reason} - hold still`, true);
+        this.animateProgress(this.recordingPlan.duration);
+        this.startLiveView();
+    }
+
+    /**
+     * Prepare the live BPM readout and scrolling canvas for a new recording
+     */
+    startLiveView() {
+        this.liveUpdate = null;
+
+        const liveBpm = document.getElementById('liveBpm');
+        if (liveBpm) {
+            liveBpm.textContent = '--';
+        }
+
+        const liveQuality = document.getElementById('liveQuality');
+        if (liveQuality) {
+            liveQuality.textContent = 'Listening for your pulse...';
+            liveQuality.className = 'live-quality';
+        }
+
+        this.drawLiveView();
+    }
+
+    /**
+     * Take a streaming analysis update; drawing happens on the next frame
+     */
+    updateLiveView(update) {
+        this.liveUpdate = update;
+
+        const liveBpm = document.getElementById('liveBpm');
+        if (liveBpm) {
+            liveBpm.textContent = update.bpm || '--';
+        }
+
+        const liveQuality = document.getElementById('liveQuality');
+        if (liveQuality && update.envelope.length > 0) {
+            const level = update.quality >= 0.7 ? 'good' : update.quality >= 0.4 ? 'fair' : 'poor';
+            const labels = {
+                good: 'Good signal - hold still',
+                fair: 'Fair signal - press a little firmer',
+                poor: 'Weak signal - adjust the phone position'
+            };
+            liveQuality.textContent = labels[level];
+            liveQuality.className = `live-quality ${level}`;
+        }
+
+        if (!this.liveFrame) {
+            this.liveFrame = requestAnimationFrame(() => {
+                this.liveFrame = null;
+                this.drawLiveView();
+            });
+        }
+    }
+
+    /**
+     * Pulse the heart icon on a detected beat
+     */
+    pulseBeat() {
+        const liveHeart = document.getElementById('liveHeart');
+        if (liveHeart) {
+            liveHeart.classList.remove('pulse');
+            void liveHeart.offsetWidth; // Restart the animation
+            liveHeart.classList.add('pulse');
+        }
+    }
+
+    /**
+     * Stop drawing live updates
+     */
+    stopLiveView() {
+        if (this.liveFrame) {
+            cancelAnimationFrame(this.liveFrame);
+            this.liveFrame = null;
+        }
+    }
+
+    /**
+     * Draw the sliding analysis window with beat markers, newest on the right
+     */
+    drawLiveView() {
+        const canvas = document.getElementById('liveCanvas');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.offsetWidth || 600;
+        const height = canvas.offsetHeight || 100;
+        canvas.width = width;
+        canvas.height = height;
+
+        ctx.fillStyle = '#fafafa';
+        ctx.fillRect(0, 0, width, height);
+
+        const update = this.liveUpdate;
+        if (!update || update.envelope.length === 0) return;
+
+        const span = update.envelope.length / update.sampleRate;
+        const toX = time => ((time - update.windowStart) / span) * width;
+
+        // Beat markers
+        ctx.strokeStyle = 'rgba(220, 53, 69, 0.6)';
+        ctx.lineWidth = 2;
+        update.recentBeats.forEach(time => {
+            const x = toX(time);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        });
+
+        // Envelope trace (normalized to -1..1)
+        ctx.beginPath();
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2;
+        for (let i = 0; i < update.envelope.length; i++) {
+            const x = (i / update.envelope.length) * width;
+            const y = ((1 - update.envelope[i]) / 2) * height;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Play completion beep, or a cue of another pitch and length
+     */
+    playBeep(frequency = 800, seconds = 0.5) {
         if (this.beepSound) {
             try {
-                this.beepSound();
+                this.beepSound(frequency, seconds);
             } catch (error) {
                 console.warn('Could not play beep sound:', error);
             }
@@ -109,18 +498,59 @@ class UIController {
 
     /**
      * Display results
+     * recording ({ samples, sampleRate }) adds the raw trace to the chart
      */
-    displayResults(bpm, waveformData) {
+    displayResults(result, recording = null) {
+        this.showResultSummary(result);
+        this.displayConfidence(result);
+        this.displayMeasurements(result);
+
+        // Navigate to results first, so the charts are laid out at their real size
+        this.goToStep('results');
+
+        this.drawWaveform(result, recording);
+        this.setBeatEditing(false);
+        this.updateEditControls(result);
+        this.displayHrv(result.hrv, result.recordingDuration ?? result.duration);
+        this.displayRecovery(result.recovery || null);
+        
+        // Play beep
+        this.playBeep();
+    }
+
+    /**
+     * Refresh the results after the beats were edited, keeping the chart's view
+     */
+    updateResult(result) {
+        this.showResultSummary(result);
+        this.displayConfidence(result);
+        this.displayHrv(result.hrv, result.recordingDuration ?? result.duration);
+        this.displayRecovery(result.recovery || null);
+        this.updateEditControls(result);
+        if (this.waveformChart) {
+            this.waveformChart.setBeats(result.peaks || []);
+        }
+    }
+
+    /**
+     * BPM and the message below the chart
+     */
+    showResultSummary(result) {
+        const { bpm, confidence } = result;
+
         // Update BPM display
         const bpmValue = document.getElementById('bpmValue');
         if (bpmValue) {
-            bpmValue.textContent = bpm;
+            bpmValue.textContent = bpm || '--';
         }
 
         // Update result message
         const resultMessage = document.getElementById('resultMessage');
         if (resultMessage) {
-            if (bpm >= 40 && bpm <= 200) {
+            resultMessage.style.background = '';
+            resultMessage.style.color = '';
+
+            if (bpm >= 40 && bpm <= 200 && confidence >= 0.5 && result.estimatesAgree !== false) {
                 if (bpm < 60) {
                     resultMessage.textContent = 'Lower than average resting heart rate';
                 } else if (bpm <= 100) {
@@ -133,82 +563,540 @@ class UIController {
                 resultMessage.style.background = '#fff3cd';
                 resultMessage.style.color = '#856404';
             }
+
+            if (result.manuallyCorrected) {
+                resultMessage.textContent += ' (beats corrected by hand)';
+            }
         }
+    }
 
-        // Draw waveform
-        this.drawWaveform(waveformData);
+    /**
+     * Show the confidence score and the reasons it is low
+     */
+    displayConfidence(result) {
+        const percentage = Math.round((result.confidence || 0) * 100);
 
-        // Navigate to results
-        this.goToStep('results');
-        
-        // Play beep
-        this.playBeep();
+        const confidenceValue = document.getElementById('confidenceValue');
+        if (confidenceValue) {
+            confidenceValue.textContent = `${percentage}%`;
+        }
+
+        const confidenceBar = document.getElementById('confidenceBar');
+        if (confidenceBar) {
+            confidenceBar.style.width = `${percentage}%`;
+            confidenceBar.className = 'confidence-bar ' +
+                (percentage >= 70 ? 'good' : percentage >= 40 ? 'fair' : 'poor');
+        }
+
+        const estimateComparison = document.getElementById('estimateComparison');
+        if (estimateComparison) {
+            estimateComparison.textContent = result.estimates
+                ? `Beat counting: ${result.estimates.peaks} BPM · Frequency analysis: ${result.estimates.spectral} BPM`
+                : '';
+        }
+
+        const noiseSummary = document.getElementById('noiseSummary');
+        if (noiseSummary) {
+            noiseSummary.textContent = this.describeNoise(result.noiseReduction);
+        }
+
+        const reasonsList = document.getElementById('confidenceReasons');
+        if (reasonsList) {
+            reasonsList.innerHTML = '';
+            this.describeConfidence(result).forEach(reason => {
+                const item = document.createElement('li');
+                item.textContent = reason;
+                reasonsList.appendChild(item);
+            });
+        }
     }
 
     /**
-     * Draw waveform on canvas
+     * One line on noise reduction: the noise floor before and after subtracting
+     * the room noise, and any mains hum that was notched out
      */
-    drawWaveform(data) {
-        const canvas = document.getElementById('waveformCanvas');
-        if (!canvas || !data || data.length === 0) {
-            console.warn('Canvas or data missing:', { canvas: !!canvas, dataLength: data?.length });
+    describeNoise(noiseReduction) {
+        if (!noiseReduction || noiseReduction.floorBeforeDb === null) return '';
+
+        const { floorBeforeDb, floorAfterDb, profiled, mainsFrequency } = noiseReduction;
+        const floor = profiled
+            ? `Noise floor ${floorBeforeDb} → ${floorAfterDb} dB after removing the room noise`
+            : `Noise floor ${floorBeforeDb} dB`;
+        return mainsFrequency ? `${floor} · ${mainsFrequency} Hz hum filtered out` : floor;
+    }
+
+    /**
+     * Status of the room noise profile on the placement step (null: none taken)
+     */
+    showNoiseProfile(profile) {
+        if (!profile) {
+            this.updateStatus('noiseProfileStatus',
+                'Optional: measure the room first, holding the phone away from your body, so its noise can be removed');
             return;
         }
 
+        const hum = profile.mainsFrequency ? `, ${profile.mainsFrequency} Hz hum` : '';
+        this.updateStatus('noiseProfileStatus', `✓ Room noise measured (${profile.floorDb} dB${hum}) - it will be removed from your recordings`);
+    }
+
+    /**
+     * Explain which parts of the confidence breakdown pulled the score down
+     */
+    describeConfidence(result) {
+        const reasons = [];
+        const breakdown = result.confidenceBreakdown || {};
+        const intervals = result.intervals || [];
+        const totalIntervals = intervals.length + (result.rejectedBeats || 0);
+
+        if (intervals.length < 4) {
+            reasons.push('Too few heartbeats were detected');
+        }
+        if (breakdown.regularity !== undefined && breakdown.regularity < 0.6) {
+            reasons.push('Beat intervals are irregular - the phone may have moved');
+        }
+        if (breakdown.snr !== undefined && breakdown.snr < 0.5) {
+            const snr = Number.isFinite(result.snrDb) ? ` (${result.snrDb.toFixed(1)} dB)` : '';
+            reasons.push(`Weak or noisy signal${snr} - press more firmly or find a quieter spot`);
+        }
+        if (result.rejectedBeats > 0) {
+            reasons.push(`${result.rejectedBeats} of ${totalIntervals} beat intervals rejected as outliers`);
+        }
+        (result.qualityIssues || []).forEach(issue => {
+            const messages = {
+                clipping: 'The signal clipped repeatedly during recording',
+                silent: 'The microphone went silent during recording',
+                motion: 'Movement was detected repeatedly during recording'
+            };
+            reasons.push(messages[issue] || issue);
+        });
+        if (result.estimatesAgree === false) {
+            reasons.push(`Beat counting and frequency analysis disagree by ${result.bpmDifference} BPM`);
+        }
+
+        return reasons;
+    }
+
+    /**
+     * List the individual readings behind a combined result
+     * Readings left out of the combination are struck through
+     */
+    displayMeasurements(result) {
+        const list = document.getElementById('measurementList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (!result.measurements) return;
+
+        const methods = { mean: 'Mean', median: 'Median', 'best-confidence': 'Most confident' };
+        const heading = document.createElement('li');
+        heading.textContent = `${methods[result.combineMethod] || result.combineMethod} of ${result.measurements.length} measurements:`;
+        list.appendChild(heading);
+
+        result.measurements.forEach((measurement, i) => {
+            const item = document.createElement('li');
+            const confidence = Math.round((measurement.confidence || 0) * 100);
+            item.textContent = `#${i + 1}: ${measurement.bpm || '--'} BPM (${confidence}%)`;
+            if (!measurement.used) {
+                item.className = 'unused';
+            }
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show HRV metrics, tachogram and Poincaré plot
+     * Short recordings still get numbers, with a note on how little they mean
+     */
+    displayHrv(hrv, duration) {
+        const format = (value, unit, digits = 0) =>
+            value === null || value === undefined ? '--' : `${value.toFixed(digits)} ${unit}`;
+
+        const metrics = {
+            hrvSdnn: format(hrv?.sdnn, 'ms', 1),
+            hrvRmssd: format(hrv?.rmssd, 'ms', 1),
+            hrvPnn50: format(hrv?.pnn50, '%', 1),
+            hrvMeanIbi: format(hrv?.meanIbi, 'ms'),
+            hrvMinIbi: format(hrv?.minIbi, 'ms'),
+            hrvMaxIbi: format(hrv?.maxIbi, 'ms')
+        };
+        Object.entries(metrics).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = text;
+            }
+        });
+
+        const note = document.getElementById('hrvNote');
+        if (note) {
+            if (!hrv || hrv.reliable) {
+                note.textContent = '';
+            } else if (duration < 60) {
+                note.textContent = `${Math.round(duration)} s is too short for meaningful HRV - choose an HRV session of 1 minute or more`;
+            } else {
+                note.textContent = `Only ${hrv.count} clean beat intervals - HRV values are unreliable`;
+            }
+        }
+
+        this.drawTachogram(hrv ? hrv.tachogram : []);
+        this.drawPoincare(hrv ? hrv.poincare : []);
+    }
+
+    /**
+     * Plot each inter-beat interval against time; rejected intervals in grey
+     */
+    drawTachogram(points) {
+        const canvas = document.getElementById('tachogramCanvas');
+        if (!canvas) return;
+
         const ctx = canvas.getContext('2d');
-        const width = canvas.offsetWidth || 600;  // Fallback width
-        const height = canvas.offsetHeight || 150; // Fallback height
-        
+        const width = canvas.offsetWidth || 300;
+        const height = canvas.offsetHeight || 180;
         canvas.width = width;
         canvas.height = height;
 
-        // Clear canvas
         ctx.fillStyle = '#fafafa';
         ctx.fillRect(0, 0, width, height);
+        if (points.length === 0) return;
+
+        const padding = { left: 40, right: 8, top: 8, bottom: 20 };
+        const accepted = points.filter(point => point.accepted);
+        const ibis = (accepted.length > 0 ? accepted : points).map(point => point.ibi);
+        const minIbi = Math.floor((Math.min(...ibis) - 20) / 50) * 50;
+        const maxIbi = Math.ceil((Math.max(...ibis) + 20) / 50) * 50;
+        const maxTime = Math.max(1, points[points.length - 1].time);
+
+        const toX = time => padding.left + (time / maxTime) * (width - padding.left - padding.right);
+        const toY = ibi => padding.top + (1 - (ibi - minIbi) / (maxIbi - minIbi)) * (height - padding.top - padding.bottom);
+
+        // Axis labels
+        ctx.fillStyle = '#999';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxIbi}`, padding.left - 4, padding.top + 8);
+        ctx.fillText(`${minIbi} ms`, padding.left - 4, height - padding.bottom);
+        ctx.fillText(`${Math.round(maxTime)} s`, width - padding.right, height - 5);
 
-        // Draw waveform
         ctx.beginPath();
         ctx.strokeStyle = '#667eea';
-        ctx.lineWidth = 2;
+        ctx.lineWidth = 1.5;
+        let drawing = false;
+        points.forEach(point => {
+            // Break the line at rejected intervals
+            if (!point.accepted) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                ctx.lineTo(toX(point.time), toY(point.ibi));
+            } else {
+                ctx.moveTo(toX(point.time), toY(point.ibi));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
 
-        // Sample data to fit canvas width
-        const step = Math.ceil(data.length / width);
-        const sampledData = [];
-        
-        for (let i = 0; i < data.length; i += step) {
-            sampledData.push(data[i]);
+        ctx.fillStyle = '#ccc';
+        points.filter(point => !point.accepted).forEach(point => {
+            const y = Math.max(padding.top, Math.min(height - padding.bottom, toY(point.ibi)));
+            ctx.beginPath();
+            ctx.arc(toX(point.time), y, 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Show the recovery test metrics and curve (null hides them)
+     */
+    displayRecovery(recovery) {
+        const recoveryDisplay = document.getElementById('recoveryDisplay');
+        if (recoveryDisplay) {
+            recoveryDisplay.style.display = recovery ? 'block' : 'none';
         }
+        if (!recovery) return;
 
-        // Draw the waveform
-        for (let i = 0; i < sampledData.length; i++) {
-            const x = (i / sampledData.length) * width;
-            const y = ((sampledData[i] + 1) / 2) * height; // Normalize -1 to 1 -> 0 to height
+        const format = (value, unit) => (value === null || value === undefined ? '--' : `${value} ${unit}`);
+        const metrics = {
+            recoveryResting: format(recovery.restingBpm, 'BPM'),
+            recoveryPeak: format(recovery.peakBpm, 'BPM'),
+            recoveryHrr1: format(recovery.hrr1, 'BPM'),
+            recoveryHrr2: format(recovery.hrr2, 'BPM')
+        };
+        Object.entries(metrics).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = text;
+            }
+        });
 
-            if (i === 0) {
-                ctx.moveTo(x, y);
+        const note = document.getElementById('recoveryNote');
+        if (note) {
+            if (recovery.hrr1 === null) {
+                note.textContent = 'No pulse was found at 0 or 1 minute, so the first-minute drop is missing';
+            } else if (recovery.slowRecovery) {
+                note.textContent = `A drop of ${recovery.hrr1} BPM in the first minute is slower than usual ` +
+                    `(12 BPM or less). This is not a diagnosis - talk to a doctor if it keeps happening`;
             } else {
-                ctx.lineTo(x, y);
+                const recovered = recovery.recoveredPercent === null
+                    ? ''
+                    : ` - ${recovery.recoveredPercent}% of the rise above resting recovered by 2 minutes`;
+                note.textContent = `Dropped ${recovery.hrr1} BPM in the first minute${recovered}`;
             }
         }
 
-        ctx.stroke();
+        this.drawRecoveryCurve(recovery);
+    }
+
+    /**
+     * Plot each recovery reading over the time it covered, against the resting heart rate
+     */
+    drawRecoveryCurve(recovery) {
+        const canvas = document.getElementById('recoveryCanvas');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.offsetWidth || 300;
+        const height = canvas.offsetHeight || 180;
+        canvas.width = width;
+        canvas.height = height;
+
+        ctx.fillStyle = '#fafafa';
+        ctx.fillRect(0, 0, width, height);
 
-        // Draw center line
+        const readings = recovery.readings.filter(reading => reading.bpm > 0);
+        if (readings.length === 0) return;
+
+        const padding = { left: 40, right: 8, top: 8, bottom: 20 };
+        const values = readings.map(reading => reading.bpm);
+        if (recovery.restingBpm) {
+            values.push(recovery.restingBpm);
+        }
+        const minBpm = Math.floor((Math.min(...values) - 5) / 10) * 10;
+        const maxBpm = Math.ceil((Math.max(...values) + 5) / 10) * 10;
+        const maxTime = Math.max(60, ...readings.map(reading => reading.offset + reading.duration));
+
+        const toX = time => padding.left + (time / maxTime) * (width - padding.left - padding.right);
+        const toY = bpm => padding.top + (1 - (bpm - minBpm) / (maxBpm - minBpm)) * (height - padding.top - padding.bottom);
+
+        // Axis labels
+        ctx.fillStyle = '#999';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxBpm}`, padding.left - 4, padding.top + 8);
+        ctx.fillText(`${minBpm} BPM`, padding.left - 4, height - padding.bottom);
+        ctx.fillText(`${(maxTime / 60).toFixed(1)} min after exercise`, width - padding.right, height - 5);
+
+        // Resting heart rate as a dashed line
+        if (recovery.restingBpm) {
+            ctx.strokeStyle = '#ccc';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, toY(recovery.restingBpm));
+            ctx.lineTo(width - padding.right, toY(recovery.restingBpm));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // The curve through the middle of each reading, with the reading's window underneath
+        const middle = reading => reading.offset + reading.duration / 2;
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 1.5;
         ctx.beginPath();
+        readings.forEach((reading, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(middle(reading)), toY(reading.bpm));
+            } else {
+                ctx.lineTo(toX(middle(reading)), toY(reading.bpm));
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#667eea';
+        ctx.lineWidth = 3;
+        ctx.globalAlpha = 0.3;
+        readings.forEach(reading => {
+            ctx.beginPath();
+            ctx.moveTo(toX(reading.offset), toY(reading.bpm));
+            ctx.lineTo(toX(reading.offset + reading.duration), toY(reading.bpm));
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+        readings.forEach(reading => {
+            ctx.beginPath();
+            ctx.arc(toX(middle(reading)), toY(reading.bpm), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Scatter each interval against the next, with the line of identity
+     */
+    drawPoincare(pairs) {
+        const canvas = document.getElementById('poincareCanvas');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.offsetWidth || 300;
+        const height = canvas.offsetHeight || 180;
+        canvas.width = width;
+        canvas.height = height;
+
+        ctx.fillStyle = '#fafafa';
+        ctx.fillRect(0, 0, width, height);
+        if (pairs.length === 0) return;
+
+        // Square plot area so the identity line sits at 45 degrees
+        const size = Math.min(width - 48, height - 28);
+        const left = 40;
+        const top = 8;
+        const values = pairs.flat();
+        const minIbi = Math.floor((Math.min(...values) - 20) / 50) * 50;
+        const maxIbi = Math.ceil((Math.max(...values) + 20) / 50) * 50;
+        const scale = ibi => (ibi - minIbi) / (maxIbi - minIbi) * size;
+
+        ctx.fillStyle = '#999';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxIbi}`, left - 4, top + 8);
+        ctx.fillText(`${minIbi} ms`, left - 4, top + size);
+        ctx.textAlign = 'left';
+        ctx.fillText('IBI n → n+1', left + 4, top + size + 14);
+
         ctx.strokeStyle = '#e0e0e0';
         ctx.lineWidth = 1;
+        ctx.strokeRect(left, top, size, size);
+        ctx.beginPath();
         ctx.setLineDash([5, 5]);
-        ctx.moveTo(0, height / 2);
-        ctx.lineTo(width, height / 2);
+        ctx.moveTo(left, top + size);
+        ctx.lineTo(left + size, top);
         ctx.stroke();
         ctx.setLineDash([]);
+
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.6)';
+        pairs.forEach(([current, next]) => {
+            ctx.beginPath();
+            ctx.arc(left + scale(current), top + size - scale(next), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Show the result on the interactive chart: filtered, envelope and (if given) raw
+     * traces, beat markers, and a cursor following the recording's audio player
+     */
+    drawWaveform(result, recording = null) {
+        const canvas = document.getElementById('waveformCanvas');
+        if (!canvas || !result.waveform || result.waveform.length === 0) {
+            console.warn('Canvas or data missing:', { canvas: !!canvas, dataLength: result.waveform?.length });
+            return;
+        }
+
+        if (!this.waveformChart) {
+            this.waveformChart = new WaveformChart(canvas, {
+                onBeatTap: (time, index) => this.onBeatTap && this.onBeatTap(time, index)
+            });
+            window.addEventListener('resize', () => this.waveformChart.draw());
+        }
+
+        this.waveformChart.setData({
+            raw: recording ? { data: recording.samples, sampleRate: recording.sampleRate } : null,
+            filtered: { data: result.waveform, sampleRate: result.analysisRate },
+            envelope: { data: result.envelope, sampleRate: result.analysisRate }
+        }, result.peaks || []);
+        this.waveformChart.attachAudio(document.getElementById('recordedAudio'));
+        this.updateTraceButtons();
+    }
+
+    /**
+     * Switch the chart to the raw, filtered or envelope trace
+     */
+    showTrace(name) {
+        if (this.waveformChart && this.waveformChart.setTrace(name)) {
+            this.updateTraceButtons();
+        }
     }
 
     /**
-     * Show error message
+     * Zoom the chart back out to the whole recording
      */
-    showError(message) {
-        alert(`Error: ${message}\n\nPlease try again or check your browser permissions.`);
+    resetChartZoom() {
+        if (this.waveformChart) {
+            this.waveformChart.resetView();
+        }
+    }
+
+    /**
+     * Turn beat editing on the chart on or off
+     */
+    setBeatEditing(enabled) {
+        if (this.waveformChart) {
+            this.waveformChart.setEditMode(enabled);
+        }
+
+        const editBeatsBtn = document.getElementById('editBeatsBtn');
+        if (editBeatsBtn) {
+            editBeatsBtn.classList.toggle('selected', enabled);
+        }
+
+        const chartHint = document.getElementById('chartHint');
+        if (chartHint) {
+            chartHint.classList.toggle('editing', enabled);
+            chartHint.textContent = enabled
+                ? 'Tap a marker to remove it, tap between markers to add a beat'
+                : 'Scroll or pinch to zoom, drag to pan, tap to play from that point';
+        }
+    }
+
+    /**
+     * Whether the chart is in beat editing mode
+     */
+    isEditingBeats() {
+        return Boolean(this.waveformChart && this.waveformChart.editMode);
+    }
+
+    /**
+     * Beats can be edited on single measurements; Revert shows once they have been
+     */
+    updateEditControls(result) {
+        const editBeatsBtn = document.getElementById('editBeatsBtn');
+        if (editBeatsBtn) {
+            editBeatsBtn.style.display = result.measurements ? 'none' : '';
+        }
+
+        const revertBeatsBtn = document.getElementById('revertBeatsBtn');
+        if (revertBeatsBtn) {
+            revertBeatsBtn.style.display = result.manuallyCorrected ? '' : 'none';
+        }
+    }
+
+    /**
+     * Highlight the shown trace and disable traces the result doesn't have
+     */
+    updateTraceButtons() {
+        const chart = this.waveformChart;
+        document.querySelectorAll('.trace-btn[data-trace]').forEach(button => {
+            button.disabled = !chart || !chart.hasTrace(button.dataset.trace);
+            button.classList.toggle('selected', Boolean(chart) && chart.traceName === button.dataset.trace);
+        });
+    }
+
+    /**
+     * Reflect the chosen tags on the results screen
+     */
+    setSelectedTags(tags) {
+        document.querySelectorAll('.tag-btn').forEach(button => {
+            button.classList.toggle('selected', tags.includes(button.dataset.tag));
+        });
+    }
+
+    /**
+     * Show or hide the banner offering to reload into a new version
+     */
+    showUpdateAvailable(visible) {
+        const updateBanner = document.getElementById('updateBanner');
+        if (updateBanner) {
+            updateBanner.style.display = visible ? '' : 'none';
+        }
     }
 
     /**
@@ -218,11 +1106,42 @@ class UIController {
         this.goToStep(1);
         this.updateProgress(0);
         this.updateStatus('micStatus', '');
-        this.updateStatus('recordingStatus', 'Recording for 15 seconds...');
+        this.updateStatus('recordingStatus', this.recordingStatusText());
+        this.updateStatus('placementStatus', '');
+        this.updateStatus('saveStatus', '');
+        this.setSelectedTags([]);
+        this.showPlacementReport(null);
+        this.showNoiseProfile(null);
+        this.recordingIssue = null;
+        this.stopLiveView();
+        this.startLiveView();
         
+        const startRecordingBtn = document.getElementById('startRecordingBtn');
+        if (startRecordingBtn) {
+            startRecordingBtn.textContent = 'Start Recording';
+        }
+        const recordAnywayBtn = document.getElementById('recordAnywayBtn');
+        if (recordAnywayBtn) {
+            recordAnywayBtn.style.display = 'none';
+        }
+
         const bpmValue = document.getElementById('bpmValue');
         if (bpmValue) {
             bpmValue.textContent = '--';
         }
+
+        this.displayConfidence({ confidence: 0, intervals: [] });
+        this.displayHrv(null, 0);
+        this.displayRecovery(null);
+        this.showProtocolStep(null);
+        this.displayMeasurements({});
+        this.setBeatEditing(false);
+        if (this.waveformChart) {
+            this.waveformChart.detachAudio();
+        }
+        const reasonsList = document.getElementById('confidenceReasons');
+        if (reasonsList) {
+            reasonsList.innerHTML = '';
+        }
     }
 }
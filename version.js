@@ -0,0 +1,9 @@
+/**
+ * App Version
+ * The one place the app's version lives: the service worker names its cache after
+ * it, and exported sessions record it. Bump it with every deploy
+ */
+
+export class AppVersion {
+    static VERSION = '1.11.9';
+}
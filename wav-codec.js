@@ -0,0 +1,98 @@
+/**
+ * WAV Codec Module
+ * Encodes mono PCM to 16-bit WAV and decodes WAV files back to samples
+ */
+
+export class WavCodec {
+    /**
+     * Encode mono samples (-1..1) as a 16-bit PCM WAV file
+     * Returns the file as an ArrayBuffer
+     */
+    static encode(samples, sampleRate) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        let offset = 44;
+        for (let i = 0; i < samples.length; i++) {
+            view.setInt16(offset, Math.max(-1, Math.min(1, samples[i])) * 0x7FFF, true);
+            offset += 2;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Decode a 16-bit PCM or 32-bit float WAV file to mono samples
+     * Returns { samples: Float32Array, sampleRate }
+     */
+    static decode(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const tag = offset => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4));
+
+        if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+            throw new Error('Not a WAV file');
+        }
+
+        let format = null;
+        let offset = 12;
+        while (offset + 8 <= arrayBuffer.byteLength) {
+            const id = tag(offset);
+            const size = view.getUint32(offset + 4, true);
+
+            if (id === 'fmt ') {
+                format = {
+                    audioFormat: view.getUint16(offset + 8, true),
+                    channels: view.getUint16(offset + 10, true),
+                    sampleRate: view.getUint32(offset + 12, true),
+                    bitsPerSample: view.getUint16(offset + 22, true)
+                };
+            } else if (id === 'data' && format) {
+                const { audioFormat, channels, bitsPerSample } = format;
+                const bytesPerSample = bitsPerSample / 8;
+                const frames = Math.floor(Math.min(size, arrayBuffer.byteLength - offset - 8) / (bytesPerSample * channels));
+                const samples = new Float32Array(frames);
+
+                for (let i = 0; i < frames; i++) {
+                    let sum = 0;
+                    for (let c = 0; c < channels; c++) {
+                        const position = offset + 8 + (i * channels + c) * bytesPerSample;
+                        if (audioFormat === 1 && bitsPerSample === 16) {
+                            sum += view.getInt16(position, true) / 0x8000;
+                        } else if (audioFormat === 3 && bitsPerSample === 32) {
+                            sum += view.getFloat32(position, true);
+                        } else {
+                            throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit)`);
+                        }
+                    }
+                    samples[i] = sum / channels;
+                }
+
+                return { samples, sampleRate: format.sampleRate };
+            }
+
+            offset += 8 + size + (size % 2);
+        }
+
+        throw new Error('WAV file has no audio data');
+    }
+}
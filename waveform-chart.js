@@ -0,0 +1,491 @@
+/**
+ * Waveform Chart Module
+ * Interactive result chart: raw/filtered/envelope traces, beat markers, time axis,
+ * wheel/pinch zoom, drag to pan, a playback cursor synced to an <audio> element
+ * and an edit mode where taps add or remove beats
+ */
+
+export class WaveformChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.blockSize = options.blockSize ?? 64;     // Samples per precomputed min/max block
+        this.minSpan = options.minSpan ?? 0.25;       // Seconds visible at full zoom
+        this.hitRadius = options.hitRadius ?? 10;     // Pixels from a beat marker that count as tapping it
+        this.onBeatTap = options.onBeatTap || (() => {});
+        this.padding = { left: 8, right: 8, top: 8, bottom: 20 };
+
+        this.traces = {};       // name -> { data, sampleRate, scale, blocks }
+        this.traceName = 'filtered';
+        this.beats = [];
+        this.duration = 0;
+        this.view = { start: 0, end: 0 };
+        this.cursor = null;     // Playback position (s), or null when hidden
+        this.audio = null;
+        this.audioHandlers = null;
+        this.playFrame = null;
+        this.pointers = new Map();      // Active pointer id -> last x
+        this.gesture = null;
+        this.editMode = false;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Show a result: traces keyed by name ({ data, sampleRate }) and beat times (s)
+     * Traces without data are skipped
+     */
+    setData(traces, beats = []) {
+        this.traces = {};
+        Object.entries(traces).forEach(([name, trace]) => {
+            if (trace && trace.data && trace.data.length > 0) {
+                this.traces[name] = this.prepareTrace(trace.data, trace.sampleRate);
+            }
+        });
+
+        this.beats = Array.from(beats);
+        this.duration = Math.max(0, ...Object.values(this.traces).map(trace => trace.data.length / trace.sampleRate));
+        if (!this.traces[this.traceName]) {
+            this.traceName = Object.keys(this.traces)[0] || 'filtered';
+        }
+
+        this.cursor = null;
+        this.resetView();
+    }
+
+    /**
+     * Replace the beat markers, keeping the current view
+     */
+    setBeats(beats) {
+        this.beats = Array.from(beats);
+        this.draw();
+    }
+
+    /**
+     * In edit mode a tap reports a beat edit through onBeatTap instead of seeking
+     */
+    setEditMode(enabled) {
+        this.editMode = Boolean(enabled);
+        this.draw();
+    }
+
+    /**
+     * Index of the beat marker within hitRadius pixels of time, or -1
+     */
+    beatAt(time) {
+        const radius = this.hitRadius * this.secondsPerPixel();
+        let nearest = -1;
+        this.beats.forEach((beat, i) => {
+            const distance = Math.abs(beat - time);
+            if (distance <= radius && (nearest < 0 || distance < Math.abs(this.beats[nearest] - time))) {
+                nearest = i;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Normalize a trace to its peak and precompute per-block min/max,
+     * so zoomed-out views of long recordings stay cheap to draw
+     */
+    prepareTrace(data, sampleRate) {
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+
+        const count = Math.ceil(data.length / this.blockSize);
+        const blocks = { min: new Float32Array(count), max: new Float32Array(count) };
+        for (let b = 0; b < count; b++) {
+            let min = Infinity;
+            let max = -Infinity;
+            const end = Math.min(data.length, (b + 1) * this.blockSize);
+            for (let i = b * this.blockSize; i < end; i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+            blocks.min[b] = min;
+            blocks.max[b] = max;
+        }
+
+        return { data, sampleRate, scale: peak > 0 ? 1 / peak : 1, blocks };
+    }
+
+    /**
+     * Switch between the raw, filtered and envelope traces
+     */
+    setTrace(name) {
+        if (!this.traces[name]) return false;
+        this.traceName = name;
+        this.draw();
+        return true;
+    }
+
+    /**
+     * Whether a trace is available (raw audio isn't for every result)
+     */
+    hasTrace(name) {
+        return Boolean(this.traces[name]);
+    }
+
+    /**
+     * Show the whole recording
+     */
+    resetView() {
+        this.view = { start: 0, end: this.duration };
+        this.draw();
+    }
+
+    /**
+     * Zoom by factor (< 1 zooms in) keeping the time under centerTime in place
+     */
+    zoom(factor, centerTime = (this.view.start + this.view.end) / 2) {
+        const span = this.view.end - this.view.start;
+        const newSpan = Math.max(Math.min(this.minSpan, this.duration), Math.min(this.duration, span * factor));
+        const ratio = span > 0 ? (centerTime - this.view.start) / span : 0.5;
+
+        this.setView(centerTime - ratio * newSpan, newSpan);
+    }
+
+    /**
+     * Move the view by a number of seconds
+     */
+    pan(seconds) {
+        this.setView(this.view.start + seconds, this.view.end - this.view.start);
+    }
+
+    /**
+     * Set the visible window, kept inside the recording
+     */
+    setView(start, span) {
+        const clampedStart = Math.max(0, Math.min(this.duration - span, start));
+        this.view = { start: clampedStart, end: clampedStart + span };
+        this.draw();
+    }
+
+    /**
+     * Follow an <audio> element: move the cursor while it plays, seek it on tap
+     */
+    attachAudio(audio) {
+        this.detachAudio();
+        if (!audio) return;
+
+        this.audio = audio;
+        this.audioHandlers = {
+            play: () => this.followPlayback(),
+            pause: () => this.stopFollowing(),
+            ended: () => this.stopFollowing(),
+            seeked: () => this.setCursor(audio.currentTime)
+        };
+        Object.entries(this.audioHandlers).forEach(([type, handler]) => audio.addEventListener(type, handler));
+    }
+
+    /**
+     * Stop following the current <audio> element
+     */
+    detachAudio() {
+        this.stopFollowing();
+        if (this.audio && this.audioHandlers) {
+            Object.entries(this.audioHandlers).forEach(([type, handler]) => this.audio.removeEventListener(type, handler));
+        }
+        this.audio = null;
+        this.audioHandlers = null;
+    }
+
+    /**
+     * Redraw the cursor every frame while audio plays, paging the view along with it
+     */
+    followPlayback() {
+        this.stopFollowing();
+
+        const update = () => {
+            const time = this.audio.currentTime;
+            const span = this.view.end - this.view.start;
+            if (time < this.view.start || time > this.view.end) {
+                const start = Math.max(0, Math.min(this.duration - span, time));
+                this.view = { start, end: start + span };
+            }
+            this.setCursor(time);
+            this.playFrame = requestAnimationFrame(update);
+        };
+        update();
+    }
+
+    /**
+     * Stop the playback animation (the cursor stays where it is)
+     */
+    stopFollowing() {
+        if (this.playFrame) {
+            cancelAnimationFrame(this.playFrame);
+            this.playFrame = null;
+        }
+    }
+
+    /**
+     * Place the playback cursor (null hides it)
+     */
+    setCursor(time) {
+        this.cursor = time;
+        this.draw();
+    }
+
+    /**
+     * Wheel zoom, drag to pan, two-finger pinch zoom and tap to seek (or edit beats)
+     */
+    bindEvents() {
+        if (!this.canvas) return;
+
+        this.canvas.addEventListener('wheel', (event) => {
+            if (this.duration === 0) return;
+            event.preventDefault();
+            this.zoom(Math.exp(event.deltaY * 0.002), this.timeAt(event.offsetX));
+        }, { passive: false });
+
+        this.canvas.addEventListener('pointerdown', (event) => {
+            this.canvas.setPointerCapture(event.pointerId);
+            this.pointers.set(event.pointerId, event.offsetX);
+            this.gesture = { moved: this.pointers.size > 1, x: event.offsetX, distance: this.pinchDistance() };
+        });
+
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (!this.pointers.has(event.pointerId) || !this.gesture) return;
+
+            const previousX = this.pointers.get(event.pointerId);
+            this.pointers.set(event.pointerId, event.offsetX);
+
+            if (Math.abs(event.offsetX - this.gesture.x) > 4) {
+                this.gesture.moved = true;
+            }
+
+            if (this.pointers.size >= 2) {
+                const distance = this.pinchDistance();
+                if (this.gesture.distance > 0 && distance > 0) {
+                    const xs = Array.from(this.pointers.values());
+                    const center = this.timeAt((xs[0] + xs[1]) / 2);
+                    this.zoom(this.gesture.distance / distance, center);
+                }
+                this.gesture.distance = distance;
+                this.gesture.moved = true;
+            } else {
+                this.pan(-(event.offsetX - previousX) * this.secondsPerPixel());
+            }
+        });
+
+        const endPointer = (event) => {
+            if (!this.pointers.has(event.pointerId)) return;
+            this.pointers.delete(event.pointerId);
+
+            // A tap (no drag or pinch) seeks playback to that point, or edits beats
+            if (this.gesture && !this.gesture.moved && this.pointers.size === 0 && event.type === 'pointerup') {
+                const time = this.timeAt(event.offsetX);
+                if (this.editMode) {
+                    this.onBeatTap(time, this.beatAt(time));
+                } else {
+                    if (this.audio) {
+                        this.audio.currentTime = time;
+                    }
+                    this.setCursor(time);
+                }
+            }
+
+            this.gesture = this.pointers.size > 0 ? { moved: true, x: 0, distance: this.pinchDistance() } : null;
+        };
+        this.canvas.addEventListener('pointerup', endPointer);
+        this.canvas.addEventListener('pointercancel', endPointer);
+
+        this.canvas.addEventListener('dblclick', () => this.resetView());
+    }
+
+    /**
+     * Horizontal distance between the first two active pointers
+     */
+    pinchDistance() {
+        const xs = Array.from(this.pointers.values());
+        return xs.length >= 2 ? Math.abs(xs[0] - xs[1]) : 0;
+    }
+
+    /**
+     * Width of the plot area in CSS pixels
+     */
+    plotWidth() {
+        return Math.max(1, (this.canvas.offsetWidth || 600) - this.padding.left - this.padding.right);
+    }
+
+    /**
+     * Seconds of the current view per CSS pixel
+     */
+    secondsPerPixel() {
+        return (this.view.end - this.view.start) / this.plotWidth();
+    }
+
+    /**
+     * Time (s) under a canvas x position
+     */
+    timeAt(x) {
+        return this.view.start + (x - this.padding.left) * this.secondsPerPixel();
+    }
+
+    /**
+     * Render the current trace, beats, axis and cursor
+     */
+    draw() {
+        const canvas = this.canvas;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.offsetWidth || 600;
+        const height = canvas.offsetHeight || 150;
+        canvas.width = width;
+        canvas.height = height;
+
+        ctx.fillStyle = this.editMode ? '#fffaf0' : '#fafafa';
+        ctx.fillRect(0, 0, width, height);
+
+        const trace = this.traces[this.traceName];
+        if (!trace || this.view.end <= this.view.start) return;
+
+        const { left, top, bottom } = this.padding;
+        const plotHeight = height - top - bottom;
+        const toX = time => left + (time - this.view.start) / this.secondsPerPixel();
+        const toY = value => top + (1 - (value * trace.scale + 1) / 2) * plotHeight;
+
+        // Center line
+        ctx.beginPath();
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        ctx.moveTo(left, toY(0));
+        ctx.lineTo(width - this.padding.right, toY(0));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Beat markers
+        ctx.strokeStyle = 'rgba(220, 53, 69, 0.5)';
+        ctx.fillStyle = '#dc3545';
+        this.beats.forEach(time => {
+            if (time < this.view.start || time > this.view.end) return;
+            const x = toX(time);
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, top + plotHeight);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(x - 4, top);
+            ctx.lineTo(x + 4, top);
+            ctx.lineTo(x, top + 6);
+            ctx.fill();
+        });
+
+        this.drawTrace(ctx, trace, toY);
+        this.drawAxis(ctx, width, height);
+
+        // Playback cursor
+        if (this.cursor !== null && this.cursor >= this.view.start && this.cursor <= this.view.end) {
+            ctx.beginPath();
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 1.5;
+            ctx.moveTo(toX(this.cursor), top);
+            ctx.lineTo(toX(this.cursor), top + plotHeight);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Min/max per pixel column when zoomed out (so short spikes survive),
+     * a plain line through the samples when zoomed in
+     */
+    drawTrace(ctx, trace, toY) {
+        const { data, sampleRate, blocks } = trace;
+        const plotWidth = this.plotWidth();
+        const samplesPerPixel = this.secondsPerPixel() * sampleRate;
+        const left = this.padding.left;
+
+        ctx.strokeStyle = '#667eea';
+        ctx.fillStyle = '#667eea';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        if (samplesPerPixel <= 2) {
+            const first = Math.max(0, Math.floor(this.view.start * sampleRate));
+            const last = Math.min(data.length - 1, Math.ceil(this.view.end * sampleRate));
+            for (let i = first; i <= last; i++) {
+                const x = left + (i / sampleRate - this.view.start) / this.secondsPerPixel();
+                if (i === first) {
+                    ctx.moveTo(x, toY(data[i]));
+                } else {
+                    ctx.lineTo(x, toY(data[i]));
+                }
+            }
+            ctx.stroke();
+            return;
+        }
+
+        for (let column = 0; column < plotWidth; column++) {
+            const start = Math.max(0, Math.floor((this.view.start + column * this.secondsPerPixel()) * sampleRate));
+            const end = Math.min(data.length, Math.floor((this.view.start + (column + 1) * this.secondsPerPixel()) * sampleRate));
+            if (end <= start) continue;
+
+            const { min, max } = this.rangeMinMax(data, blocks, start, end);
+            const yMax = toY(max);
+            ctx.fillRect(left + column, yMax, 1, Math.max(1, toY(min) - yMax));
+        }
+    }
+
+    /**
+     * Min and max of data[start, end), using whole blocks where possible
+     */
+    rangeMinMax(data, blocks, start, end) {
+        let min = Infinity;
+        let max = -Infinity;
+        let i = start;
+
+        while (i < end) {
+            if (i % this.blockSize === 0 && i + this.blockSize <= end) {
+                const b = i / this.blockSize;
+                if (blocks.min[b] < min) min = blocks.min[b];
+                if (blocks.max[b] > max) max = blocks.max[b];
+                i += this.blockSize;
+            } else {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+                i++;
+            }
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * Time axis with ticks at a round interval
+     */
+    drawAxis(ctx, width, height) {
+        const span = this.view.end - this.view.start;
+        const steps = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120];
+        const step = steps.find(s => s / span * this.plotWidth() >= 60) || steps[steps.length - 1];
+
+        ctx.fillStyle = '#999';
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+
+        const axisY = height - this.padding.bottom;
+        for (let time = Math.ceil(this.view.start / step) * step; time <= this.view.end; time += step) {
+            const x = this.padding.left + (time - this.view.start) / this.secondsPerPixel();
+            ctx.beginPath();
+            ctx.moveTo(x, axisY);
+            ctx.lineTo(x, axisY + 4);
+            ctx.stroke();
+            ctx.fillText(WaveformChart.formatTime(time, step), x, height - 4);
+        }
+    }
+
+    /**
+     * "12 s", "1.5 s" or "2:30", with decimals only when the tick step needs them
+     */
+    static formatTime(seconds, step = 1) {
+        if (step >= 1 && seconds >= 60) {
+            const minutes = Math.floor(seconds / 60);
+            const rest = Math.round(seconds % 60);
+            return `${minutes}:${String(rest).padStart(2, '0')}`;
+        }
+        return `${seconds.toFixed(step < 1 ? 1 : 0)} s`;
+    }
+}